@@ -0,0 +1,175 @@
+const { parseRateLimit } = require("./rateLimit")
+
+/**
+ * Base class for every error thrown by XOAuth.
+ * Details of an X error response are copied onto the error, and when the
+ * error wraps another XOAuthError its details are inherited unless given.
+ */
+class XOAuthError extends Error {
+	/**
+	 * Create an XOAuthError.
+	 * @param {string} message - The error message.
+	 * @param {Object} [details={}] - Details about the failure.
+	 * @param {number} [details.status] - The HTTP status code.
+	 * @param {string} [details.title] - The problem title or OAuth error code.
+	 * @param {string} [details.detail] - The problem detail or OAuth error description.
+	 * @param {string} [details.type] - The problem type URI.
+	 * @param {Object[]} [details.errors] - The `errors` array of the response.
+	 * @param {string} [details.endpoint] - The API endpoint that was requested.
+	 * @param {Object} [details.rateLimit] - The rate limit reported with the response.
+	 * @param {Error} [details.cause] - The underlying error.
+	 */
+	constructor(message, details = {}) {
+		super(message)
+		const inherited = details.cause instanceof XOAuthError ? details.cause : {}
+
+		this.name = this.constructor.name
+		this.status = details.status !== undefined ? details.status : inherited.status
+		this.title = details.title || inherited.title
+		this.detail = details.detail || inherited.detail
+		this.type = details.type || inherited.type
+		this.errors = details.errors || inherited.errors || []
+		this.endpoint = details.endpoint || inherited.endpoint
+		this.rateLimit = details.rateLimit || inherited.rateLimit
+		this.cause = details.cause
+	}
+}
+
+/**
+ * Thrown when a user cannot be authenticated.
+ */
+class AuthError extends XOAuthError {}
+
+/**
+ * Thrown when the state returned to the OAuth callback is missing or does
+ * not match the state stored in the session.
+ */
+class StateMismatchError extends AuthError {
+	constructor(message = "OAuth state mismatch", details) {
+		super(message, details)
+	}
+}
+
+/**
+ * Thrown when X redirects to the OAuth callback with an error instead of an
+ * authorization code. The OAuth `error` code is in `title` and the
+ * `error_description` in `detail`.
+ */
+class AuthorizationError extends AuthError {}
+
+/**
+ * Thrown when the user declined to authorize the app (`access_denied`).
+ */
+class AccessDeniedError extends AuthorizationError {}
+
+/**
+ * Thrown when the access token cannot be refreshed.
+ */
+class TokenRefreshError extends AuthError {}
+
+/**
+ * Thrown when the API responds with an error status.
+ */
+class ApiError extends XOAuthError {}
+
+/**
+ * Thrown when the API responds with 429 Too Many Requests.
+ */
+class RateLimitError extends ApiError {}
+
+/**
+ * Thrown when a request cannot reach the API.
+ */
+class NetworkError extends XOAuthError {}
+
+/**
+ * Thrown when a request does not complete within the configured timeout.
+ */
+class TimeoutError extends NetworkError {}
+
+/**
+ * Thrown when media cannot be uploaded, or X fails to process it.
+ */
+class MediaError extends XOAuthError {}
+
+/**
+ * Build the error for a failed API response.
+ * Understands problem details (`title`, `detail`, `type`), the `errors`
+ * array and OAuth errors (`error`, `error_description`).
+ * @param {Response} response - The failed response.
+ * @param {string} endpoint - The API endpoint that was requested.
+ * @returns {Promise<ApiError>} The error describing the response.
+ */
+async function errorFromResponse(response, endpoint) {
+	let body = {}
+	try {
+		body = (await response.json()) || {}
+	} catch (error) {
+		// The body is not JSON, fall back to the status text
+	}
+
+	const errors = Array.isArray(body.errors) ? body.errors : []
+	const title = body.title || body.error
+	const detail = body.detail || body.error_description
+	const details = {
+		status: response.status,
+		title,
+		detail,
+		type: body.type,
+		errors,
+		endpoint,
+		rateLimit: parseRateLimit(response.headers)
+	}
+
+	if (response.status === 429) {
+		return new RateLimitError(
+			`Rate limit exceeded. Status: ${response.status}`,
+			details
+		)
+	}
+
+	const message =
+		detail ||
+		title ||
+		(errors[0] && (errors[0].message || errors[0].detail)) ||
+		response.statusText
+
+	return new ApiError(
+		`HTTP error! status: ${response.status}, message: ${message}`,
+		details
+	)
+}
+
+/**
+ * Build the error for an OAuth error redirect to the callback.
+ * @param {Object} query - The callback query, with `error` and optionally `error_description`.
+ * @returns {AuthorizationError} An AccessDeniedError for `access_denied`, otherwise an AuthorizationError.
+ */
+function errorFromAuthorizationResponse(query) {
+	const details = { title: query.error, detail: query.error_description }
+
+	if (query.error === "access_denied") {
+		return new AccessDeniedError("Authorization denied by the user", details)
+	}
+
+	return new AuthorizationError(
+		`Authorization failed: ${query.error_description || query.error}`,
+		details
+	)
+}
+
+module.exports = {
+	XOAuthError,
+	AuthError,
+	StateMismatchError,
+	AuthorizationError,
+	AccessDeniedError,
+	TokenRefreshError,
+	ApiError,
+	RateLimitError,
+	NetworkError,
+	TimeoutError,
+	MediaError,
+	errorFromResponse,
+	errorFromAuthorizationResponse
+}
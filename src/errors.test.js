@@ -0,0 +1,175 @@
+const {
+    XOAuthError,
+    AuthError,
+    StateMismatchError,
+    AuthorizationError,
+    AccessDeniedError,
+    TokenRefreshError,
+    ApiError,
+    RateLimitError,
+    NetworkError,
+    TimeoutError,
+    MediaError,
+    errorFromResponse,
+    errorFromAuthorizationResponse
+} = require('./errors');
+
+const mockResponse = (status, body, statusText = '') => ({
+    ok: false,
+    status,
+    statusText,
+    json: () => (body instanceof Error ? Promise.reject(body) : Promise.resolve(body))
+});
+
+describe('errors', () => {
+    describe('class hierarchy', () => {
+        test('every error extends XOAuthError and Error', () => {
+            for (const ErrorClass of [AuthError, StateMismatchError, AuthorizationError, AccessDeniedError, TokenRefreshError, ApiError, RateLimitError, NetworkError, TimeoutError, MediaError]) {
+                const error = new ErrorClass('message');
+                expect(error).toBeInstanceOf(XOAuthError);
+                expect(error).toBeInstanceOf(Error);
+                expect(error.name).toBe(ErrorClass.name);
+            }
+        });
+
+        test('auth related errors extend AuthError', () => {
+            expect(new StateMismatchError()).toBeInstanceOf(AuthError);
+            expect(new TokenRefreshError('message')).toBeInstanceOf(AuthError);
+            expect(new AuthorizationError('message')).toBeInstanceOf(AuthError);
+            expect(new AccessDeniedError('message')).toBeInstanceOf(AuthorizationError);
+        });
+
+        test('RateLimitError extends ApiError', () => {
+            expect(new RateLimitError('message')).toBeInstanceOf(ApiError);
+        });
+
+        test('TimeoutError extends NetworkError', () => {
+            expect(new TimeoutError('message')).toBeInstanceOf(NetworkError);
+        });
+
+        test('StateMismatchError has a default message', () => {
+            expect(new StateMismatchError().message).toBe('OAuth state mismatch');
+        });
+    });
+
+    describe('XOAuthError', () => {
+        test('stores the given details', () => {
+            const cause = new Error('cause');
+            const error = new XOAuthError('message', {
+                status: 400,
+                title: 'Invalid Request',
+                detail: 'One or more parameters are invalid.',
+                type: 'https://api.twitter.com/2/problems/invalid-request',
+                errors: [{ message: 'bad' }],
+                endpoint: 'tweets',
+                cause
+            });
+            expect(error).toMatchObject({
+                message: 'message',
+                status: 400,
+                title: 'Invalid Request',
+                detail: 'One or more parameters are invalid.',
+                type: 'https://api.twitter.com/2/problems/invalid-request',
+                errors: [{ message: 'bad' }],
+                endpoint: 'tweets',
+                cause
+            });
+        });
+
+        test('defaults errors to an empty array', () => {
+            expect(new XOAuthError('message').errors).toEqual([]);
+        });
+
+        test('inherits details from a wrapped XOAuthError', () => {
+            const cause = new ApiError('api', { status: 400, title: 'invalid_grant', endpoint: 'oauth2/token' });
+            const error = new TokenRefreshError('Token refresh failed', { cause });
+            expect(error.status).toBe(400);
+            expect(error.title).toBe('invalid_grant');
+            expect(error.endpoint).toBe('oauth2/token');
+            expect(error.cause).toBe(cause);
+        });
+
+        test('prefers given details over inherited ones', () => {
+            const cause = new ApiError('api', { status: 400, endpoint: 'oauth2/token' });
+            const error = new AuthError('auth', { endpoint: 'users/me', cause });
+            expect(error.endpoint).toBe('users/me');
+            expect(error.status).toBe(400);
+        });
+    });
+
+    describe('errorFromResponse', () => {
+        test('reads problem details', async () => {
+            const error = await errorFromResponse(mockResponse(403, {
+                title: 'Forbidden',
+                detail: 'You are not permitted to perform this action.',
+                type: 'about:blank',
+                status: 403
+            }), 'tweets');
+            expect(error).toBeInstanceOf(ApiError);
+            expect(error.message).toBe('HTTP error! status: 403, message: You are not permitted to perform this action.');
+            expect(error).toMatchObject({
+                status: 403,
+                title: 'Forbidden',
+                detail: 'You are not permitted to perform this action.',
+                type: 'about:blank',
+                endpoint: 'tweets'
+            });
+        });
+
+        test('reads the errors array', async () => {
+            const errors = [{ message: 'Tweet text is too long', code: 186 }];
+            const error = await errorFromResponse(mockResponse(400, { errors }), 'tweets');
+            expect(error.errors).toEqual(errors);
+            expect(error.message).toBe('HTTP error! status: 400, message: Tweet text is too long');
+        });
+
+        test('reads detail from the errors array when there is no message', async () => {
+            const error = await errorFromResponse(mockResponse(400, { errors: [{ detail: 'Bad field' }] }), 'tweets');
+            expect(error.message).toBe('HTTP error! status: 400, message: Bad field');
+        });
+
+        test('reads OAuth errors', async () => {
+            const error = await errorFromResponse(mockResponse(400, {
+                error: 'invalid_request',
+                error_description: 'Value passed for the token was invalid.'
+            }), 'oauth2/token');
+            expect(error.title).toBe('invalid_request');
+            expect(error.detail).toBe('Value passed for the token was invalid.');
+        });
+
+        test('falls back to the status text for a non-JSON body', async () => {
+            const error = await errorFromResponse(mockResponse(502, new SyntaxError('Unexpected token'), 'Bad Gateway'), 'users/me');
+            expect(error.message).toBe('HTTP error! status: 502, message: Bad Gateway');
+            expect(error.errors).toEqual([]);
+        });
+
+        test('returns a RateLimitError for 429', async () => {
+            const error = await errorFromResponse(mockResponse(429, { title: 'Too Many Requests' }), 'tweets');
+            expect(error).toBeInstanceOf(RateLimitError);
+            expect(error.message).toBe('Rate limit exceeded. Status: 429');
+            expect(error.title).toBe('Too Many Requests');
+        });
+    });
+
+    describe('errorFromAuthorizationResponse', () => {
+        test('returns an AccessDeniedError for access_denied', () => {
+            const error = errorFromAuthorizationResponse({ error: 'access_denied', error_description: 'The user denied the request' });
+            expect(error).toBeInstanceOf(AccessDeniedError);
+            expect(error.message).toBe('Authorization denied by the user');
+            expect(error.title).toBe('access_denied');
+            expect(error.detail).toBe('The user denied the request');
+        });
+
+        test('returns an AuthorizationError for other errors', () => {
+            const error = errorFromAuthorizationResponse({ error: 'invalid_scope', error_description: 'Unknown scope' });
+            expect(error).toBeInstanceOf(AuthorizationError);
+            expect(error).not.toBeInstanceOf(AccessDeniedError);
+            expect(error.message).toBe('Authorization failed: Unknown scope');
+            expect(error.title).toBe('invalid_scope');
+        });
+
+        test('falls back to the error code without a description', () => {
+            expect(errorFromAuthorizationResponse({ error: 'server_error' }).message).toBe('Authorization failed: server_error');
+        });
+    });
+});
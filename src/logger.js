@@ -0,0 +1,59 @@
+const { redact } = require("./redact")
+
+/**
+ * Log levels, from the most to the least verbose.
+ */
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"]
+
+/**
+ * Create a logger writing to the console: `debug` and `info` to
+ * `console.log`, `warn` to `console.warn` and `error` to `console.error`.
+ * @param {Object} [options={}] - Logger options.
+ * @param {string} [options.level="info"] - The least severe level written: `debug`, `info`, `warn`, `error`, or `silent` to write nothing.
+ * @returns {Object} The logger, with `debug`, `info`, `warn` and `error` methods.
+ * @throws {TypeError} If the level is unknown.
+ */
+function createConsoleLogger(options = {}) {
+	const level = options.level || "info"
+	if (!LOG_LEVELS.includes(level)) {
+		throw new TypeError(
+			`Log level must be one of ${LOG_LEVELS.join(", ")}, got "${level}"`
+		)
+	}
+	const enabled = name =>
+		LOG_LEVELS.indexOf(name) >= LOG_LEVELS.indexOf(level)
+	const noop = () => {}
+
+	return {
+		debug: enabled("debug") ? (...args) => console.log(...args) : noop,
+		info: enabled("info") ? (...args) => console.log(...args) : noop,
+		warn: enabled("warn") ? (...args) => console.warn(...args) : noop,
+		error: enabled("error") ? (...args) => console.error(...args) : noop
+	}
+}
+
+/**
+ * Wrap a logger so that everything logged through it is redacted first.
+ * Its methods are called like the console's, with a message and then the
+ * values it describes. Levels the logger does not implement are dropped.
+ * @param {Object} logger - The logger, with any of `debug`, `info`, `warn` and `error`.
+ * @returns {Object} The redacting logger, with all four methods.
+ */
+function createRedactingLogger(logger) {
+	return Object.fromEntries(
+		LOG_LEVELS.filter(level => level !== "silent").map(level => [
+			level,
+			(...args) => {
+				if (typeof logger[level] === "function") {
+					logger[level](...args.map(arg => redact(arg)))
+				}
+			}
+		])
+	)
+}
+
+module.exports = {
+	LOG_LEVELS,
+	createConsoleLogger,
+	createRedactingLogger
+}
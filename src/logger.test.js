@@ -0,0 +1,196 @@
+const XOAuth = require('./xoauth2');
+const { MockXServer } = require('./mockServer');
+const { REDACTED } = require('./redact');
+const { createConsoleLogger, createRedactingLogger } = require('./logger');
+
+const redirectUri = 'http://localhost:3000/callback';
+
+describe('logger', () => {
+    describe('createConsoleLogger', () => {
+        let spies;
+
+        beforeEach(() => {
+            spies = {
+                log: jest.spyOn(console, 'log').mockImplementation(),
+                warn: jest.spyOn(console, 'warn').mockImplementation(),
+                error: jest.spyOn(console, 'error').mockImplementation()
+            };
+        });
+
+        afterEach(() => {
+            Object.values(spies).forEach(spy => spy.mockRestore());
+        });
+
+        const logAll = (logger) => {
+            logger.debug('debug');
+            logger.info('info');
+            logger.warn('warn');
+            logger.error('error');
+        };
+
+        test('writes info and above by default', () => {
+            logAll(createConsoleLogger());
+
+            expect(spies.log.mock.calls).toEqual([['info']]);
+            expect(spies.warn.mock.calls).toEqual([['warn']]);
+            expect(spies.error.mock.calls).toEqual([['error']]);
+        });
+
+        test('writes from the given level', () => {
+            logAll(createConsoleLogger({ level: 'debug' }));
+            expect(spies.log.mock.calls).toEqual([['debug'], ['info']]);
+
+            spies.log.mockClear();
+            logAll(createConsoleLogger({ level: 'error' }));
+            expect(spies.log).not.toHaveBeenCalled();
+            expect(spies.error).toHaveBeenCalledTimes(2);
+        });
+
+        test('writes nothing when silent', () => {
+            logAll(createConsoleLogger({ level: 'silent' }));
+
+            Object.values(spies).forEach(spy => expect(spy).not.toHaveBeenCalled());
+        });
+
+        test('rejects unknown levels', () => {
+            expect(() => createConsoleLogger({ level: 'verbose' })).toThrow(TypeError);
+        });
+    });
+
+    describe('createRedactingLogger', () => {
+        test('redacts every argument', () => {
+            const logger = { info: jest.fn() };
+
+            createRedactingLogger(logger).info('Sent Bearer abcdefgh', { refreshToken: 'r' });
+
+            expect(logger.info).toHaveBeenCalledWith(`Sent Bearer ${REDACTED}`, { refreshToken: REDACTED });
+        });
+
+        test('drops levels the logger does not implement', () => {
+            const logger = { error: jest.fn() };
+            const redacting = createRedactingLogger(logger);
+
+            expect(() => redacting.debug('debug')).not.toThrow();
+            redacting.error('error');
+            expect(logger.error).toHaveBeenCalledWith('error');
+        });
+    });
+
+    describe('with XOAuth', () => {
+        let server;
+        let session;
+        let logger;
+        let entries;
+
+        const login = async (xoauth) => {
+            const query = await server.consent(await xoauth.getAuthorizationURL(session));
+            await xoauth.handleCallbackQuery(query, session);
+            return query;
+        };
+
+        beforeEach(async () => {
+            server = new MockXServer({ clientId: 'client', clientSecret: 'secret' });
+            await server.listen();
+            session = {};
+            entries = [];
+            logger = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level =>
+                [level, jest.fn((...args) => entries.push([level, ...args]))]));
+        });
+
+        afterEach(async () => {
+            await server.close();
+        });
+
+        const createClient = (options = {}) =>
+            new XOAuth('client', 'secret', redirectUri, undefined, { ...server.clientOptions(), logger, ...options });
+
+        test('logs the method, path, status and duration of requests at debug level', async () => {
+            const xoauth = createClient();
+            await login(xoauth);
+
+            await xoauth.get('users/me', { 'user.fields': 'id' }, {}, session);
+
+            expect(logger.debug).toHaveBeenCalledWith('X API request:', {
+                method: 'POST',
+                path: '/2/oauth2/token',
+                status: 200,
+                duration: expect.any(Number)
+            });
+            expect(logger.debug).toHaveBeenLastCalledWith('X API request:', {
+                method: 'GET',
+                path: '/2/users/me',
+                status: 200,
+                duration: expect.any(Number)
+            });
+        });
+
+        test('logs failed requests at debug level', async () => {
+            const fetch = jest.fn().mockRejectedValue(new Error('socket hang up'));
+            const xoauth = createClient({ fetch });
+
+            await expect(xoauth.get('users/me', {}, { Authorization: 'Bearer t' })).rejects.toThrow('socket hang up');
+
+            expect(logger.debug).toHaveBeenCalledWith('X API request failed:', {
+                method: 'GET',
+                path: '/2/users/me',
+                duration: expect.any(Number),
+                error: 'socket hang up'
+            });
+        });
+
+        test('logs to the injected logger instead of the console', async () => {
+            const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            const xoauth = createClient();
+            await login(xoauth);
+
+            await xoauth.logout(session);
+            const { state } = Object.fromEntries(new URL(await xoauth.getAuthorizationURL(session)).searchParams);
+            await expect(xoauth.handleCallback('unknown-code', state, session)).rejects.toThrow();
+
+            expect(logger.info).toHaveBeenCalledWith('Token revoked successfully');
+            expect(logger.error).toHaveBeenCalledWith('Error in OAuth callback:', expect.any(String));
+            expect(consoleLogSpy).not.toHaveBeenCalled();
+            expect(consoleErrorSpy).not.toHaveBeenCalled();
+            consoleLogSpy.mockRestore();
+            consoleErrorSpy.mockRestore();
+        });
+
+        test('never logs tokens, codes, verifiers or credentials', async () => {
+            const xoauth = createClient({ logger: createConsoleLogger({ level: 'debug' }) });
+            const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(
+                (...args) => entries.push(['log', ...args]));
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(
+                (...args) => entries.push(['error', ...args]));
+            const query = await login(xoauth);
+            const secrets = [query.code, session.user.accessToken, session.user.refreshToken, Buffer.from('client:secret').toString('base64')];
+
+            await xoauth.get('users/me', {}, {}, session);
+            await xoauth.refreshToken(session);
+            secrets.push(session.user.accessToken, session.user.refreshToken);
+            server.expireAccessTokens();
+            await xoauth.get('users/me', {}, {}, session);
+            await xoauth.logout(session);
+
+            consoleLogSpy.mockRestore();
+            consoleErrorSpy.mockRestore();
+            expect(entries.length).toBeGreaterThan(0);
+            const logged = JSON.stringify(entries);
+            secrets.forEach(secret => expect(logged).not.toContain(secret));
+        });
+
+        test('redacts tokens in the errors it logs', async () => {
+            const fetch = jest.fn().mockResolvedValue(new Response(
+                JSON.stringify({ error: 'invalid_grant', error_description: 'Bad refresh_token=leaked-token' }),
+                { status: 400, headers: { 'Content-Type': 'application/json' } }
+            ));
+            const xoauth = createClient({ fetch });
+            session.user = { id: '1', accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() - 1000 };
+
+            await expect(xoauth.get('users/me', {}, {}, session)).rejects.toThrow();
+
+            expect(logger.error).toHaveBeenCalled();
+            expect(JSON.stringify(entries)).not.toContain('leaked-token');
+        });
+    });
+});
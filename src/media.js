@@ -0,0 +1,240 @@
+const { MediaError } = require("./errors")
+const { sleep } = require("./retry")
+
+/**
+ * Size of the chunks media is appended in, below X's 5 MB limit per chunk.
+ */
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024
+
+/**
+ * How long to wait for X to process uploaded media when none is configured.
+ */
+const DEFAULT_MAX_PROCESSING_WAIT = 10 * 60 * 1000
+
+/**
+ * Delays between processing status checks when X does not suggest one.
+ * The delay starts at `minDelay` and doubles up to `maxDelay`.
+ */
+const PROCESSING_BACKOFF = { minDelay: 1000, maxDelay: 30 * 1000 }
+
+/**
+ * Get the media category X needs for a MIME type, so videos and GIFs are
+ * processed for use in posts.
+ * @param {string} mimeType - The MIME type of the media.
+ * @returns {string} `tweet_video`, `tweet_gif` or `tweet_image`.
+ */
+function getMediaCategory(mimeType) {
+	if (/^video\//i.test(mimeType)) {
+		return "tweet_video"
+	}
+	if (/^image\/gif$/i.test(mimeType)) {
+		return "tweet_gif"
+	}
+	return "tweet_image"
+}
+
+/**
+ * Check whether media is held in memory rather than streamed.
+ * @param {*} media - The media.
+ * @returns {boolean} True for a Buffer or other Uint8Array.
+ */
+function isBytes(media) {
+	return media instanceof Uint8Array
+}
+
+/**
+ * Check whether media is a stream, such as a Node.js Readable or a web
+ * ReadableStream.
+ * @param {*} media - The media.
+ * @returns {boolean} True if the media is async iterable.
+ */
+function isStream(media) {
+	return Boolean(media) && typeof media[Symbol.asyncIterator] === "function"
+}
+
+/**
+ * Read a whole stream into memory.
+ * @param {AsyncIterable} stream - The stream.
+ * @returns {Promise<Buffer>} The streamed bytes.
+ */
+async function readStream(stream) {
+	const pieces = []
+	for await (const piece of stream) {
+		pieces.push(Buffer.from(piece))
+	}
+	return Buffer.concat(pieces)
+}
+
+/**
+ * Split media into chunks of at most `chunkSize` bytes, reading streams as
+ * they go so only one chunk is held in memory.
+ * @param {Uint8Array|AsyncIterable} media - The media bytes or stream.
+ * @param {number} chunkSize - The largest chunk in bytes.
+ * @returns {AsyncGenerator<Uint8Array>} The chunks.
+ */
+async function* readChunks(media, chunkSize) {
+	if (isBytes(media)) {
+		for (let offset = 0; offset < media.length; offset += chunkSize) {
+			yield media.subarray(offset, offset + chunkSize)
+		}
+		return
+	}
+
+	let buffered = Buffer.alloc(0)
+	for await (const piece of media) {
+		buffered = Buffer.concat([buffered, Buffer.from(piece)])
+		while (buffered.length >= chunkSize) {
+			yield buffered.subarray(0, chunkSize)
+			buffered = buffered.subarray(chunkSize)
+		}
+	}
+	if (buffered.length) {
+		yield buffered
+	}
+}
+
+/**
+ * Get the delay before the next processing status check, as X suggests in
+ * `check_after_secs`, or backing off exponentially.
+ * @param {Object} processingInfo - The `processing_info` of the media.
+ * @param {number} check - The number of checks made so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function getProcessingDelay(processingInfo, check) {
+	if (processingInfo.check_after_secs !== undefined) {
+		return processingInfo.check_after_secs * 1000
+	}
+	return Math.min(
+		PROCESSING_BACKOFF.minDelay * Math.pow(2, check),
+		PROCESSING_BACKOFF.maxDelay
+	)
+}
+
+/**
+ * Upload media with X's chunked upload: INIT, APPEND every chunk as a
+ * multipart body, FINALIZE, then poll STATUS until any processing is done.
+ * Alt text is set once the media is ready. Every request is sent through the
+ * client, so token refresh, rate limit handling and retries apply.
+ * @param {Object} client - The XOAuth client.
+ * @param {Uint8Array|AsyncIterable} media - The media as a Buffer or a stream.
+ * @param {string} mimeType - The MIME type of the media, such as `image/png` or `video/mp4`.
+ * @param {Object|string} [session] - The session object, or a user id in the token store.
+ * @param {Object} [options={}] - Upload options.
+ * @param {string} [options.altText] - Alt text describing the media.
+ * @param {string} [options.mediaCategory] - The media category, if not the one for the MIME type.
+ * @param {number} [options.totalBytes] - The size of a streamed upload. Without it the stream is read into memory first.
+ * @param {number} [options.chunkSize=4194304] - The largest chunk appended at once, in bytes.
+ * @param {number} [options.maxProcessingWait=600000] - The longest time in milliseconds to wait for processing.
+ * @param {AbortSignal} [options.signal] - Aborts the upload.
+ * @param {Object|boolean} [options.retry] - Retry settings for each request.
+ * @returns {Promise<string>} The media id, to attach to a post.
+ * @throws {MediaError} If the media is not a Buffer or stream, or fails or outlasts processing.
+ */
+async function uploadMedia(client, media, mimeType, session, options = {}) {
+	const {
+		altText,
+		chunkSize = DEFAULT_CHUNK_SIZE,
+		maxProcessingWait = DEFAULT_MAX_PROCESSING_WAIT,
+		signal,
+		retry
+	} = options
+	const requestOptions = { signal, retry }
+	const form = { "Content-Type": "application/x-www-form-urlencoded" }
+
+	if (!isBytes(media) && !isStream(media)) {
+		throw new MediaError("Media must be a Buffer, Uint8Array or stream")
+	}
+
+	let totalBytes = options.totalBytes
+	if (totalBytes === undefined) {
+		if (isStream(media)) {
+			media = await readStream(media)
+		}
+		totalBytes = media.length
+	}
+
+	const init = await client.post(
+		"media/upload",
+		{
+			command: "INIT",
+			media_type: mimeType,
+			total_bytes: totalBytes,
+			media_category: options.mediaCategory || getMediaCategory(mimeType)
+		},
+		form,
+		session,
+		requestOptions
+	)
+	const mediaId = init.data.id
+
+	let segmentIndex = 0
+	for await (const chunk of readChunks(media, chunkSize)) {
+		const body = new FormData()
+		body.append("command", "APPEND")
+		body.append("media_id", mediaId)
+		body.append("segment_index", String(segmentIndex++))
+		body.append("media", new Blob([chunk], { type: mimeType }))
+		await client.post("media/upload", body, {}, session, requestOptions)
+	}
+
+	const finalized = await client.post(
+		"media/upload",
+		{ command: "FINALIZE", media_id: mediaId },
+		form,
+		session,
+		requestOptions
+	)
+
+	let processingInfo = finalized.data && finalized.data.processing_info
+	let waited = 0
+	for (let check = 0; processingInfo; check++) {
+		if (processingInfo.state === "succeeded") {
+			break
+		}
+		if (processingInfo.state === "failed") {
+			const error = processingInfo.error || {}
+			throw new MediaError(
+				`Media processing failed: ${error.message || error.name || "unknown error"}`,
+				{ title: error.name, detail: error.message, endpoint: "media/upload" }
+			)
+		}
+
+		const delay = getProcessingDelay(processingInfo, check)
+		if (waited + delay > maxProcessingWait) {
+			throw new MediaError(
+				`Media processing did not finish within ${maxProcessingWait}ms`,
+				{ endpoint: "media/upload" }
+			)
+		}
+		await sleep(delay, signal)
+		waited += delay
+
+		const status = await client.get(
+			"media/upload",
+			{ command: "STATUS", media_id: mediaId },
+			{},
+			session,
+			requestOptions
+		)
+		processingInfo = status.data && status.data.processing_info
+	}
+
+	if (altText) {
+		await client.post(
+			"media/metadata",
+			{ id: mediaId, metadata: { alt_text: { text: altText } } },
+			{},
+			session,
+			requestOptions
+		)
+	}
+
+	return mediaId
+}
+
+module.exports = {
+	DEFAULT_CHUNK_SIZE,
+	getMediaCategory,
+	readChunks,
+	uploadMedia
+}
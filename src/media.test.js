@@ -0,0 +1,210 @@
+const { Readable } = require('stream');
+const XOAuth = require('./xoauth2');
+const { getMediaCategory, readChunks } = require('./media');
+const { jsonResponse, collect, silenceConsoleError } = require('./testHelpers');
+const { MediaError, ApiError } = XOAuth;
+
+const collectText = async (iterable) => (await collect(iterable)).map(chunk => Buffer.from(chunk).toString());
+
+describe('media', () => {
+    describe('getMediaCategory', () => {
+        test('maps MIME types to media categories', () => {
+            expect(getMediaCategory('image/png')).toBe('tweet_image');
+            expect(getMediaCategory('image/jpeg')).toBe('tweet_image');
+            expect(getMediaCategory('image/gif')).toBe('tweet_gif');
+            expect(getMediaCategory('video/mp4')).toBe('tweet_video');
+        });
+    });
+
+    describe('readChunks', () => {
+        test('splits a buffer into chunks', async () => {
+            await expect(collectText(readChunks(Buffer.from('abcdefg'), 3))).resolves.toEqual(['abc', 'def', 'g']);
+        });
+
+        test('splits a stream into chunks regardless of how it is read', async () => {
+            const stream = Readable.from([Buffer.from('ab'), Buffer.from('cdef'), Buffer.from('g')]);
+            await expect(collectText(readChunks(stream, 3))).resolves.toEqual(['abc', 'def', 'g']);
+        });
+
+        test('yields nothing for empty media', async () => {
+            await expect(collectText(readChunks(Buffer.alloc(0), 3))).resolves.toEqual([]);
+        });
+    });
+
+    describe('uploadMedia', () => {
+        let xoauth;
+        let session;
+        let requests;
+        let statusResponses;
+
+        silenceConsoleError();
+
+        const readRequest = async (url, options) => {
+            const parsed = new URL(url);
+            const request = { method: options.method, path: parsed.pathname, query: Object.fromEntries(parsed.searchParams) };
+            if (options.body instanceof FormData) {
+                request.form = {};
+                for (const [key, value] of options.body) {
+                    request.form[key] = typeof value === 'string' ? value : Buffer.from(await value.arrayBuffer()).toString();
+                }
+            } else if (options.body instanceof URLSearchParams) {
+                request.form = Object.fromEntries(options.body);
+            } else if (options.body) {
+                request.json = JSON.parse(options.body);
+            }
+            request.headers = options.headers;
+            return request;
+        };
+
+        beforeEach(() => {
+            xoauth = new XOAuth('client', 'secret', 'http://localhost:3000/callback');
+            session = { user: { id: '1', accessToken: 'access', refreshToken: 'refresh', expiresAt: Date.now() + 3600000 } };
+            requests = [];
+            statusResponses = [];
+            global.fetch = jest.fn(async (url, options) => {
+                const request = await readRequest(url, options);
+                requests.push(request);
+                const command = (request.form && request.form.command) || request.query.command;
+
+                if (request.path === '/2/media/metadata') {
+                    return jsonResponse({ data: { id: request.json.id } });
+                }
+                if (command === 'INIT') {
+                    return jsonResponse({ data: { id: '1880028106020515840', media_key: '3_1880028106020515840' } });
+                }
+                if (command === 'APPEND') {
+                    return new Response(null, { status: 204 });
+                }
+                if (command === 'FINALIZE') {
+                    return jsonResponse({ data: { id: request.form.media_id, processing_info: statusResponses.length ? { state: 'pending', check_after_secs: 0 } : undefined } });
+                }
+                return jsonResponse({ data: { id: request.query.media_id, processing_info: statusResponses.shift() } });
+            });
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('uploads a buffer with INIT, APPEND and FINALIZE', async () => {
+            const mediaId = await xoauth.uploadMedia(Buffer.from('abcdefg'), 'image/png', session, { chunkSize: 3 });
+
+            expect(mediaId).toBe('1880028106020515840');
+            expect(requests.map(r => r.form.command)).toEqual(['INIT', 'APPEND', 'APPEND', 'APPEND', 'FINALIZE']);
+            expect(requests[0]).toMatchObject({
+                method: 'POST',
+                path: '/2/media/upload',
+                form: { command: 'INIT', media_type: 'image/png', total_bytes: '7', media_category: 'tweet_image' }
+            });
+            expect(requests.slice(1, 4).map(r => r.form)).toEqual([
+                { command: 'APPEND', media_id: mediaId, segment_index: '0', media: 'abc' },
+                { command: 'APPEND', media_id: mediaId, segment_index: '1', media: 'def' },
+                { command: 'APPEND', media_id: mediaId, segment_index: '2', media: 'g' }
+            ]);
+            expect(requests[4].form).toEqual({ command: 'FINALIZE', media_id: mediaId });
+        });
+
+        test('sends chunks as multipart bodies with the session token', async () => {
+            await xoauth.uploadMedia(Buffer.from('abc'), 'image/png', session);
+
+            const append = requests[1];
+            expect(append.headers.Authorization).toBe('Bearer access');
+            expect(append.headers['Content-Type']).toBeUndefined();
+            expect(global.fetch.mock.calls[1][1].body).toBeInstanceOf(FormData);
+        });
+
+        test('uploads a stream of known size without reading it first', async () => {
+            const stream = Readable.from([Buffer.from('abcd'), Buffer.from('ef')]);
+
+            await xoauth.uploadMedia(stream, 'video/mp4', session, { chunkSize: 4, totalBytes: 6 });
+
+            expect(requests[0].form).toMatchObject({ total_bytes: '6', media_category: 'tweet_video' });
+            expect(requests.filter(r => r.form.command === 'APPEND').map(r => r.form.media)).toEqual(['abcd', 'ef']);
+        });
+
+        test('measures a stream of unknown size', async () => {
+            const stream = Readable.from([Buffer.from('abcd'), Buffer.from('ef')]);
+
+            await xoauth.uploadMedia(stream, 'image/gif', session);
+
+            expect(requests[0].form).toMatchObject({ total_bytes: '6', media_category: 'tweet_gif' });
+        });
+
+        test('uses the given media category', async () => {
+            await xoauth.uploadMedia(Buffer.from('abc'), 'video/mp4', session, { mediaCategory: 'amplify_video' });
+
+            expect(requests[0].form.media_category).toBe('amplify_video');
+        });
+
+        test('polls the processing status until it succeeds', async () => {
+            statusResponses = [
+                { state: 'in_progress', check_after_secs: 0, progress_percent: 50 },
+                { state: 'succeeded', progress_percent: 100 }
+            ];
+
+            const mediaId = await xoauth.uploadMedia(Buffer.from('abc'), 'video/mp4', session);
+
+            expect(mediaId).toBe('1880028106020515840');
+            const statusRequests = requests.filter(r => r.method === 'GET');
+            expect(statusRequests).toHaveLength(2);
+            expect(statusRequests[0].query).toEqual({ command: 'STATUS', media_id: mediaId });
+        });
+
+        test('backs off between status checks when X does not suggest a delay', async () => {
+            const delays = [];
+            jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay) => {
+                delays.push(delay);
+                callback();
+                return 0;
+            });
+            statusResponses = [{ state: 'in_progress' }, { state: 'in_progress' }, { state: 'succeeded' }];
+
+            await xoauth.uploadMedia(Buffer.from('abc'), 'video/mp4', session);
+
+            expect(delays).toEqual([0, 2000, 4000]);
+        });
+
+        test('throws a MediaError when processing fails', async () => {
+            statusResponses = [{ state: 'failed', error: { code: 1, name: 'InvalidMedia', message: 'Unsupported video format' } }];
+
+            const error = await xoauth.uploadMedia(Buffer.from('abc'), 'video/mp4', session).catch(e => e);
+
+            expect(error).toBeInstanceOf(MediaError);
+            expect(error.message).toBe('Media processing failed: Unsupported video format');
+            expect(error.title).toBe('InvalidMedia');
+        });
+
+        test('throws a MediaError when processing takes too long', async () => {
+            statusResponses = [{ state: 'in_progress', check_after_secs: 5 }];
+
+            const error = await xoauth
+                .uploadMedia(Buffer.from('abc'), 'video/mp4', session, { maxProcessingWait: 1000 })
+                .catch(e => e);
+
+            expect(error).toBeInstanceOf(MediaError);
+            expect(error.message).toBe('Media processing did not finish within 1000ms');
+        });
+
+        test('sets alt text once the media is ready', async () => {
+            await xoauth.uploadMedia(Buffer.from('abc'), 'image/png', session, { altText: 'A cat asleep on a keyboard' });
+
+            expect(requests[requests.length - 1]).toMatchObject({
+                method: 'POST',
+                path: '/2/media/metadata',
+                json: { id: '1880028106020515840', metadata: { alt_text: { text: 'A cat asleep on a keyboard' } } }
+            });
+        });
+
+        test('rejects media that is not a buffer or stream', async () => {
+            await expect(xoauth.uploadMedia('abc', 'image/png', session)).rejects.toThrow(MediaError);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('stops at a failed request', async () => {
+            global.fetch.mockImplementationOnce(async () => jsonResponse({ title: 'Bad Request', detail: 'Invalid media type' }, 400));
+
+            await expect(xoauth.uploadMedia(Buffer.from('abc'), 'text/plain', session)).rejects.toThrow(ApiError);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,619 @@
+const http = require("http")
+const crypto = require("crypto")
+
+/**
+ * The user returned by `users/me` when none is configured.
+ */
+const DEFAULT_MOCK_USER = {
+	id: "2244994945",
+	name: "X Dev",
+	username: "XDevelopers",
+	profile_image_url: "https://pbs.twimg.com/profile_images/1/x_normal.jpg",
+	profile_banner_url: "https://pbs.twimg.com/profile_banners/1/1"
+}
+
+/**
+ * Generate a random token or code.
+ * @returns {string} A base64url-encoded random string.
+ */
+function randomToken() {
+	return crypto.randomBytes(24).toString("base64url")
+}
+
+/**
+ * Compute the S256 PKCE code challenge of a code verifier.
+ * @param {string} verifier - The code verifier.
+ * @returns {string} The base64url-encoded SHA-256 hash of the verifier.
+ */
+function s256(verifier) {
+	return crypto.createHash("sha256").update(verifier).digest("base64url")
+}
+
+/**
+ * Read the Basic credentials of a request.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {{ id: string, secret: string }|undefined} The id and secret, or undefined without Basic credentials.
+ */
+function readBasicCredentials(req) {
+	const header = req.headers.authorization || ""
+	if (!header.startsWith("Basic ")) {
+		return undefined
+	}
+	const credentials = Buffer.from(header.slice(6), "base64").toString()
+	const separator = credentials.indexOf(":")
+	return {
+		id: credentials.slice(0, separator),
+		secret: credentials.slice(separator + 1)
+	}
+}
+
+/**
+ * Read and parse a request body sent as a form or as JSON.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<Object>} The parsed body.
+ */
+async function readBody(req) {
+	const chunks = []
+	for await (const chunk of req) {
+		chunks.push(chunk)
+	}
+	const text = Buffer.concat(chunks).toString("utf8")
+	if (!text) {
+		return {}
+	}
+	if ((req.headers["content-type"] || "").includes("application/json")) {
+		return JSON.parse(text)
+	}
+	return Object.fromEntries(new URLSearchParams(text))
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @param {Object} [headers={}] - Additional headers.
+ */
+function sendJson(res, status, body, headers = {}) {
+	res.writeHead(status, { "Content-Type": "application/json", ...headers })
+	res.end(JSON.stringify(body))
+}
+
+/**
+ * Send a problem details error response, the way the X API reports errors.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} [detail] - The problem detail.
+ * @param {Object} [headers={}] - Additional headers.
+ */
+function sendProblem(res, status, detail, headers = {}) {
+	const title = http.STATUS_CODES[status] || "Error"
+	sendJson(
+		res,
+		status,
+		{ title, detail: detail || title, type: "about:blank", status },
+		headers
+	)
+}
+
+/**
+ * Send an OAuth error response from the token or revoke endpoint.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} error - The OAuth error code.
+ * @param {string} description - The error description.
+ */
+function sendOAuthError(res, status, error, description) {
+	sendJson(res, status, { error, error_description: description })
+}
+
+/**
+ * Local mock of the X OAuth 2.0 and API endpoints, for end-to-end tests that
+ * run offline. It implements the authorization page (consenting
+ * automatically), the token endpoint with PKCE verification and refresh token
+ * rotation, token revocation, app-only tokens and `users/me`, and can be told
+ * to fail requests with 401, 429 or 5xx responses.
+ *
+ * Point a client at it with the URL options from `clientOptions()`.
+ */
+class MockXServer {
+	/**
+	 * Create a MockXServer.
+	 * @param {Object} [options={}] - Server options.
+	 * @param {string} [options.clientId] - Only accept this client ID. Any client ID is accepted by default.
+	 * @param {string} [options.clientSecret] - Require Basic credentials with this secret. Public clients are accepted by default.
+	 * @param {string} [options.appKey] - Only accept this app key for app-only tokens. Any key is accepted by default.
+	 * @param {string} [options.appSecret] - Only accept this app secret for app-only tokens. Any secret is accepted by default.
+	 * @param {Object} [options.user] - The user returned by `users/me`.
+	 * @param {number} [options.expiresIn=7200] - Lifetime of access tokens in seconds.
+	 * @param {boolean} [options.deny=false] - Deny authorization, as if the user clicked "Cancel".
+	 */
+	constructor(options = {}) {
+		this.clientId = options.clientId
+		this.clientSecret = options.clientSecret
+		this.appKey = options.appKey
+		this.appSecret = options.appSecret
+		this.user = { ...DEFAULT_MOCK_USER, ...options.user }
+		this.expiresIn = options.expiresIn !== undefined ? options.expiresIn : 7200
+		this.deny = Boolean(options.deny)
+		this.requests = []
+		this._codes = new Map()
+		this._accessTokens = new Map()
+		this._refreshTokens = new Map()
+		this._appTokens = new Set()
+		this._failures = []
+		this._server = http.createServer((req, res) => {
+			this._handle(req, res).catch(error => {
+				sendProblem(res, 500, error.message)
+			})
+		})
+	}
+
+	/**
+	 * The base URL of the server, once it is listening.
+	 * @type {string}
+	 */
+	get url() {
+		const { address, port } = this._server.address()
+		return `http://${address}:${port}`
+	}
+
+	/**
+	 * Start listening.
+	 * @param {number} [port=0] - The port, or 0 for any free port.
+	 * @param {string} [host="127.0.0.1"] - The host to bind to.
+	 * @returns {Promise<string>} The base URL of the server.
+	 */
+	listen(port = 0, host = "127.0.0.1") {
+		return new Promise((resolve, reject) => {
+			this._server.once("error", reject)
+			this._server.listen(port, host, () => {
+				this._server.off("error", reject)
+				resolve(this.url)
+			})
+		})
+	}
+
+	/**
+	 * Stop listening and close open connections.
+	 * @returns {Promise<void>}
+	 */
+	close() {
+		return new Promise((resolve, reject) => {
+			this._server.close(error => (error ? reject(error) : resolve()))
+			this._server.closeAllConnections()
+		})
+	}
+
+	/**
+	 * Get the XOAuth constructor options that point a client at this server.
+	 * @returns {{ apiBaseUrl: string, authUrl: string }} The URL options.
+	 */
+	clientOptions() {
+		return {
+			apiBaseUrl: `${this.url}/2/`,
+			authUrl: `${this.url}/i/oauth2/authorize`
+		}
+	}
+
+	/**
+	 * Visit an authorization URL as the user would and return the query the
+	 * server redirects back to the callback with.
+	 * @param {string} authorizationUrl - The URL from `getAuthorizationURL`.
+	 * @returns {Promise<Object>} The callback query: `code` and `state`, or `error`, `error_description` and `state`.
+	 */
+	async consent(authorizationUrl) {
+		const response = await fetch(authorizationUrl, { redirect: "manual" })
+		const location = response.headers.get("location")
+		if (!location) {
+			throw new Error(`Authorization failed with status ${response.status}`)
+		}
+		return Object.fromEntries(new URL(location).searchParams)
+	}
+
+	/**
+	 * Fail upcoming requests with an error response.
+	 * @param {Object} failure - The failure to inject.
+	 * @param {number} failure.status - The status code, such as 401, 429 or 503.
+	 * @param {string} [failure.path] - Only fail this path, such as `users/me` (under `/2/`) or `/oauth2/token`. Every path by default.
+	 * @param {string} [failure.method] - Only fail this method. Every method by default.
+	 * @param {number} [failure.times=1] - How many requests to fail.
+	 * @param {Object} [failure.headers] - Response headers. A 429 has rate limit headers for a reset a second away by default.
+	 * @param {Object} [failure.body] - The response body. Problem details by default.
+	 */
+	inject(failure) {
+		this._failures.push({ times: 1, ...failure })
+	}
+
+	/**
+	 * Expire every access token issued so far, so the next request with one
+	 * gets a 401 and has to refresh.
+	 */
+	expireAccessTokens() {
+		for (const grant of this._accessTokens.values()) {
+			grant.expiresAt = 0
+		}
+	}
+
+	/**
+	 * Route a request.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {http.ServerResponse} res - The response.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _handle(req, res) {
+		const url = new URL(req.url, this.url)
+		const route = `${req.method} ${url.pathname}`
+		this.requests.push({ method: req.method, path: url.pathname })
+
+		if (this._injectFailure(req.method, url.pathname, res)) {
+			return
+		}
+
+		switch (route) {
+			case "GET /i/oauth2/authorize":
+				return this._authorize(url.searchParams, res)
+			case "POST /2/oauth2/token":
+				return this._token(req, await readBody(req), res)
+			case "POST /2/oauth2/revoke":
+				return this._revoke(req, await readBody(req), res)
+			case "POST /oauth2/token":
+				return this._appToken(
+					req,
+					url.searchParams,
+					await readBody(req),
+					res
+				)
+			case "POST /oauth2/invalidate_token":
+				return this._invalidateAppToken(req, await readBody(req), res)
+			case "GET /2/users/me":
+				return this._usersMe(req, url.searchParams, res)
+			default:
+				return sendProblem(res, 404, `No route for ${route}`)
+		}
+	}
+
+	/**
+	 * Send an injected failure if one matches the request.
+	 * @param {string} method - The request method.
+	 * @param {string} path - The request path.
+	 * @param {http.ServerResponse} res - The response.
+	 * @returns {boolean} True if a failure was sent.
+	 * @private
+	 */
+	_injectFailure(method, path, res) {
+		const failure = this._failures.find(
+			f =>
+				(!f.method || f.method === method) &&
+				(!f.path ||
+					(f.path.startsWith("/") ? f.path : `/2/${f.path}`) === path)
+		)
+		if (!failure) {
+			return false
+		}
+
+		if (--failure.times <= 0) {
+			this._failures.splice(this._failures.indexOf(failure), 1)
+		}
+
+		const headers =
+			failure.status === 429
+				? {
+						"x-rate-limit-limit": "15",
+						"x-rate-limit-remaining": "0",
+						"x-rate-limit-reset": String(Math.ceil(Date.now() / 1000) + 1),
+						...failure.headers
+				  }
+				: failure.headers
+		if (failure.body) {
+			sendJson(res, failure.status, failure.body, headers)
+		} else {
+			sendProblem(res, failure.status, undefined, headers)
+		}
+		return true
+	}
+
+	/**
+	 * Check the client authentication of a token or revoke request: Basic
+	 * credentials for a confidential client, or `client_id` in the body for a
+	 * public client.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {Object} body - The parsed body.
+	 * @returns {string|undefined} The authenticated client ID, or undefined if authentication failed.
+	 * @private
+	 */
+	_authenticateClient(req, body) {
+		const credentials = readBasicCredentials(req)
+		const clientId = credentials ? credentials.id : body.client_id
+		const secret = credentials && credentials.secret
+
+		if (!clientId || (this.clientId && clientId !== this.clientId)) {
+			return undefined
+		}
+		if (this.clientSecret && secret !== this.clientSecret) {
+			return undefined
+		}
+		return clientId
+	}
+
+	/**
+	 * Check the Basic credentials of an app-only token request against the
+	 * configured app key and secret.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @returns {boolean} True if the app is authenticated.
+	 * @private
+	 */
+	_authenticateApp(req) {
+		const credentials = readBasicCredentials(req)
+		return Boolean(
+			credentials &&
+				credentials.id &&
+				(!this.appKey || credentials.id === this.appKey) &&
+				(!this.appSecret || credentials.secret === this.appSecret)
+		)
+	}
+
+	/**
+	 * Authorization page: consent on the user's behalf and redirect back to
+	 * the client with a code, or with `access_denied` when `deny` is set.
+	 * @param {URLSearchParams} params - The authorization query.
+	 * @param {http.ServerResponse} res - The response.
+	 * @private
+	 */
+	_authorize(params, res) {
+		const redirectUri = params.get("redirect_uri")
+		if (!redirectUri) {
+			return sendProblem(res, 400, "Missing redirect_uri")
+		}
+
+		const callback = new URL(redirectUri)
+		const fail = (error, description) => {
+			callback.searchParams.set("error", error)
+			callback.searchParams.set("error_description", description)
+			callback.searchParams.set("state", params.get("state") || "")
+			res.writeHead(302, { Location: callback.toString() })
+			res.end()
+		}
+
+		if (params.get("response_type") !== "code") {
+			return fail("unsupported_response_type", "response_type must be code")
+		}
+		if (
+			!params.get("client_id") ||
+			(this.clientId && params.get("client_id") !== this.clientId)
+		) {
+			return fail("unauthorized_client", "Unknown client_id")
+		}
+		if (!params.get("code_challenge")) {
+			return fail("invalid_request", "Missing code_challenge")
+		}
+		if (this.deny) {
+			return fail("access_denied", "The user denied the request")
+		}
+
+		const code = randomToken()
+		this._codes.set(code, {
+			clientId: params.get("client_id"),
+			redirectUri,
+			scope: params.get("scope") || "",
+			codeChallenge: params.get("code_challenge"),
+			codeChallengeMethod: params.get("code_challenge_method") || "plain"
+		})
+
+		callback.searchParams.set("code", code)
+		if (params.has("state")) {
+			callback.searchParams.set("state", params.get("state"))
+		}
+		res.writeHead(302, { Location: callback.toString() })
+		res.end()
+	}
+
+	/**
+	 * Token endpoint: exchange an authorization code, verifying PKCE, or
+	 * rotate a refresh token.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {Object} body - The parsed body.
+	 * @param {http.ServerResponse} res - The response.
+	 * @private
+	 */
+	_token(req, body, res) {
+		const clientId = this._authenticateClient(req, body)
+		if (!clientId) {
+			return sendOAuthError(
+				res,
+				401,
+				"invalid_client",
+				"Client authentication failed"
+			)
+		}
+
+		if (body.grant_type === "authorization_code") {
+			const grant = this._codes.get(body.code)
+			this._codes.delete(body.code)
+
+			if (!grant || grant.clientId !== clientId) {
+				return sendOAuthError(
+					res,
+					400,
+					"invalid_grant",
+					"Invalid authorization code"
+				)
+			}
+			if (body.redirect_uri !== grant.redirectUri) {
+				return sendOAuthError(
+					res,
+					400,
+					"invalid_grant",
+					"redirect_uri does not match"
+				)
+			}
+			const challenge =
+				grant.codeChallengeMethod === "S256"
+					? s256(body.code_verifier || "")
+					: body.code_verifier
+			if (challenge !== grant.codeChallenge) {
+				return sendOAuthError(
+					res,
+					400,
+					"invalid_grant",
+					"Invalid code_verifier"
+				)
+			}
+
+			return sendJson(res, 200, this._issueTokens(clientId, grant.scope))
+		}
+
+		if (body.grant_type === "refresh_token") {
+			const grant = this._refreshTokens.get(body.refresh_token)
+			if (!grant || grant.clientId !== clientId) {
+				return sendOAuthError(
+					res,
+					400,
+					"invalid_grant",
+					"Invalid refresh token"
+				)
+			}
+
+			// Refresh tokens are single-use: rotate both tokens
+			this._refreshTokens.delete(body.refresh_token)
+			this._accessTokens.delete(grant.accessToken)
+			return sendJson(res, 200, this._issueTokens(clientId, grant.scope))
+		}
+
+		return sendOAuthError(
+			res,
+			400,
+			"unsupported_grant_type",
+			"Unsupported grant_type"
+		)
+	}
+
+	/**
+	 * Issue an access token, and a refresh token with `offline.access`.
+	 * @param {string} clientId - The client the tokens are issued to.
+	 * @param {string} scope - The granted scopes.
+	 * @returns {Object} The token response.
+	 * @private
+	 */
+	_issueTokens(clientId, scope) {
+		const accessToken = randomToken()
+		this._accessTokens.set(accessToken, {
+			clientId,
+			scope,
+			expiresAt: Date.now() + this.expiresIn * 1000
+		})
+
+		const response = {
+			token_type: "bearer",
+			expires_in: this.expiresIn,
+			access_token: accessToken,
+			scope
+		}
+
+		if (scope.split(" ").includes("offline.access")) {
+			response.refresh_token = randomToken()
+			this._refreshTokens.set(response.refresh_token, {
+				clientId,
+				scope,
+				accessToken
+			})
+		}
+
+		return response
+	}
+
+	/**
+	 * Revoke endpoint: invalidate an access or refresh token.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {Object} body - The parsed body.
+	 * @param {http.ServerResponse} res - The response.
+	 * @private
+	 */
+	_revoke(req, body, res) {
+		if (!this._authenticateClient(req, body)) {
+			return sendOAuthError(
+				res,
+				401,
+				"invalid_client",
+				"Client authentication failed"
+			)
+		}
+
+		this._accessTokens.delete(body.token)
+		this._refreshTokens.delete(body.token)
+		sendJson(res, 200, { revoked: true })
+	}
+
+	/**
+	 * App-only token endpoint: issue a bearer token with the client
+	 * credentials grant.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {URLSearchParams} params - The query, which may carry `grant_type`.
+	 * @param {Object} body - The parsed body.
+	 * @param {http.ServerResponse} res - The response.
+	 * @private
+	 */
+	_appToken(req, params, body, res) {
+		const grantType = body.grant_type || params.get("grant_type")
+		if (!this._authenticateApp(req)) {
+			return sendProblem(res, 403, "Unable to verify your credentials")
+		}
+		if (grantType !== "client_credentials") {
+			return sendProblem(res, 400, "grant_type must be client_credentials")
+		}
+
+		const token = randomToken()
+		this._appTokens.add(token)
+		sendJson(res, 200, { token_type: "bearer", access_token: token })
+	}
+
+	/**
+	 * App-only token invalidation endpoint.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {Object} body - The parsed body.
+	 * @param {http.ServerResponse} res - The response.
+	 * @private
+	 */
+	_invalidateAppToken(req, body, res) {
+		if (!this._authenticateApp(req)) {
+			return sendProblem(res, 403, "Unable to verify your credentials")
+		}
+
+		this._appTokens.delete(body.access_token)
+		sendJson(res, 200, { access_token: body.access_token })
+	}
+
+	/**
+	 * `users/me`: return the configured user for a valid user access token.
+	 * @param {http.IncomingMessage} req - The request.
+	 * @param {URLSearchParams} params - The query, which may carry `user.fields`.
+	 * @param {http.ServerResponse} res - The response.
+	 * @private
+	 */
+	_usersMe(req, params, res) {
+		const header = req.headers.authorization || ""
+		const grant = this._accessTokens.get(header.replace(/^Bearer /, ""))
+		if (!grant || grant.expiresAt <= Date.now()) {
+			return sendProblem(res, 401, "Unauthorized")
+		}
+
+		const fields = (params.get("user.fields") || "").split(",")
+		const data = {
+			id: this.user.id,
+			name: this.user.name,
+			username: this.user.username
+		}
+		for (const field of fields) {
+			if (field && this.user[field] !== undefined) {
+				data[field] = this.user[field]
+			}
+		}
+		sendJson(res, 200, { data })
+	}
+}
+
+module.exports = {
+	DEFAULT_MOCK_USER,
+	MockXServer
+}
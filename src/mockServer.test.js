@@ -0,0 +1,248 @@
+const { execFileSync } = require('child_process');
+const XOAuth = require('./xoauth2');
+const { MockXServer, DEFAULT_MOCK_USER } = require('./mockServer');
+const { AccessDeniedError, ApiError, RateLimitError, TokenRefreshError } = XOAuth;
+
+const redirectUri = 'http://localhost:3000/callback';
+
+describe('mockServer', () => {
+    let server;
+    let xoauth;
+    let session;
+    let consoleErrorSpy;
+    let consoleLogSpy;
+
+    const login = async () => {
+        const query = await server.consent(await xoauth.getAuthorizationURL(session));
+        return xoauth.handleCallbackQuery(query, session);
+    };
+
+    beforeEach(async () => {
+        server = new MockXServer({ clientId: 'client', clientSecret: 'secret', appKey: 'key', appSecret: 'key-secret' });
+        await server.listen();
+        xoauth = new XOAuth('client', 'secret', redirectUri, undefined, server.clientOptions());
+        session = {};
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+        consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(async () => {
+        consoleErrorSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+        await server.close();
+    });
+
+    describe('export', () => {
+        test('is exported from the main module', () => {
+            expect(XOAuth.MockXServer).toBe(MockXServer);
+        });
+
+        test('is not loaded until it is used', () => {
+            const script = `
+                require('./src/xoauth2');
+                const loaded = () => Object.keys(require.cache).some(file => file.endsWith('mockServer.js'));
+                const before = loaded();
+                require('./src/xoauth2').MockXServer;
+                console.log(JSON.stringify([before, loaded()]));
+            `;
+            const output = execFileSync(process.execPath, ['-e', script], { cwd: `${__dirname}/..` });
+            expect(JSON.parse(output)).toEqual([false, true]);
+        });
+    });
+
+    describe('login', () => {
+        test('logs in with the authorization code and PKCE', async () => {
+            const user = await login();
+
+            expect(user).toMatchObject({
+                id: DEFAULT_MOCK_USER.id,
+                username: DEFAULT_MOCK_USER.username,
+                profileImageUrl: 'https://pbs.twimg.com/profile_images/1/x.jpg',
+                scope: 'tweet.read users.read offline.access'
+            });
+            expect(user.accessToken).toEqual(expect.any(String));
+            expect(user.refreshToken).toEqual(expect.any(String));
+            expect(user.expiresAt).toBeGreaterThan(Date.now());
+        });
+
+        test('returns the configured user', async () => {
+            await server.close();
+            server = new MockXServer({ user: { id: '42', username: 'alice' } });
+            await server.listen();
+            xoauth = new XOAuth('client', undefined, redirectUri, undefined, server.clientOptions());
+
+            const user = await login();
+
+            expect(user.id).toBe('42');
+            expect(user.username).toBe('alice');
+        });
+
+        test('accepts public clients without a configured secret', async () => {
+            await server.close();
+            server = new MockXServer();
+            await server.listen();
+            xoauth = new XOAuth('native-app', undefined, redirectUri, undefined, server.clientOptions());
+
+            await expect(login()).resolves.toMatchObject({ id: DEFAULT_MOCK_USER.id });
+        });
+
+        test('redirects with access_denied when denying', async () => {
+            server.deny = true;
+            await expect(login()).rejects.toThrow(AccessDeniedError);
+        });
+
+        test('rejects a wrong code verifier', async () => {
+            const query = await server.consent(await xoauth.getAuthorizationURL(session));
+            session.codeVerifier = 'wrong-verifier';
+
+            const error = await xoauth.handleCallbackQuery(query, session).catch(e => e);
+
+            expect(error.cause).toBeInstanceOf(ApiError);
+            expect(error.cause.title).toBe('invalid_grant');
+            expect(error.cause.detail).toBe('Invalid code_verifier');
+        });
+
+        test('rejects a reused code', async () => {
+            const query = await server.consent(await xoauth.getAuthorizationURL(session));
+            const { codeVerifier, state } = session;
+            await xoauth.handleCallbackQuery(query, session);
+
+            Object.assign(session, { codeVerifier, state });
+            const error = await xoauth.handleCallbackQuery(query, session).catch(e => e);
+            expect(error.cause.detail).toBe('Invalid authorization code');
+        });
+
+        test('rejects the wrong client secret', async () => {
+            xoauth.clientSecret = 'wrong';
+            const error = await login().catch(e => e);
+            expect(error.cause.status).toBe(401);
+            expect(error.cause.title).toBe('invalid_client');
+        });
+
+        test('reports an invalid authorization request back to the callback', async () => {
+            const url = new URL(await xoauth.getAuthorizationURL(session));
+            url.searchParams.delete('code_challenge');
+            const query = await server.consent(url.toString());
+            expect(query).toEqual({ error: 'invalid_request', error_description: 'Missing code_challenge', state: session.state });
+        });
+    });
+
+    describe('tokens', () => {
+        test('rotates refresh tokens', async () => {
+            const user = await login();
+            const { accessToken, refreshToken } = user;
+
+            await xoauth.refreshToken(session);
+
+            expect(session.user.accessToken).not.toBe(accessToken);
+            expect(session.user.refreshToken).not.toBe(refreshToken);
+            await expect(xoauth.get('users/me', {}, { Authorization: `Bearer ${accessToken}` }, undefined)).rejects.toMatchObject({ status: 401 });
+
+            session.user.refreshToken = refreshToken;
+            await expect(xoauth.refreshToken(session)).rejects.toThrow(TokenRefreshError);
+        });
+
+        test('refreshes an expired access token on 401', async () => {
+            await login();
+            const { accessToken } = session.user;
+            server.expireAccessTokens();
+
+            const me = await xoauth.get('users/me', {}, {}, session);
+
+            expect(me.data.id).toBe(DEFAULT_MOCK_USER.id);
+            expect(session.user.accessToken).not.toBe(accessToken);
+        });
+
+        test('revokes tokens on logout', async () => {
+            await login();
+            const { accessToken } = session.user;
+
+            await xoauth.logout(session);
+
+            expect(consoleLogSpy).toHaveBeenCalledWith('Token revoked successfully');
+            await expect(xoauth.get('users/me', {}, { Authorization: `Bearer ${accessToken}` })).rejects.toMatchObject({ status: 401 });
+        });
+
+        test('issues and invalidates app-only tokens', async () => {
+            xoauth = new XOAuth('client', 'secret', redirectUri, undefined, {
+                ...server.clientOptions(), appOnly: true, appKey: 'key', appSecret: 'key-secret'
+            });
+            const token = await xoauth.getAppToken();
+            expect(token).toEqual(expect.any(String));
+
+            await xoauth.invalidateAppToken();
+            expect(server.requests.map(r => `${r.method} ${r.path}`)).toEqual([
+                'POST /oauth2/token',
+                'POST /oauth2/invalidate_token'
+            ]);
+        });
+
+        test('rejects app-only token requests with other credentials', async () => {
+            xoauth = new XOAuth('client', 'secret', redirectUri, undefined, {
+                ...server.clientOptions(), appOnly: true, appKey: 'client', appSecret: 'secret'
+            });
+
+            await expect(xoauth.getAppToken()).rejects.toMatchObject({ status: 403 });
+        });
+    });
+
+    describe('failure injection', () => {
+        beforeEach(async () => {
+            await login();
+            server.requests = [];
+        });
+
+        test('fails matching requests with the injected status', async () => {
+            server.inject({ path: 'users/me', status: 503, times: 2 });
+
+            await expect(xoauth.get('users/me', {}, {}, session)).rejects.toMatchObject({ status: 503, title: 'Service Unavailable' });
+            await expect(xoauth.get('users/me', {}, {}, session)).rejects.toMatchObject({ status: 503 });
+            await expect(xoauth.get('users/me', {}, {}, session)).resolves.toMatchObject({ data: { id: DEFAULT_MOCK_USER.id } });
+        });
+
+        test('only fails the given path and method', async () => {
+            server.inject({ path: '/oauth2/token', method: 'POST', status: 500 });
+            await expect(xoauth.get('users/me', {}, {}, session)).resolves.toBeDefined();
+            expect(server._failures).toHaveLength(1);
+        });
+
+        test('lets the client retry transient failures', async () => {
+            server.inject({ status: 502 });
+            const me = await xoauth.get('users/me', {}, {}, session, { retry: { retries: 1, minDelay: 1 } });
+            expect(me.data.id).toBe(DEFAULT_MOCK_USER.id);
+            expect(server.requests).toHaveLength(2);
+        });
+
+        test('sends rate limit headers with 429', async () => {
+            server.inject({ path: 'users/me', status: 429 });
+
+            const error = await xoauth.get('users/me', {}, {}, session).catch(e => e);
+
+            expect(error).toBeInstanceOf(RateLimitError);
+            expect(error.rateLimit).toMatchObject({ limit: 15, remaining: 0 });
+            expect(error.rateLimit.reset).toBeGreaterThanOrEqual(Math.floor(Date.now() / 1000));
+        });
+
+        test('forces a token refresh with 401', async () => {
+            const { accessToken } = session.user;
+            server.inject({ path: 'users/me', status: 401 });
+
+            await xoauth.get('users/me', {}, {}, session);
+
+            expect(session.user.accessToken).not.toBe(accessToken);
+        });
+
+        test('sends a custom body and headers', async () => {
+            server.inject({ status: 400, body: { errors: [{ message: 'Bad field' }] }, headers: { 'x-custom': '1' } });
+            await expect(xoauth.get('users/me', {}, {}, session)).rejects.toThrow('HTTP error! status: 400, message: Bad field');
+        });
+    });
+
+    test('is exported from the main module', () => {
+        expect(XOAuth.MockXServer).toBe(MockXServer);
+    });
+
+    test('answers unknown routes with 404', async () => {
+        await expect(xoauth.get('tweets/1', {}, { Authorization: 'Bearer x' })).rejects.toMatchObject({ status: 404 });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Merge the `includes` of a page into the includes collected so far,
+ * skipping objects already present by `id` or `media_key`.
+ * @param {Object} target - The includes collected so far, updated in place.
+ * @param {Object} [source] - The includes of the page.
+ * @returns {Object} The target.
+ */
+function mergeIncludes(target, source) {
+	if (!source) {
+		return target
+	}
+
+	for (const [key, objects] of Object.entries(source)) {
+		if (!Array.isArray(objects)) {
+			continue
+		}
+
+		const existing = target[key] || (target[key] = [])
+		const seen = new Set(existing.map(object => object.id || object.media_key))
+
+		for (const object of objects) {
+			const id = object.id || object.media_key
+			if (id === undefined || !seen.has(id)) {
+				existing.push(object)
+				seen.add(id)
+			}
+		}
+	}
+
+	return target
+}
+
+/**
+ * Get the query parameter an endpoint takes the next page token in.
+ * Search endpoints take `next_token`, everything else `pagination_token`.
+ * @param {string} endpoint - The API endpoint.
+ * @returns {string} The parameter name.
+ */
+function getTokenParam(endpoint) {
+	return /^tweets\/search\//.test(endpoint) ? "next_token" : "pagination_token"
+}
+
+/**
+ * Async iterator over the pages, or the items, of a paginated endpoint.
+ * Pages are requested through the client's `get`, so token refresh, rate
+ * limit handling and retries apply to every page. The `includes` of every
+ * page fetched so far are merged into `includes`, and the `meta` of the
+ * latest page is kept in `meta`.
+ */
+class Paginator {
+	/**
+	 * Create a Paginator.
+	 * @param {Object} client - The XOAuth client.
+	 * @param {string} endpoint - The API endpoint.
+	 * @param {Object} [params={}] - Query parameters.
+	 * @param {Object} [session] - The session object.
+	 * @param {Object} [options={}] - Pagination options.
+	 * @param {boolean} [options.items=false] - Yield the items of each page's `data` instead of whole pages.
+	 * @param {number} [options.maxItems] - Stop after this many items.
+	 * @param {number} [options.maxPages] - Stop after this many pages.
+	 * @param {string} [options.paginationToken] - The token of the page to start from.
+	 * @param {string} [options.tokenParam] - The query parameter the token is sent in, if not the endpoint's default.
+	 * @param {Object} [options.headers={}] - Additional headers.
+	 * @param {AbortSignal} [options.signal] - Aborts the pagination.
+	 * @param {Object|boolean} [options.retry] - Retry settings for each page request.
+	 */
+	constructor(client, endpoint, params = {}, session, options = {}) {
+		this.client = client
+		this.endpoint = endpoint
+		this.params = params
+		this.session = session
+		this.options = options
+		this.tokenParam = options.tokenParam || getTokenParam(endpoint)
+		this.includes = {}
+		this.meta = undefined
+		this.pageCount = 0
+		this.itemCount = 0
+	}
+
+	async *[Symbol.asyncIterator]() {
+		const { items, maxItems, maxPages, headers = {}, signal, retry } =
+			this.options
+		let token = this.options.paginationToken
+
+		this.includes = {}
+		this.meta = undefined
+		this.pageCount = 0
+		this.itemCount = 0
+
+		do {
+			const query = { ...this.params }
+			if (token) {
+				query[this.tokenParam] = token
+			}
+
+			const page = await this.client.get(
+				this.endpoint,
+				query,
+				headers,
+				this.session,
+				{ signal, retry }
+			)
+
+			this.pageCount++
+			this.meta = page.meta
+			mergeIncludes(this.includes, page.includes)
+
+			if (Array.isArray(page.data) && maxItems !== undefined) {
+				page.data = page.data.slice(0, maxItems - this.itemCount)
+			}
+			const data = Array.isArray(page.data) ? page.data : []
+			this.itemCount += data.length
+
+			if (items) {
+				yield* data
+			} else {
+				yield page
+			}
+
+			token = page.meta && page.meta.next_token
+		} while (
+			token &&
+			(maxPages === undefined || this.pageCount < maxPages) &&
+			(maxItems === undefined || this.itemCount < maxItems)
+		)
+	}
+}
+
+module.exports = {
+	Paginator,
+	mergeIncludes,
+	getTokenParam
+}
@@ -0,0 +1,136 @@
+const { Paginator, mergeIncludes, getTokenParam } = require('./paginate');
+const { collect } = require('./testHelpers');
+
+describe('paginate', () => {
+    describe('mergeIncludes', () => {
+        test('concatenates includes by key', () => {
+            const target = { users: [{ id: '1' }] };
+            mergeIncludes(target, { users: [{ id: '2' }], media: [{ media_key: '3_1' }] });
+            expect(target).toEqual({ users: [{ id: '1' }, { id: '2' }], media: [{ media_key: '3_1' }] });
+        });
+
+        test('skips objects already included', () => {
+            const target = { users: [{ id: '1' }], media: [{ media_key: '3_1' }] };
+            mergeIncludes(target, { users: [{ id: '1' }], media: [{ media_key: '3_1' }] });
+            expect(target).toEqual({ users: [{ id: '1' }], media: [{ media_key: '3_1' }] });
+        });
+
+        test('ignores missing includes and non-array values', () => {
+            const target = {};
+            expect(mergeIncludes(target, undefined)).toBe(target);
+            mergeIncludes(target, { note: 'x' });
+            expect(target).toEqual({});
+        });
+    });
+
+    describe('getTokenParam', () => {
+        test('uses next_token for search endpoints', () => {
+            expect(getTokenParam('tweets/search/recent')).toBe('next_token');
+            expect(getTokenParam('tweets/search/all')).toBe('next_token');
+        });
+
+        test('uses pagination_token for other endpoints', () => {
+            expect(getTokenParam('users/123/followers')).toBe('pagination_token');
+        });
+    });
+
+    describe('Paginator', () => {
+        const session = { id: 'session123' };
+        let client;
+        let pages;
+
+        beforeEach(() => {
+            pages = [
+                { data: [{ id: '1' }, { id: '2' }], includes: { users: [{ id: 'u1' }] }, meta: { result_count: 2, next_token: 'token2' } },
+                { data: [{ id: '3' }, { id: '4' }], includes: { users: [{ id: 'u1' }, { id: 'u2' }] }, meta: { result_count: 2, next_token: 'token3' } },
+                { data: [{ id: '5' }], meta: { result_count: 1 } }
+            ];
+            client = { get: jest.fn(() => Promise.resolve(pages.shift())) };
+        });
+
+        test('yields every page following next_token', async () => {
+            const results = await collect(new Paginator(client, 'users/123/followers', { max_results: 2 }, session));
+
+            expect(results.map(page => page.data.length)).toEqual([2, 2, 1]);
+            expect(client.get).toHaveBeenCalledTimes(3);
+            expect(client.get.mock.calls[0]).toEqual(['users/123/followers', { max_results: 2 }, {}, session, { signal: undefined, retry: undefined }]);
+            expect(client.get.mock.calls[1][1]).toEqual({ max_results: 2, pagination_token: 'token2' });
+            expect(client.get.mock.calls[2][1]).toEqual({ max_results: 2, pagination_token: 'token3' });
+        });
+
+        test('sends the token in next_token for search endpoints', async () => {
+            await collect(new Paginator(client, 'tweets/search/recent', { query: 'x' }, session));
+            expect(client.get.mock.calls[1][1]).toEqual({ query: 'x', next_token: 'token2' });
+        });
+
+        test('sends the token in a custom parameter', async () => {
+            await collect(new Paginator(client, 'custom', {}, session, { tokenParam: 'cursor' }));
+            expect(client.get.mock.calls[1][1]).toEqual({ cursor: 'token2' });
+        });
+
+        test('starts from a given pagination token', async () => {
+            await collect(new Paginator(client, 'users/123/followers', {}, session, { paginationToken: 'token1', maxPages: 1 }));
+            expect(client.get.mock.calls[0][1]).toEqual({ pagination_token: 'token1' });
+        });
+
+        test('yields items with the items option', async () => {
+            const results = await collect(new Paginator(client, 'users/123/followers', {}, session, { items: true }));
+            expect(results.map(item => item.id)).toEqual(['1', '2', '3', '4', '5']);
+        });
+
+        test('merges includes across pages', async () => {
+            const paginator = new Paginator(client, 'users/123/tweets', {}, session, { items: true });
+            await collect(paginator);
+            expect(paginator.includes).toEqual({ users: [{ id: 'u1' }, { id: 'u2' }] });
+            expect(paginator.meta).toEqual({ result_count: 1 });
+            expect(paginator.pageCount).toBe(3);
+            expect(paginator.itemCount).toBe(5);
+        });
+
+        test('stops after maxPages', async () => {
+            const results = await collect(new Paginator(client, 'users/123/followers', {}, session, { maxPages: 2 }));
+            expect(results).toHaveLength(2);
+            expect(client.get).toHaveBeenCalledTimes(2);
+        });
+
+        test('stops after maxItems', async () => {
+            const results = await collect(new Paginator(client, 'users/123/followers', {}, session, { items: true, maxItems: 3 }));
+            expect(results.map(item => item.id)).toEqual(['1', '2', '3']);
+            expect(client.get).toHaveBeenCalledTimes(2);
+        });
+
+        test('truncates the last page to maxItems', async () => {
+            const results = await collect(new Paginator(client, 'users/123/followers', {}, session, { maxItems: 3 }));
+            expect(results.map(page => page.data.length)).toEqual([2, 1]);
+        });
+
+        test('handles pages without data', async () => {
+            pages = [{ meta: { result_count: 0 } }];
+            const results = await collect(new Paginator(client, 'users/123/followers', {}, session, { items: true }));
+            expect(results).toEqual([]);
+        });
+
+        test('passes headers, signal and retry settings to every request', async () => {
+            const signal = new AbortController().signal;
+            const headers = { Authorization: 'Bearer app' };
+            await collect(new Paginator(client, 'users/123/followers', {}, session, { headers, signal, retry: true }));
+            for (const call of client.get.mock.calls) {
+                expect(call[2]).toBe(headers);
+                expect(call[4]).toEqual({ signal, retry: true });
+            }
+        });
+
+        test('stops when a page request fails', async () => {
+            client.get = jest.fn()
+                .mockResolvedValueOnce(pages[0])
+                .mockRejectedValueOnce(new Error('Rate limit exceeded. Status: 429'));
+            const results = [];
+            await expect((async () => {
+                for await (const page of new Paginator(client, 'users/123/followers', {}, session)) {
+                    results.push(page);
+                }
+            })()).rejects.toThrow('Rate limit exceeded');
+            expect(results).toHaveLength(1);
+        });
+    });
+});
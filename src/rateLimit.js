@@ -0,0 +1,183 @@
+/**
+ * Read X's rate limit headers from a response.
+ * @param {Headers} [headers] - The response headers.
+ * @returns {Object|undefined} The rate limit, or undefined if the headers are absent.
+ *   `limit` is the number of requests allowed in the window, `remaining` the
+ *   number left, and `reset` the Unix time in seconds at which the window resets.
+ */
+function parseRateLimit(headers) {
+	if (!headers || typeof headers.get !== "function") {
+		return undefined
+	}
+
+	const limit = headers.get("x-rate-limit-limit")
+	const remaining = headers.get("x-rate-limit-remaining")
+	const reset = headers.get("x-rate-limit-reset")
+
+	if (limit === null && remaining === null && reset === null) {
+		return undefined
+	}
+
+	const toNumber = value => (value === null ? undefined : Number(value))
+
+	return {
+		limit: toNumber(limit),
+		remaining: toNumber(remaining),
+		reset: toNumber(reset)
+	}
+}
+
+/**
+ * Work out how long to wait until a rate limit window resets.
+ * @param {Object} [rateLimit] - The rate limit read by parseRateLimit.
+ * @returns {number|undefined} The delay in milliseconds, or undefined if the reset time is unknown.
+ */
+function getResetDelay(rateLimit) {
+	if (!rateLimit || !rateLimit.reset) {
+		return undefined
+	}
+	return Math.max(rateLimit.reset * 1000 - Date.now(), 0)
+}
+
+/**
+ * Expose the rate limit of a response on its parsed body as a
+ * non-enumerable `rateLimit` property.
+ * @param {*} data - The parsed response body.
+ * @param {Object} [rateLimit] - The rate limit read by parseRateLimit.
+ * @returns {*} The same body.
+ */
+function attachRateLimit(data, rateLimit) {
+	if (rateLimit && data !== null && typeof data === "object") {
+		Object.defineProperty(data, "rateLimit", {
+			value: rateLimit,
+			configurable: true,
+			writable: true
+		})
+	}
+	return data
+}
+
+/**
+ * Normalize an endpoint into the route X rate limits it under, replacing
+ * numeric path segments with `:id` and dropping the query string.
+ * @param {string} endpoint - The API endpoint.
+ * @returns {string} The route, such as `tweets/:id/liking_users`.
+ */
+function getRoute(endpoint) {
+	return endpoint
+		.split("?")[0]
+		.split("/")
+		.map(segment => (/^\d+$/.test(segment) ? ":id" : segment))
+		.join("/")
+}
+
+/**
+ * Tracks the remaining rate limit budget per endpoint and token, so requests
+ * can be held back while a window is exhausted instead of being sent only to
+ * receive a 429.
+ */
+class RateLimiter {
+	constructor() {
+		this._budgets = new Map()
+	}
+
+	/**
+	 * Build the key a budget is tracked under.
+	 * @param {string} method - The HTTP method.
+	 * @param {string} endpoint - The API endpoint.
+	 * @param {string} identity - The user or app the token belongs to.
+	 * @returns {string} The budget key.
+	 */
+	getKey(method, endpoint, identity) {
+		return `${method} ${getRoute(endpoint)} ${identity}`
+	}
+
+	/**
+	 * Record the rate limit reported by a response.
+	 * Within the same window the lower remaining count wins, so responses
+	 * arriving out of order do not hand back budget that in-flight requests
+	 * have already taken.
+	 * @param {string} key - The budget key.
+	 * @param {Object} [rateLimit] - The rate limit read by parseRateLimit.
+	 */
+	update(key, rateLimit) {
+		if (!rateLimit || rateLimit.remaining === undefined || !rateLimit.reset) {
+			return
+		}
+
+		const resetAt = rateLimit.reset * 1000
+		const budget = this._budgets.get(key)
+
+		if (budget && budget.resetAt === resetAt) {
+			budget.remaining = Math.min(budget.remaining, rateLimit.remaining)
+			return
+		}
+
+		this._budgets.set(key, {
+			limit: rateLimit.limit,
+			remaining: rateLimit.remaining,
+			resetAt
+		})
+	}
+
+	/**
+	 * Take one request from the budget.
+	 * @param {string} key - The budget key.
+	 * @returns {number} 0 if the request may be sent now, otherwise the
+	 *   milliseconds until the window resets, after which it should try again.
+	 */
+	reserve(key) {
+		const budget = this._budgets.get(key)
+		if (!budget) {
+			return 0
+		}
+
+		const now = Date.now()
+
+		if (budget.resetAt <= now) {
+			if (budget.limit === undefined) {
+				this._budgets.delete(key)
+				return 0
+			}
+			// The new window's reset time is unknown until a response reports it
+			budget.remaining = budget.limit
+			budget.resetAt = Infinity
+		}
+
+		if (budget.remaining > 0) {
+			budget.remaining--
+			return 0
+		}
+
+		if (budget.resetAt === Infinity) {
+			return 0
+		}
+
+		return budget.resetAt - now
+	}
+
+	/**
+	 * Get the budget tracked for a key.
+	 * @param {string} key - The budget key.
+	 * @returns {Object|undefined} The `limit`, `remaining` and `resetAt` (milliseconds since the epoch).
+	 */
+	getBudget(key) {
+		const budget = this._budgets.get(key)
+		return budget ? { ...budget } : undefined
+	}
+
+	/**
+	 * Forget every tracked budget.
+	 */
+	clear() {
+		this._budgets.clear()
+	}
+}
+
+module.exports = {
+	parseRateLimit,
+	getResetDelay,
+	attachRateLimit,
+	getRoute,
+	RateLimiter
+}
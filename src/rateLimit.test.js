@@ -0,0 +1,158 @@
+const { parseRateLimit, getResetDelay, attachRateLimit, getRoute, RateLimiter } = require('./rateLimit');
+
+describe('rateLimit', () => {
+    describe('parseRateLimit', () => {
+        test('reads the rate limit headers', () => {
+            const headers = new Headers({
+                'x-rate-limit-limit': '900',
+                'x-rate-limit-remaining': '899',
+                'x-rate-limit-reset': '1700000000'
+            });
+            expect(parseRateLimit(headers)).toEqual({ limit: 900, remaining: 899, reset: 1700000000 });
+        });
+
+        test('leaves missing headers undefined', () => {
+            const headers = new Headers({ 'x-rate-limit-remaining': '0' });
+            expect(parseRateLimit(headers)).toEqual({ limit: undefined, remaining: 0, reset: undefined });
+        });
+
+        test('returns undefined without rate limit headers', () => {
+            expect(parseRateLimit(new Headers())).toBeUndefined();
+        });
+
+        test('returns undefined without headers', () => {
+            expect(parseRateLimit(undefined)).toBeUndefined();
+            expect(parseRateLimit({})).toBeUndefined();
+        });
+    });
+
+    describe('getResetDelay', () => {
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+        });
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        test('returns the milliseconds until the reset', () => {
+            expect(getResetDelay({ reset: 1700000060 })).toBe(60000);
+        });
+
+        test('returns zero once the reset has passed', () => {
+            expect(getResetDelay({ reset: 1699999990 })).toBe(0);
+        });
+
+        test('returns undefined when the reset is unknown', () => {
+            expect(getResetDelay(undefined)).toBeUndefined();
+            expect(getResetDelay({ remaining: 0 })).toBeUndefined();
+        });
+    });
+
+    describe('attachRateLimit', () => {
+        const rateLimit = { limit: 900, remaining: 899, reset: 1700000000 };
+
+        test('adds a non-enumerable rateLimit property', () => {
+            const data = attachRateLimit({ data: { id: '1' } }, rateLimit);
+            expect(data.rateLimit).toBe(rateLimit);
+            expect(Object.keys(data)).toEqual(['data']);
+        });
+
+        test('leaves non-object bodies and missing rate limits alone', () => {
+            expect(attachRateLimit('text', rateLimit)).toBe('text');
+            expect(attachRateLimit(null, rateLimit)).toBeNull();
+            expect(attachRateLimit({}, undefined)).not.toHaveProperty('rateLimit');
+        });
+    });
+
+    describe('getRoute', () => {
+        test('replaces numeric path segments with :id', () => {
+            expect(getRoute('tweets/1460323737035677698/liking_users')).toBe('tweets/:id/liking_users');
+            expect(getRoute('users/2244994945/likes/1460323737035677698')).toBe('users/:id/likes/:id');
+        });
+
+        test('drops the query string', () => {
+            expect(getRoute('tweets/search/recent?query=x')).toBe('tweets/search/recent');
+        });
+    });
+
+    describe('RateLimiter', () => {
+        const now = 1700000000000;
+        let limiter;
+        let key;
+
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            limiter = new RateLimiter();
+            key = limiter.getKey('GET', 'tweets/123', 'user:1');
+        });
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        test('keys budgets by method, route and identity', () => {
+            expect(key).toBe('GET tweets/:id user:1');
+            expect(limiter.getKey('GET', 'tweets/456', 'user:1')).toBe(key);
+            expect(limiter.getKey('DELETE', 'tweets/123', 'user:1')).not.toBe(key);
+            expect(limiter.getKey('GET', 'tweets/123', 'user:2')).not.toBe(key);
+        });
+
+        test('allows requests for untracked keys', () => {
+            expect(limiter.reserve(key)).toBe(0);
+        });
+
+        test('ignores responses without a complete rate limit', () => {
+            limiter.update(key, undefined);
+            limiter.update(key, { limit: 5, remaining: 0 });
+            expect(limiter.getBudget(key)).toBeUndefined();
+        });
+
+        test('takes from the remaining budget', () => {
+            limiter.update(key, { limit: 5, remaining: 2, reset: now / 1000 + 60 });
+            expect(limiter.reserve(key)).toBe(0);
+            expect(limiter.reserve(key)).toBe(0);
+            expect(limiter.getBudget(key).remaining).toBe(0);
+        });
+
+        test('returns the delay until the reset once the budget is exhausted', () => {
+            limiter.update(key, { limit: 5, remaining: 0, reset: now / 1000 + 60 });
+            expect(limiter.reserve(key)).toBe(60000);
+        });
+
+        test('keeps the lower remaining count within a window', () => {
+            limiter.update(key, { limit: 5, remaining: 3, reset: now / 1000 + 60 });
+            limiter.reserve(key);
+            limiter.reserve(key);
+            limiter.update(key, { limit: 5, remaining: 2, reset: now / 1000 + 60 });
+            expect(limiter.getBudget(key).remaining).toBe(1);
+        });
+
+        test('replaces the budget when a new window is reported', () => {
+            limiter.update(key, { limit: 5, remaining: 0, reset: now / 1000 + 60 });
+            limiter.update(key, { limit: 5, remaining: 4, reset: now / 1000 + 960 });
+            expect(limiter.getBudget(key)).toEqual({ limit: 5, remaining: 4, resetAt: now + 960000 });
+        });
+
+        test('refills the budget once the window has reset', () => {
+            limiter.update(key, { limit: 2, remaining: 0, reset: now / 1000 - 1 });
+            expect(limiter.reserve(key)).toBe(0);
+            expect(limiter.reserve(key)).toBe(0);
+            expect(limiter.getBudget(key).remaining).toBe(0);
+            // The next reset is unknown, so further requests are let through
+            expect(limiter.reserve(key)).toBe(0);
+        });
+
+        test('forgets a reset budget with an unknown limit', () => {
+            limiter.update(key, { remaining: 0, reset: now / 1000 - 1 });
+            expect(limiter.reserve(key)).toBe(0);
+            expect(limiter.getBudget(key)).toBeUndefined();
+        });
+
+        test('clear forgets every budget', () => {
+            limiter.update(key, { limit: 5, remaining: 0, reset: now / 1000 + 60 });
+            limiter.clear();
+            expect(limiter.reserve(key)).toBe(0);
+        });
+    });
+});
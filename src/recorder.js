@@ -0,0 +1,254 @@
+const fs = require("fs").promises
+const path = require("path")
+const { redact } = require("./redact")
+
+/**
+ * Response headers kept in fixtures. Others, such as cookies, are dropped.
+ */
+const RECORDED_HEADERS = [
+	"content-type",
+	"retry-after",
+	"x-rate-limit-limit",
+	"x-rate-limit-remaining",
+	"x-rate-limit-reset"
+]
+
+/**
+ * Read the parameters of a request body sent as a form or as JSON.
+ * @param {*} body - The fetch body.
+ * @returns {Object|undefined} The parameters, or undefined for other bodies.
+ */
+function parseRequestBody(body) {
+	if (body instanceof URLSearchParams) {
+		return Object.fromEntries(body)
+	}
+	if (typeof body === "string") {
+		try {
+			return JSON.parse(body)
+		} catch (error) {
+			return undefined
+		}
+	}
+	return undefined
+}
+
+/**
+ * Get the query parameters of a URL as an object with sorted keys, so the
+ * same parameters always compare equal.
+ * @param {URL} url - The URL.
+ * @returns {Object} The parameters.
+ */
+function getParams(url) {
+	const params = {}
+	for (const key of [...url.searchParams.keys()].sort()) {
+		params[key] = url.searchParams.getAll(key).join(",")
+	}
+	return params
+}
+
+/**
+ * Records the requests XOAuth sends and the responses it gets to a fixture
+ * file, or replays them from one without network access. It wraps the fetch
+ * used for every request, including token refreshes. Tokens and secrets are
+ * redacted from fixtures, and request headers are not recorded.
+ *
+ * Replayed requests are matched by method, path and query parameters, each
+ * recorded response being used once in the order recorded.
+ *
+ * When recording, responses are returned as soon as they arrive and their
+ * bodies are recorded in the background; `save()` waits for them. Streamed
+ * responses, such as the filtered stream's, never end, so they are passed
+ * through without being recorded.
+ */
+class Recorder {
+	/**
+	 * Create a Recorder.
+	 * @param {string} filePath - The path of the JSON fixture file.
+	 * @param {Object} [options={}] - Recorder options.
+	 * @param {string} [options.mode="replay"] - `record` to send requests and record them, `replay` to answer them from the fixture.
+	 * @param {string[]} [options.redact=[]] - Names of further parameters and response fields to redact.
+	 */
+	constructor(filePath, options = {}) {
+		this.filePath = filePath
+		this.mode = options.mode || "replay"
+		this.redactKeys = options.redact || []
+		this.interactions = []
+		this._loaded = this.mode === "record"
+		this._used = new Set()
+		this._writes = Promise.resolve()
+		this._recordings = new Set()
+	}
+
+	/**
+	 * Send a request, recording or replaying it.
+	 * @param {string} url - The full request URL.
+	 * @param {Object} init - The fetch options.
+	 * @param {function} baseFetch - The fetch that sends the request when recording.
+	 * @param {Object} [options={}] - Options for this request.
+	 * @param {boolean} [options.stream=false] - The caller reads the body as a stream, so the request is sent without being recorded or replayed.
+	 * @returns {Promise<Response>} The response, returned before its body is recorded.
+	 * @throws {Error} When replaying a request that was not recorded.
+	 */
+	async fetch(url, init, baseFetch, options = {}) {
+		if (options.stream) {
+			return baseFetch(url, init)
+		}
+
+		const request = this._describeRequest(url, init)
+
+		if (this.mode === "record") {
+			const response = await baseFetch(url, init)
+			// Keep interactions in the order the responses arrived
+			const interaction = { request }
+			this.interactions.push(interaction)
+			const recording = this._record(interaction, response.clone())
+			this._recordings.add(recording)
+			recording.finally(() => this._recordings.delete(recording))
+			return response
+		}
+
+		return this._replay(request)
+	}
+
+	/**
+	 * Write the recorded interactions to the fixture file, once the bodies of
+	 * responses already received are recorded.
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		await Promise.all(this._recordings)
+		return this._write()
+	}
+
+	/**
+	 * Write the interactions recorded so far to the fixture file.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	_write() {
+		const write = this._writes.then(async () => {
+			const interactions = this.interactions.filter(
+				interaction => interaction.response
+			)
+			await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+			await fs.writeFile(
+				this.filePath,
+				JSON.stringify(interactions, null, "\t") + "\n"
+			)
+		})
+
+		this._writes = write.catch(() => {})
+		return write
+	}
+
+	/**
+	 * Describe a request the way it is stored in fixtures.
+	 * @param {string} url - The full request URL.
+	 * @param {Object} [init={}] - The fetch options.
+	 * @returns {Object} The method, path, redacted query parameters and redacted body.
+	 * @private
+	 */
+	_describeRequest(url, init = {}) {
+		const parsed = new URL(url)
+		const request = {
+			method: (init.method || "GET").toUpperCase(),
+			path: parsed.pathname,
+			params: redact(getParams(parsed), this.redactKeys)
+		}
+
+		const body = parseRequestBody(init.body)
+		if (body !== undefined) {
+			request.body = redact(body, this.redactKeys)
+		}
+		return request
+	}
+
+	/**
+	 * Record a response and write the fixture. A response whose body cannot
+	 * be read, such as one aborted by the caller, is left out.
+	 * @param {Object} interaction - The interaction, with its request description.
+	 * @param {Response} response - A clone of the response.
+	 * @returns {Promise<void>} Resolves once the fixture is written, even if the response could not be recorded.
+	 * @private
+	 */
+	async _record(interaction, response) {
+		let text
+		try {
+			text = await response.text()
+		} catch (error) {
+			this.interactions.splice(this.interactions.indexOf(interaction), 1)
+			return
+		}
+		let body = text
+		try {
+			body = JSON.parse(text)
+		} catch (error) {
+			// Not JSON, keep the text
+		}
+		body = redact(body, this.redactKeys)
+
+		const headers = {}
+		for (const name of RECORDED_HEADERS) {
+			if (response.headers.has(name)) {
+				headers[name] = response.headers.get(name)
+			}
+		}
+
+		interaction.response = {
+			status: response.status,
+			statusText: response.statusText,
+			headers,
+			body
+		}
+		await this._write().catch(() => {})
+	}
+
+	/**
+	 * Answer a request with the next unused recorded response that matches its
+	 * method, path, params and body.
+	 * @param {Object} request - The request description.
+	 * @returns {Promise<Response>} The recorded response.
+	 * @throws {Error} If no unused recorded response matches.
+	 * @private
+	 */
+	async _replay(request) {
+		if (!this._loaded) {
+			this.interactions = JSON.parse(await fs.readFile(this.filePath, "utf8"))
+			this._loaded = true
+		}
+
+		const params = JSON.stringify(request.params)
+		const requestBody = JSON.stringify(request.body)
+		const index = this.interactions.findIndex(
+			(interaction, i) =>
+				!this._used.has(i) &&
+				interaction.request.method === request.method &&
+				interaction.request.path === request.path &&
+				JSON.stringify(interaction.request.params) === params &&
+				JSON.stringify(interaction.request.body) === requestBody
+		)
+		if (index === -1) {
+			const withBody =
+				requestBody === undefined ? "" : ` and body ${requestBody}`
+			throw new Error(
+				`No recorded response for ${request.method} ${request.path} with params ${params}${withBody}`
+			)
+		}
+		this._used.add(index)
+
+		const { status, statusText, headers, body } =
+			this.interactions[index].response
+		const text = typeof body === "string" ? body : JSON.stringify(body)
+		// Responses with these statuses cannot have a body
+		const hasBody = ![101, 204, 205, 304].includes(status)
+		return new Response(hasBody ? text : null, {
+			status,
+			statusText,
+			headers
+		})
+	}
+}
+
+module.exports = {
+	Recorder
+}
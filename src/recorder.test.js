@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XOAuth = require('./xoauth2');
+const { MockXServer } = require('./mockServer');
+const { Recorder } = require('./recorder');
+const { REDACTED } = require('./redact');
+
+const redirectUri = 'http://localhost:3000/callback';
+
+describe('Recorder', () => {
+    let dir;
+    let fixturePath;
+    let consoleErrorSpy;
+    let consoleLogSpy;
+
+    const readFixture = () => JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xoauth-recorder-'));
+        fixturePath = path.join(dir, 'fixtures', 'session.json');
+        consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+        consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+        consoleErrorSpy.mockRestore();
+        consoleLogSpy.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('with the mock server', () => {
+        let server;
+        let options;
+
+        const record = async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record' });
+            const xoauth = new XOAuth('client', 'secret', redirectUri, undefined, { ...options, recorder });
+            const session = {};
+
+            const query = await server.consent(await xoauth.getAuthorizationURL(session));
+            await xoauth.handleCallbackQuery(query, session);
+            const me = await xoauth.get('users/me', { 'user.fields': 'id,username' }, {}, session);
+            await xoauth.refreshToken(session);
+            await recorder.save();
+            return { session, me };
+        };
+
+        beforeEach(async () => {
+            server = new MockXServer({ clientId: 'client', clientSecret: 'secret' });
+            await server.listen();
+            options = server.clientOptions();
+        });
+
+        afterEach(async () => {
+            await server.close();
+        });
+
+        test('records requests and responses to the fixture', async () => {
+            await record();
+
+            expect(readFixture().map(({ request }) => [request.method, request.path])).toEqual([
+                ['POST', '/2/oauth2/token'],
+                ['GET', '/2/users/me'],
+                ['GET', '/2/users/me'],
+                ['POST', '/2/oauth2/token']
+            ]);
+        });
+
+        test('redacts tokens, codes and verifiers', async () => {
+            const { session } = await record();
+            const fixture = readFixture();
+            const text = JSON.stringify(fixture);
+
+            expect(text).not.toContain(session.user.accessToken);
+            expect(text).not.toContain(session.user.refreshToken);
+            expect(fixture[0].request.body).toMatchObject({
+                code: REDACTED,
+                code_verifier: REDACTED,
+                grant_type: 'authorization_code'
+            });
+            expect(fixture[0].response.body).toMatchObject({
+                access_token: REDACTED,
+                refresh_token: REDACTED,
+                token_type: 'bearer'
+            });
+            expect(fixture[3].request.body).toMatchObject({
+                refresh_token: REDACTED,
+                grant_type: 'refresh_token'
+            });
+        });
+
+        test('does not record request headers', async () => {
+            await record();
+            const text = JSON.stringify(readFixture());
+
+            expect(text).not.toContain('Authorization');
+            expect(text).not.toContain('Bearer');
+            expect(text).not.toContain('Basic');
+            for (const { request } of readFixture()) {
+                expect(request.headers).toBeUndefined();
+            }
+        });
+
+        test('replays the recorded session without reaching the server', async () => {
+            const recorded = await record();
+            const requestCount = server.requests.length;
+
+            const recorder = new Recorder(fixturePath);
+            const xoauth = new XOAuth('client', 'secret', redirectUri, undefined, { ...options, recorder });
+            const session = {};
+
+            const state = new URL(await xoauth.getAuthorizationURL(session)).searchParams.get('state');
+            const user = await xoauth.handleCallbackQuery({ code: 'any-code', state }, session);
+            const me = await xoauth.get('users/me', { 'user.fields': 'id,username' }, {}, session);
+            await xoauth.refreshToken(session);
+
+            expect(user.id).toBe(recorded.session.user.id);
+            expect(user.username).toBe(recorded.session.user.username);
+            expect(me).toEqual(recorded.me);
+            expect(session.user.accessToken).toBe(REDACTED);
+            expect(server.requests).toHaveLength(requestCount);
+        });
+    });
+
+    describe('replay', () => {
+        const writeFixture = interactions => {
+            fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+            fs.writeFileSync(fixturePath, JSON.stringify(interactions));
+        };
+
+        const interaction = (params, body, status = 200) => ({
+            request: { method: 'GET', path: '/2/tweets', params },
+            response: { status, statusText: '', headers: { 'content-type': 'application/json' }, body }
+        });
+
+        test('matches requests by method, path and params', async () => {
+            writeFixture([interaction({ ids: '1' }, { data: [{ id: '1' }] }), interaction({ ids: '2' }, { data: [{ id: '2' }] })]);
+            const xoauth = new XOAuth('client', 'secret', redirectUri, undefined, { recorder: new Recorder(fixturePath) });
+
+            await expect(xoauth.get('tweets', { ids: '2' })).resolves.toEqual({ data: [{ id: '2' }] });
+            await expect(xoauth.get('tweets', { ids: '1' })).resolves.toEqual({ data: [{ id: '1' }] });
+        });
+
+        test('matches requests with a body by their redacted body', async () => {
+            const post = (body, data) => ({
+                request: { method: 'POST', path: '/2/tweets', params: {}, body },
+                response: { status: 201, statusText: '', headers: { 'content-type': 'application/json' }, body: { data } }
+            });
+            writeFixture([post({ text: 'first' }, { id: '1' }), post({ text: 'second' }, { id: '2' })]);
+            const recorder = new Recorder(fixturePath);
+            const xoauth = new XOAuth('client', 'secret', redirectUri, undefined, { recorder });
+
+            await expect(xoauth.post('tweets', { text: 'second' })).resolves.toEqual({ data: { id: '2' } });
+            await expect(xoauth.post('tweets', { text: 'first' })).resolves.toEqual({ data: { id: '1' } });
+            await expect(recorder.fetch('https://api.x.com/2/tweets', { method: 'POST', body: '{"text":"third"}' })).rejects.toThrow(
+                'No recorded response for POST /2/tweets with params {} and body {"text":"third"}'
+            );
+        });
+
+        test('uses each recorded response once, in order', async () => {
+            writeFixture([interaction({}, { data: 'first' }), interaction({}, { data: 'second' })]);
+            const xoauth = new XOAuth('client', 'secret', redirectUri, undefined, { recorder: new Recorder(fixturePath) });
+
+            await expect(xoauth.get('tweets')).resolves.toEqual({ data: 'first' });
+            await expect(xoauth.get('tweets')).resolves.toEqual({ data: 'second' });
+        });
+
+        test('replays error responses', async () => {
+            writeFixture([interaction({}, { title: 'Not Found' }, 404)]);
+            const xoauth = new XOAuth('client', 'secret', redirectUri, undefined, { recorder: new Recorder(fixturePath) });
+
+            await expect(xoauth.get('tweets')).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('fails for requests that were not recorded', async () => {
+            writeFixture([interaction({ ids: '1' }, { data: [] })]);
+            const recorder = new Recorder(fixturePath);
+
+            await expect(recorder.fetch('https://api.x.com/2/tweets?ids=3', { method: 'GET' })).rejects.toThrow(
+                'No recorded response for GET /2/tweets with params {"ids":"3"}'
+            );
+        });
+
+        test('never calls fetch', async () => {
+            writeFixture([interaction({}, { data: [] })]);
+            const baseFetch = jest.fn();
+            const recorder = new Recorder(fixturePath);
+
+            await recorder.fetch('https://api.x.com/2/tweets', { method: 'GET' }, baseFetch);
+
+            expect(baseFetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('record', () => {
+        test('redacts configured keys', async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record', redact: ['email'] });
+            const baseFetch = jest.fn().mockResolvedValue(
+                new Response(JSON.stringify({ data: { id: '1', email: 'a@example.com' } }), { status: 200 })
+            );
+
+            await recorder.fetch('https://api.x.com/2/users/me', { method: 'GET' }, baseFetch);
+            await recorder.save();
+
+            expect(readFixture()[0].response.body).toEqual({ data: { id: '1', email: REDACTED } });
+        });
+
+        test('redacts tokens like the logger, keeping numeric codes', async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record' });
+            const baseFetch = jest.fn().mockResolvedValue(
+                new Response(JSON.stringify({ accessToken: 'a', errors: [{ code: 88, message: 'Rate limit exceeded' }] }), { status: 429 })
+            );
+
+            await recorder.fetch('https://api.x.com/2/tweets', { method: 'GET' }, baseFetch);
+            await recorder.save();
+
+            expect(readFixture()[0].response.body).toEqual({ accessToken: REDACTED, errors: [{ code: 88, message: 'Rate limit exceeded' }] });
+        });
+
+        test('returns the unread response to the caller', async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record' });
+            const baseFetch = jest.fn().mockResolvedValue(new Response('plain', { status: 200 }));
+
+            const response = await recorder.fetch('https://api.x.com/2/tweets', { method: 'GET' }, baseFetch);
+
+            await expect(response.text()).resolves.toBe('plain');
+            await recorder.save();
+            expect(readFixture()[0].response.body).toBe('plain');
+        });
+
+        test('returns the response before its body has arrived', async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record' });
+            let controller;
+            const body = new ReadableStream({ start(c) { controller = c; } });
+            const baseFetch = jest.fn().mockResolvedValue(new Response(body, { status: 200 }));
+
+            const response = await recorder.fetch('https://api.x.com/2/tweets', { method: 'GET' }, baseFetch);
+            expect(response.status).toBe(200);
+
+            controller.enqueue(new TextEncoder().encode('{"data":[]}'));
+            controller.close();
+            await expect(response.json()).resolves.toEqual({ data: [] });
+            await recorder.save();
+            expect(readFixture()[0].response.body).toEqual({ data: [] });
+        });
+
+        test('keeps interactions in the order the responses arrived', async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record' });
+            let controller;
+            const slow = new Response(new ReadableStream({ start(c) { controller = c; } }), { status: 200 });
+            const baseFetch = jest.fn()
+                .mockResolvedValueOnce(slow)
+                .mockResolvedValueOnce(new Response('"second"', { status: 200 }));
+
+            await recorder.fetch('https://api.x.com/2/first', { method: 'GET' }, baseFetch);
+            await recorder.fetch('https://api.x.com/2/second', { method: 'GET' }, baseFetch);
+            controller.enqueue(new TextEncoder().encode('"first"'));
+            controller.close();
+            await recorder.save();
+
+            expect(readFixture().map(({ request, response }) => [request.path, response.body])).toEqual([
+                ['/2/first', 'first'],
+                ['/2/second', 'second']
+            ]);
+        });
+
+        test('passes streamed responses through without recording them', async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record' });
+            const response = new Response(new ReadableStream(), { status: 200 });
+            const baseFetch = jest.fn().mockResolvedValue(response);
+
+            await expect(recorder.fetch('https://api.x.com/2/tweets/search/stream', { method: 'GET' }, baseFetch, { stream: true }))
+                .resolves.toBe(response);
+            await recorder.save();
+
+            expect(readFixture()).toEqual([]);
+            await response.body.cancel();
+        });
+
+        test('keeps only rate limit and content type response headers', async () => {
+            const recorder = new Recorder(fixturePath, { mode: 'record' });
+            const baseFetch = jest.fn().mockResolvedValue(
+                new Response('{}', {
+                    status: 200,
+                    headers: { 'content-type': 'application/json', 'x-rate-limit-remaining': '9', 'set-cookie': 'a=b' }
+                })
+            );
+
+            await recorder.fetch('https://api.x.com/2/tweets', { method: 'GET' }, baseFetch);
+            await recorder.save();
+
+            expect(readFixture()[0].response.headers).toEqual({
+                'content-type': 'application/json',
+                'x-rate-limit-remaining': '9'
+            });
+        });
+    });
+});
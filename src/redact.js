@@ -0,0 +1,169 @@
+/**
+ * Placeholder that replaces redacted tokens and credentials.
+ */
+const REDACTED = "[REDACTED]"
+
+/**
+ * Names of fields that hold tokens or credentials and are always redacted,
+ * lowercased and without separators so `access_token` and `accessToken`
+ * both match.
+ */
+const REDACTED_KEYS = [
+	"accesstoken",
+	"refreshtoken",
+	"idtoken",
+	"token",
+	"code",
+	"codeverifier",
+	"clientsecret",
+	"appsecret",
+	"password",
+	"authorization"
+]
+
+/**
+ * Patterns of tokens and credentials within strings: Bearer and Basic
+ * credentials, form and query parameters, and JSON fields.
+ */
+const REDACTED_PATTERNS = [
+	[/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, `$1 ${REDACTED}`],
+	[
+		/\b(access_token|refresh_token|id_token|token|code|code_verifier|client_secret)=[^&\s"']+/g,
+		`$1=${REDACTED}`
+	],
+	[
+		/"(access_token|refresh_token|id_token|token|code|code_verifier|client_secret)"\s*:\s*"[^"]*"/g,
+		`"$1":"${REDACTED}"`
+	]
+]
+
+/**
+ * Normalize a field name for comparison with the redacted keys.
+ * @param {string} key - The field name.
+ * @returns {string} The name lowercased and without `-` and `_`.
+ */
+function normalizeKey(key) {
+	return key.toLowerCase().replace(/[-_]/g, "")
+}
+
+/**
+ * Check whether a field holds a token or credentials. Only strings are
+ * redacted, so numeric fields such as X's error `code` are kept.
+ * @param {string} key - The field name.
+ * @param {*} value - The field value.
+ * @param {string[]} keys - The normalized names of redacted fields.
+ * @returns {boolean} True if the field's value is redacted.
+ */
+function isRedactedField(key, value, keys) {
+	return (
+		typeof key === "string" &&
+		typeof value === "string" &&
+		keys.includes(normalizeKey(key))
+	)
+}
+
+/**
+ * Redact the tokens and credentials in a string.
+ * @param {string} value - The string.
+ * @returns {string} The redacted string.
+ */
+function redactString(value) {
+	return REDACTED_PATTERNS.reduce(
+		(redacted, [pattern, replacement]) =>
+			redacted.replace(pattern, replacement),
+		value
+	)
+}
+
+/**
+ * Redact the values of fields holding tokens or credentials in a list of
+ * entries, and the credentials in the other values.
+ * @param {Array[]} entries - The `[key, value]` entries.
+ * @param {string[]} keys - The normalized names of redacted fields.
+ * @param {Set<Object>} seen - The objects already visited.
+ * @returns {Array[]} The redacted entries.
+ */
+function redactEntries(entries, keys, seen) {
+	return entries.map(([key, item]) => [
+		key,
+		isRedactedField(key, item, keys) ? REDACTED : redactValue(item, keys, seen)
+	])
+}
+
+/**
+ * Redact a value, see redact.
+ * @param {*} value - The value to redact.
+ * @param {string[]} keys - The normalized names of redacted fields.
+ * @param {Set<Object>} seen - The objects already visited, to stop at cycles.
+ * @returns {*} A redacted copy of the value.
+ */
+function redactValue(value, keys, seen) {
+	if (typeof value === "string") {
+		return redactString(value)
+	}
+	if (!value || typeof value !== "object") {
+		return value
+	}
+	if (seen.has(value)) {
+		return "[Circular]"
+	}
+	seen.add(value)
+
+	if (value instanceof Error) {
+		const error = Object.create(Object.getPrototypeOf(value))
+		for (const key of Object.getOwnPropertyNames(value)) {
+			const item = value[key]
+			Object.defineProperty(error, key, {
+				...Object.getOwnPropertyDescriptor(value, key),
+				value: isRedactedField(key, item, keys)
+					? REDACTED
+					: redactValue(item, keys, seen)
+			})
+		}
+		return error
+	}
+	if (Array.isArray(value)) {
+		return value.map(item => redactValue(item, keys, seen))
+	}
+	if (value instanceof Map) {
+		return new Map(redactEntries([...value], keys, seen))
+	}
+	if (value instanceof Set) {
+		return new Set([...value].map(item => redactValue(item, keys, seen)))
+	}
+	if (value instanceof URLSearchParams) {
+		return new URLSearchParams(redactEntries([...value], keys, seen))
+	}
+	if (typeof Headers !== "undefined" && value instanceof Headers) {
+		return new Headers(redactEntries([...value], keys, seen))
+	}
+	const prototype = Object.getPrototypeOf(value)
+	if (prototype !== Object.prototype && prototype !== null) {
+		return value
+	}
+	return Object.fromEntries(redactEntries(Object.entries(value), keys, seen))
+}
+
+/**
+ * Redact the tokens and credentials in a value, for logs and fixtures:
+ * strings are searched for credentials, and string fields holding them are
+ * replaced, in plain objects, arrays, errors, `Map`s, `Set`s,
+ * `URLSearchParams` and `Headers` recursively. Field names match whatever
+ * their case and separators. Errors are copied with the same prototype, so
+ * they keep their class. Instances of other classes are returned as they are.
+ * @param {*} value - The value to redact.
+ * @param {string[]} [keys=[]] - Names of further fields to redact.
+ * @returns {*} A redacted copy of the value.
+ */
+function redact(value, keys = []) {
+	return redactValue(
+		value,
+		[...REDACTED_KEYS, ...keys.map(normalizeKey)],
+		new Set()
+	)
+}
+
+module.exports = {
+	REDACTED,
+	redact
+}
@@ -0,0 +1,523 @@
+const { AuthError, ApiError } = require("./errors")
+const { isUserId } = require("./tokenStore")
+
+/**
+ * Query parameters sent with every tweet lookup unless overridden, so
+ * tweets come back with their author and media.
+ */
+const DEFAULT_TWEET_PARAMS = {
+	"tweet.fields":
+		"attachments,author_id,conversation_id,created_at,entities,in_reply_to_user_id,lang,public_metrics,referenced_tweets",
+	"user.fields": "name,profile_image_url,username,verified",
+	"media.fields":
+		"alt_text,duration_ms,height,preview_image_url,type,url,width",
+	expansions: "attachments.media_keys,author_id"
+}
+
+/**
+ * Query parameters sent with every user lookup unless overridden.
+ */
+const DEFAULT_USER_PARAMS = {
+	"user.fields":
+		"created_at,description,location,profile_image_url,protected,public_metrics,url,verified"
+}
+
+/**
+ * Convert a snake_case key to camelCase.
+ * @param {string} key - The key.
+ * @returns {string} The camelCase key.
+ */
+function camelCase(key) {
+	return key.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase())
+}
+
+/**
+ * Convert the keys of a value to camelCase, recursively.
+ * @param {*} value - The value.
+ * @returns {*} A copy of the value with camelCase keys.
+ */
+function camelize(value) {
+	if (Array.isArray(value)) {
+		return value.map(camelize)
+	}
+	if (value && typeof value === "object") {
+		return Object.fromEntries(
+			Object.entries(value).map(([key, item]) => [
+				camelCase(key),
+				camelize(item)
+			])
+		)
+	}
+	return value
+}
+
+/**
+ * Normalize a user from the API.
+ * @param {Object} user - The user as X returns it.
+ * @returns {Object} The user with camelCase keys.
+ */
+function normalizeUser(user) {
+	return camelize(user)
+}
+
+/**
+ * Normalize a tweet from the API, resolving its author and media from the
+ * response's `includes`.
+ * @param {Object} tweet - The tweet as X returns it.
+ * @param {Object} [includes={}] - The `includes` of the response.
+ * @returns {Object} The tweet with camelCase keys, and `author` and `media` when included.
+ */
+function normalizeTweet(tweet, includes = {}) {
+	const normalized = camelize(tweet)
+
+	const users = includes.users || []
+	const author = users.find(user => user.id === tweet.author_id)
+	if (author) {
+		normalized.author = normalizeUser(author)
+	}
+
+	const mediaKeys = (tweet.attachments && tweet.attachments.media_keys) || []
+	const media = mediaKeys
+		.map(key => (includes.media || []).find(item => item.media_key === key))
+		.filter(Boolean)
+	if (media.length) {
+		normalized.media = camelize(media)
+	}
+
+	return normalized
+}
+
+/**
+ * Get the `data` of a response, throwing the error X reported in its place.
+ * X answers lookups of missing or protected objects with `200 OK` and an
+ * `errors` array instead of `data`.
+ * @param {Object} response - The parsed response.
+ * @param {string} endpoint - The API endpoint, for error reporting.
+ * @returns {*} The data.
+ * @throws {ApiError} If the response has no data.
+ */
+function getData(response, endpoint) {
+	if (response.data !== undefined) {
+		return response.data
+	}
+
+	const errors = Array.isArray(response.errors) ? response.errors : []
+	const error = errors[0] || {}
+	throw new ApiError(error.detail || error.title || "Response has no data", {
+		title: error.title,
+		detail: error.detail,
+		type: error.type,
+		errors,
+		endpoint
+	})
+}
+
+/**
+ * Get the id of the user a session belongs to.
+ * @param {Object|string} session - The session object, or a user id in the token store.
+ * @returns {string} The user id.
+ * @throws {AuthError} If the session has no user.
+ */
+function getUserId(session) {
+	if (isUserId(session)) {
+		return String(session)
+	}
+	if (!session || !session.user || !session.user.id) {
+		throw new AuthError("A session with a logged in user is required")
+	}
+	return String(session.user.id)
+}
+
+/**
+ * Normalize a page of tweets.
+ * @param {Object} response - The parsed response.
+ * @returns {{ tweets: Object[], nextToken: string|undefined }} The tweets and the token of the next page.
+ */
+function normalizeTweetPage(response) {
+	return {
+		tweets: (response.data || []).map(tweet =>
+			normalizeTweet(tweet, response.includes)
+		),
+		nextToken: response.meta && response.meta.next_token
+	}
+}
+
+/**
+ * Creating, deleting and looking up tweets. Available as `client.tweets`.
+ */
+class Tweets {
+	/**
+	 * Create the tweets namespace.
+	 * @param {Object} client - The XOAuth client.
+	 */
+	constructor(client) {
+		this.client = client
+	}
+
+	/**
+	 * Post a tweet.
+	 * @param {string|Object} tweet - The text, or the request body, such as `{ text, media: { media_ids } }`.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object>} The new tweet, with `id` and `text`.
+	 */
+	async create(tweet, session, options) {
+		const body = typeof tweet === "string" ? { text: tweet } : tweet
+		const response = await this.client.post(
+			"tweets",
+			body,
+			{},
+			session,
+			options
+		)
+		return normalizeTweet(getData(response, "tweets"))
+	}
+
+	/**
+	 * Reply to a tweet.
+	 * @param {string} tweetId - The id of the tweet to reply to.
+	 * @param {string|Object} tweet - The text, or the request body.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object>} The reply, with `id` and `text`.
+	 */
+	reply(tweetId, tweet, session, options) {
+		const body = typeof tweet === "string" ? { text: tweet } : tweet
+		return this.create(
+			{ ...body, reply: { ...body.reply, in_reply_to_tweet_id: tweetId } },
+			session,
+			options
+		)
+	}
+
+	/**
+	 * Quote a tweet.
+	 * @param {string} tweetId - The id of the tweet to quote.
+	 * @param {string|Object} tweet - The text, or the request body.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object>} The quote, with `id` and `text`.
+	 */
+	quote(tweetId, tweet, session, options) {
+		const body = typeof tweet === "string" ? { text: tweet } : tweet
+		return this.create({ ...body, quote_tweet_id: tweetId }, session, options)
+	}
+
+	/**
+	 * Delete a tweet of the session user.
+	 * @param {string} tweetId - The tweet id.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<boolean>} True if the tweet was deleted.
+	 */
+	async delete(tweetId, session, options) {
+		const endpoint = `tweets/${tweetId}`
+		const response = await this.client.delete(
+			endpoint,
+			{},
+			{},
+			session,
+			options
+		)
+		return getData(response, endpoint).deleted
+	}
+
+	/**
+	 * Look up one tweet by id, or several by an array of ids.
+	 * @param {string|string[]} ids - The tweet id, or up to 100 ids.
+	 * @param {Object|string} [session] - The session object, or a user id in the token store.
+	 * @param {Object} [params={}] - Query parameters, merged over the default fields and expansions.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object|Object[]>} The tweet, or the tweets found, in the order X returns them.
+	 * @throws {ApiError} If a single tweet is not found.
+	 */
+	async lookup(ids, session, params = {}, options) {
+		const query = { ...DEFAULT_TWEET_PARAMS, ...params }
+
+		if (Array.isArray(ids)) {
+			query.ids = ids.join(",")
+			const response = await this.client.get(
+				"tweets",
+				query,
+				{},
+				session,
+				options
+			)
+			return (response.data || []).map(tweet =>
+				normalizeTweet(tweet, response.includes)
+			)
+		}
+
+		const endpoint = `tweets/${ids}`
+		const response = await this.client.get(
+			endpoint,
+			query,
+			{},
+			session,
+			options
+		)
+		return normalizeTweet(getData(response, endpoint), response.includes)
+	}
+}
+
+/**
+ * Looking up and following users. Available as `client.users`.
+ */
+class Users {
+	/**
+	 * Create the users namespace.
+	 * @param {Object} client - The XOAuth client.
+	 */
+	constructor(client) {
+		this.client = client
+	}
+
+	/**
+	 * Look up the session user.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [params={}] - Query parameters, merged over the default fields.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object>} The user.
+	 */
+	async me(session, params = {}, options) {
+		const query = { ...DEFAULT_USER_PARAMS, ...params }
+		const response = await this.client.get(
+			"users/me",
+			query,
+			{},
+			session,
+			options
+		)
+		return normalizeUser(getData(response, "users/me"))
+	}
+
+	/**
+	 * Look up a user by username.
+	 * @param {string} username - The username, with or without `@`.
+	 * @param {Object|string} [session] - The session object, or a user id in the token store.
+	 * @param {Object} [params={}] - Query parameters, merged over the default fields.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object>} The user.
+	 * @throws {ApiError} If the user is not found.
+	 */
+	async byUsername(username, session, params = {}, options) {
+		const endpoint = `users/by/username/${encodeURIComponent(
+			username.replace(/^@/, "")
+		)}`
+		const query = { ...DEFAULT_USER_PARAMS, ...params }
+		const response = await this.client.get(
+			endpoint,
+			query,
+			{},
+			session,
+			options
+		)
+		return normalizeUser(getData(response, endpoint))
+	}
+
+	/**
+	 * Look up users by id.
+	 * @param {string[]} ids - Up to 100 user ids.
+	 * @param {Object|string} [session] - The session object, or a user id in the token store.
+	 * @param {Object} [params={}] - Query parameters, merged over the default fields.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object[]>} The users found.
+	 */
+	async byIds(ids, session, params = {}, options) {
+		const query = { ...DEFAULT_USER_PARAMS, ...params, ids: ids.join(",") }
+		const response = await this.client.get("users", query, {}, session, options)
+		return (response.data || []).map(normalizeUser)
+	}
+
+	/**
+	 * Follow a user as the session user.
+	 * @param {string} userId - The id of the user to follow.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<{ following: boolean, pendingFollow: boolean }>} The follow state; `pendingFollow` for protected users.
+	 */
+	async follow(userId, session, options) {
+		const endpoint = `users/${getUserId(session)}/following`
+		const response = await this.client.post(
+			endpoint,
+			{ target_user_id: userId },
+			{},
+			session,
+			options
+		)
+		return camelize(getData(response, endpoint))
+	}
+
+	/**
+	 * Unfollow a user as the session user.
+	 * @param {string} userId - The id of the user to unfollow.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<{ following: boolean }>} The follow state.
+	 */
+	async unfollow(userId, session, options) {
+		const endpoint = `users/${getUserId(session)}/following/${userId}`
+		const response = await this.client.delete(
+			endpoint,
+			{},
+			{},
+			session,
+			options
+		)
+		return camelize(getData(response, endpoint))
+	}
+}
+
+/**
+ * Liking tweets as the session user. Available as `client.likes`.
+ */
+class Likes {
+	/**
+	 * Create the likes namespace.
+	 * @param {Object} client - The XOAuth client.
+	 */
+	constructor(client) {
+		this.client = client
+	}
+
+	/**
+	 * Like a tweet.
+	 * @param {string} tweetId - The tweet id.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<boolean>} True if the tweet is liked.
+	 */
+	async add(tweetId, session, options) {
+		const endpoint = `users/${getUserId(session)}/likes`
+		const response = await this.client.post(
+			endpoint,
+			{ tweet_id: tweetId },
+			{},
+			session,
+			options
+		)
+		return getData(response, endpoint).liked
+	}
+
+	/**
+	 * Unlike a tweet.
+	 * @param {string} tweetId - The tweet id.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<boolean>} True if the tweet is still liked.
+	 */
+	async remove(tweetId, session, options) {
+		const endpoint = `users/${getUserId(session)}/likes/${tweetId}`
+		const response = await this.client.delete(
+			endpoint,
+			{},
+			{},
+			session,
+			options
+		)
+		return getData(response, endpoint).liked
+	}
+
+	/**
+	 * List a page of the tweets the session user liked, newest first.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [params={}] - Query parameters, such as `max_results` and `pagination_token`, merged over the default fields and expansions.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<{ tweets: Object[], nextToken: string|undefined }>} The tweets and the token of the next page.
+	 */
+	async list(session, params = {}, options) {
+		const endpoint = `users/${getUserId(session)}/liked_tweets`
+		const query = { ...DEFAULT_TWEET_PARAMS, ...params }
+		const response = await this.client.get(
+			endpoint,
+			query,
+			{},
+			session,
+			options
+		)
+		return normalizeTweetPage(response)
+	}
+}
+
+/**
+ * Bookmarking tweets as the session user. Available as `client.bookmarks`.
+ */
+class Bookmarks {
+	/**
+	 * Create the bookmarks namespace.
+	 * @param {Object} client - The XOAuth client.
+	 */
+	constructor(client) {
+		this.client = client
+	}
+
+	/**
+	 * Bookmark a tweet.
+	 * @param {string} tweetId - The tweet id.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<boolean>} True if the tweet is bookmarked.
+	 */
+	async add(tweetId, session, options) {
+		const endpoint = `users/${getUserId(session)}/bookmarks`
+		const response = await this.client.post(
+			endpoint,
+			{ tweet_id: tweetId },
+			{},
+			session,
+			options
+		)
+		return getData(response, endpoint).bookmarked
+	}
+
+	/**
+	 * Remove a bookmark.
+	 * @param {string} tweetId - The tweet id.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<boolean>} True if the tweet is still bookmarked.
+	 */
+	async remove(tweetId, session, options) {
+		const endpoint = `users/${getUserId(session)}/bookmarks/${tweetId}`
+		const response = await this.client.delete(
+			endpoint,
+			{},
+			{},
+			session,
+			options
+		)
+		return getData(response, endpoint).bookmarked
+	}
+
+	/**
+	 * List a page of the session user's bookmarks, newest first.
+	 * @param {Object|string} session - The session object, or a user id in the token store.
+	 * @param {Object} [params={}] - Query parameters, such as `max_results` and `pagination_token`, merged over the default fields and expansions.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
+	 * @returns {Promise<{ tweets: Object[], nextToken: string|undefined }>} The tweets and the token of the next page.
+	 */
+	async list(session, params = {}, options) {
+		const endpoint = `users/${getUserId(session)}/bookmarks`
+		const query = { ...DEFAULT_TWEET_PARAMS, ...params }
+		const response = await this.client.get(
+			endpoint,
+			query,
+			{},
+			session,
+			options
+		)
+		return normalizeTweetPage(response)
+	}
+}
+
+module.exports = {
+	DEFAULT_TWEET_PARAMS,
+	DEFAULT_USER_PARAMS,
+	camelize,
+	normalizeTweet,
+	normalizeUser,
+	Tweets,
+	Users,
+	Likes,
+	Bookmarks
+}
@@ -0,0 +1,275 @@
+const XOAuth = require('./xoauth2');
+const { camelize, normalizeTweet, DEFAULT_TWEET_PARAMS, DEFAULT_USER_PARAMS } = require('./resources');
+const { jsonResponse, silenceConsoleError } = require('./testHelpers');
+const { ApiError, AuthError, MemoryTokenStore } = XOAuth;
+
+const includes = {
+    users: [{ id: '12', name: 'Alice', username: 'alice', profile_image_url: 'https://pbs.twimg.com/a.jpg' }],
+    media: [{ media_key: '3_1', type: 'photo', url: 'https://pbs.twimg.com/media/1.jpg', alt_text: 'A cat' }]
+};
+
+const rawTweet = {
+    id: '100',
+    text: 'Hello',
+    author_id: '12',
+    created_at: '2024-01-01T00:00:00.000Z',
+    public_metrics: { like_count: 3, retweet_count: 1 },
+    attachments: { media_keys: ['3_1'] }
+};
+
+describe('resources', () => {
+    let xoauth;
+    let session;
+
+    silenceConsoleError();
+
+    const lastRequest = () => {
+        const [url, options] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+        const parsed = new URL(url);
+        return {
+            method: options.method,
+            path: parsed.pathname.replace('/2/', ''),
+            query: Object.fromEntries(parsed.searchParams),
+            body: options.body ? JSON.parse(options.body) : undefined,
+            headers: options.headers
+        };
+    };
+
+    const respond = (body, status) => {
+        global.fetch.mockResolvedValueOnce(jsonResponse(body, status));
+    };
+
+    beforeEach(() => {
+        xoauth = new XOAuth('client', 'secret', 'http://localhost:3000/callback');
+        session = { user: { id: '12', accessToken: 'access', refreshToken: 'refresh', expiresAt: Date.now() + 3600000 } };
+        global.fetch = jest.fn();
+    });
+
+    describe('camelize', () => {
+        test('converts keys to camelCase recursively', () => {
+            expect(camelize({ public_metrics: { like_count: 1 }, entities: [{ start_at: 0 }], text: 'a_b' })).toEqual({
+                publicMetrics: { likeCount: 1 },
+                entities: [{ startAt: 0 }],
+                text: 'a_b'
+            });
+        });
+    });
+
+    describe('normalizeTweet', () => {
+        test('resolves the author and media from includes', () => {
+            expect(normalizeTweet(rawTweet, includes)).toEqual({
+                id: '100',
+                text: 'Hello',
+                authorId: '12',
+                createdAt: '2024-01-01T00:00:00.000Z',
+                publicMetrics: { likeCount: 3, retweetCount: 1 },
+                attachments: { mediaKeys: ['3_1'] },
+                author: { id: '12', name: 'Alice', username: 'alice', profileImageUrl: 'https://pbs.twimg.com/a.jpg' },
+                media: [{ mediaKey: '3_1', type: 'photo', url: 'https://pbs.twimg.com/media/1.jpg', altText: 'A cat' }]
+            });
+        });
+
+        test('leaves out an author and media that were not included', () => {
+            const tweet = normalizeTweet(rawTweet);
+            expect(tweet.author).toBeUndefined();
+            expect(tweet.media).toBeUndefined();
+        });
+    });
+
+    describe('tweets', () => {
+        test('create posts the text', async () => {
+            respond({ data: { id: '100', text: 'Hello', edit_history_tweet_ids: ['100'] } });
+
+            const tweet = await xoauth.tweets.create('Hello', session);
+
+            expect(tweet).toEqual({ id: '100', text: 'Hello', editHistoryTweetIds: ['100'] });
+            expect(lastRequest()).toMatchObject({ method: 'POST', path: 'tweets', body: { text: 'Hello' } });
+            expect(lastRequest().headers.Authorization).toBe('Bearer access');
+        });
+
+        test('create posts a full body', async () => {
+            respond({ data: { id: '100', text: 'Look' } });
+
+            await xoauth.tweets.create({ text: 'Look', media: { media_ids: ['5'] } }, session);
+
+            expect(lastRequest().body).toEqual({ text: 'Look', media: { media_ids: ['5'] } });
+        });
+
+        test('reply sets the tweet replied to', async () => {
+            respond({ data: { id: '101', text: 'Hi back' } });
+
+            await xoauth.tweets.reply('100', 'Hi back', session);
+
+            expect(lastRequest().body).toEqual({ text: 'Hi back', reply: { in_reply_to_tweet_id: '100' } });
+        });
+
+        test('quote sets the quoted tweet', async () => {
+            respond({ data: { id: '102', text: 'So true' } });
+
+            await xoauth.tweets.quote('100', { text: 'So true' }, session);
+
+            expect(lastRequest().body).toEqual({ text: 'So true', quote_tweet_id: '100' });
+        });
+
+        test('delete deletes the tweet', async () => {
+            respond({ data: { deleted: true } });
+
+            await expect(xoauth.tweets.delete('100', session)).resolves.toBe(true);
+            expect(lastRequest()).toMatchObject({ method: 'DELETE', path: 'tweets/100' });
+        });
+
+        test('lookup gets one tweet with the default fields and expansions', async () => {
+            respond({ data: rawTweet, includes });
+
+            const tweet = await xoauth.tweets.lookup('100', session);
+
+            expect(tweet.author.username).toBe('alice');
+            expect(lastRequest()).toMatchObject({ method: 'GET', path: 'tweets/100', query: DEFAULT_TWEET_PARAMS });
+        });
+
+        test('lookup gets several tweets by id', async () => {
+            respond({ data: [rawTweet, { id: '101', text: 'Bye', author_id: '12' }], includes });
+
+            const tweets = await xoauth.tweets.lookup(['100', '101'], session);
+
+            expect(tweets.map(tweet => tweet.id)).toEqual(['100', '101']);
+            expect(tweets[1].author.name).toBe('Alice');
+            expect(lastRequest()).toMatchObject({ path: 'tweets', query: { ids: '100,101' } });
+        });
+
+        test('lookup merges params over the defaults', async () => {
+            respond({ data: rawTweet });
+
+            await xoauth.tweets.lookup('100', session, { 'tweet.fields': 'text' });
+
+            expect(lastRequest().query['tweet.fields']).toBe('text');
+            expect(lastRequest().query['user.fields']).toBe(DEFAULT_TWEET_PARAMS['user.fields']);
+        });
+
+        test('lookup throws the error X reports for a missing tweet', async () => {
+            respond({
+                errors: [{ value: '100', detail: 'Could not find tweet with id: [100].', title: 'Not Found Error', type: 'https://api.twitter.com/2/problems/resource-not-found' }]
+            });
+
+            const error = await xoauth.tweets.lookup('100', session).catch(e => e);
+
+            expect(error).toBeInstanceOf(ApiError);
+            expect(error.message).toBe('Could not find tweet with id: [100].');
+            expect(error.title).toBe('Not Found Error');
+            expect(error.endpoint).toBe('tweets/100');
+        });
+    });
+
+    describe('users', () => {
+        const rawUser = { id: '12', name: 'Alice', username: 'alice', public_metrics: { followers_count: 5 } };
+
+        test('me gets the session user', async () => {
+            respond({ data: rawUser });
+
+            await expect(xoauth.users.me(session)).resolves.toEqual({
+                id: '12',
+                name: 'Alice',
+                username: 'alice',
+                publicMetrics: { followersCount: 5 }
+            });
+            expect(lastRequest()).toMatchObject({ path: 'users/me', query: DEFAULT_USER_PARAMS });
+        });
+
+        test('byUsername strips the @', async () => {
+            respond({ data: rawUser });
+
+            await xoauth.users.byUsername('@alice', session);
+
+            expect(lastRequest().path).toBe('users/by/username/alice');
+        });
+
+        test('byIds gets several users', async () => {
+            respond({ data: [rawUser, { id: '13', name: 'Bob', username: 'bob' }] });
+
+            const users = await xoauth.users.byIds(['12', '13'], session);
+
+            expect(users.map(user => user.username)).toEqual(['alice', 'bob']);
+            expect(lastRequest()).toMatchObject({ path: 'users', query: { ids: '12,13' } });
+        });
+
+        test('follow follows as the session user', async () => {
+            respond({ data: { following: false, pending_follow: true } });
+
+            await expect(xoauth.users.follow('13', session)).resolves.toEqual({ following: false, pendingFollow: true });
+            expect(lastRequest()).toMatchObject({ method: 'POST', path: 'users/12/following', body: { target_user_id: '13' } });
+        });
+
+        test('unfollow unfollows as the session user', async () => {
+            respond({ data: { following: false } });
+
+            await expect(xoauth.users.unfollow('13', session)).resolves.toEqual({ following: false });
+            expect(lastRequest()).toMatchObject({ method: 'DELETE', path: 'users/12/following/13' });
+        });
+
+        test('follow needs a session user', async () => {
+            await expect(xoauth.users.follow('13', {})).rejects.toThrow(AuthError);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('follow takes a user id in the token store', async () => {
+            const tokenStore = new MemoryTokenStore();
+            await tokenStore.set('12', session.user);
+            xoauth = new XOAuth('client', 'secret', 'http://localhost:3000/callback', undefined, { tokenStore });
+            respond({ data: { following: true, pending_follow: false } });
+
+            await xoauth.users.follow('13', '12');
+
+            expect(lastRequest().path).toBe('users/12/following');
+            expect(lastRequest().headers.Authorization).toBe('Bearer access');
+        });
+    });
+
+    describe('likes', () => {
+        test('add likes a tweet', async () => {
+            respond({ data: { liked: true } });
+
+            await expect(xoauth.likes.add('100', session)).resolves.toBe(true);
+            expect(lastRequest()).toMatchObject({ method: 'POST', path: 'users/12/likes', body: { tweet_id: '100' } });
+        });
+
+        test('remove unlikes a tweet', async () => {
+            respond({ data: { liked: false } });
+
+            await expect(xoauth.likes.remove('100', session)).resolves.toBe(false);
+            expect(lastRequest()).toMatchObject({ method: 'DELETE', path: 'users/12/likes/100' });
+        });
+
+        test('list gets a page of liked tweets', async () => {
+            respond({ data: [rawTweet], includes, meta: { result_count: 1, next_token: 'next' } });
+
+            const page = await xoauth.likes.list(session, { max_results: 10 });
+
+            expect(page.tweets[0].author.username).toBe('alice');
+            expect(page.nextToken).toBe('next');
+            expect(lastRequest()).toMatchObject({ path: 'users/12/liked_tweets', query: { max_results: '10' } });
+        });
+    });
+
+    describe('bookmarks', () => {
+        test('add bookmarks a tweet', async () => {
+            respond({ data: { bookmarked: true } });
+
+            await expect(xoauth.bookmarks.add('100', session)).resolves.toBe(true);
+            expect(lastRequest()).toMatchObject({ method: 'POST', path: 'users/12/bookmarks', body: { tweet_id: '100' } });
+        });
+
+        test('remove removes a bookmark', async () => {
+            respond({ data: { bookmarked: false } });
+
+            await expect(xoauth.bookmarks.remove('100', session)).resolves.toBe(false);
+            expect(lastRequest()).toMatchObject({ method: 'DELETE', path: 'users/12/bookmarks/100' });
+        });
+
+        test('list returns no tweets for an empty page', async () => {
+            respond({ meta: { result_count: 0 } });
+
+            await expect(xoauth.bookmarks.list(session)).resolves.toEqual({ tweets: [], nextToken: undefined });
+            expect(lastRequest().path).toBe('users/12/bookmarks');
+        });
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Retry settings used when none are configured.
+ * Retries are off by default, and only idempotent methods are retried once
+ * they are turned on.
+ */
+const DEFAULT_RETRY = {
+	retries: 0,
+	minDelay: 1000,
+	maxDelay: 30 * 1000,
+	factor: 2,
+	methods: ["GET", "PUT", "DELETE"],
+	onRetry: undefined
+}
+
+/**
+ * Statuses that indicate a transient server failure.
+ */
+const RETRYABLE_STATUSES = [500, 502, 503, 504]
+
+/**
+ * Merge retry settings over the defaults.
+ * @param {Object} [base=DEFAULT_RETRY] - The settings to start from.
+ * @param {Object|boolean} [overrides] - Settings to apply. `true` retries
+ *   the request whatever its method, `false` disables retries.
+ * @returns {Object} The merged settings.
+ */
+function resolveRetryOptions(base = DEFAULT_RETRY, overrides) {
+	if (overrides === false) {
+		return { ...base, retries: 0 }
+	}
+	if (overrides === true) {
+		return { ...base, methods: undefined }
+	}
+	return { ...base, ...overrides }
+}
+
+/**
+ * Read a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} [value] - The header value.
+ * @returns {number|undefined} The delay in milliseconds, or undefined if absent or invalid.
+ */
+function parseRetryAfter(value) {
+	if (value === null || value === undefined || value === "") {
+		return undefined
+	}
+
+	const seconds = Number(value)
+	if (!Number.isNaN(seconds)) {
+		return Math.max(seconds * 1000, 0)
+	}
+
+	const date = Date.parse(value)
+	return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0)
+}
+
+/**
+ * Work out whether, and after how long, a failed attempt should be retried.
+ * Network errors and 500/502/503/504 responses are retried with exponential
+ * backoff and jitter. A Retry-After header is honoured instead, including on
+ * 429 responses, as long as it is within `maxDelay`.
+ * @param {Object} options - The retry settings.
+ * @param {string} method - The HTTP method.
+ * @param {number} attempt - The number of the attempt that failed, from 1.
+ * @param {Response} [response] - The response, if one was received.
+ * @returns {number|undefined} The delay in milliseconds, or undefined if the attempt should not be retried.
+ */
+function getRetryDelay(options, method, attempt, response) {
+	if (attempt > options.retries) {
+		return undefined
+	}
+	if (options.methods && !options.methods.includes(method)) {
+		return undefined
+	}
+
+	const retryAfter =
+		response && response.headers && typeof response.headers.get === "function"
+			? parseRetryAfter(response.headers.get("retry-after"))
+			: undefined
+
+	if (response && !RETRYABLE_STATUSES.includes(response.status)) {
+		if (response.status !== 429 || retryAfter === undefined) {
+			return undefined
+		}
+	}
+
+	if (retryAfter !== undefined) {
+		return retryAfter <= options.maxDelay ? retryAfter : undefined
+	}
+
+	const backoff = Math.min(
+		options.minDelay * Math.pow(options.factor, attempt - 1),
+		options.maxDelay
+	)
+	return backoff / 2 + Math.random() * (backoff / 2)
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Stops the wait early, rejecting with the abort reason.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+	return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal)
+}
+
+/**
+ * Reject with the abort reason as soon as the signal aborts, without
+ * cancelling the underlying work, which may be shared with other callers.
+ * @param {Promise} promise - The promise to wait for.
+ * @param {AbortSignal} [signal] - The signal to observe.
+ * @returns {Promise} A promise settling like `promise` unless the signal aborts first.
+ */
+function abortable(promise, signal) {
+	if (!signal) {
+		return promise
+	}
+	if (signal.aborted) {
+		return Promise.reject(signal.reason)
+	}
+
+	let onAbort
+	const aborted = new Promise((resolve, reject) => {
+		onAbort = () => reject(signal.reason)
+		signal.addEventListener("abort", onAbort, { once: true })
+	})
+
+	return Promise.race([promise, aborted]).finally(() => {
+		signal.removeEventListener("abort", onAbort)
+	})
+}
+
+module.exports = {
+	DEFAULT_RETRY,
+	RETRYABLE_STATUSES,
+	resolveRetryOptions,
+	parseRetryAfter,
+	getRetryDelay,
+	sleep,
+	abortable
+}
@@ -0,0 +1,104 @@
+const { DEFAULT_RETRY, resolveRetryOptions, parseRetryAfter, getRetryDelay } = require('./retry');
+
+const mockResponse = (status, retryAfter) => ({
+    status,
+    headers: new Headers(retryAfter === undefined ? {} : { 'retry-after': retryAfter })
+});
+
+describe('retry', () => {
+    describe('resolveRetryOptions', () => {
+        test('returns the defaults without overrides', () => {
+            expect(resolveRetryOptions()).toEqual(DEFAULT_RETRY);
+        });
+
+        test('does not retry by default and only retries idempotent methods', () => {
+            expect(DEFAULT_RETRY.retries).toBe(0);
+            expect(DEFAULT_RETRY.methods).toEqual(['GET', 'PUT', 'DELETE']);
+        });
+
+        test('merges overrides over the base settings', () => {
+            const base = resolveRetryOptions(DEFAULT_RETRY, { retries: 3 });
+            expect(resolveRetryOptions(base, { maxDelay: 5000 })).toEqual({ ...DEFAULT_RETRY, retries: 3, maxDelay: 5000 });
+        });
+
+        test('true allows every method', () => {
+            const options = resolveRetryOptions({ ...DEFAULT_RETRY, retries: 2 }, true);
+            expect(options.retries).toBe(2);
+            expect(options.methods).toBeUndefined();
+        });
+
+        test('false disables retries', () => {
+            expect(resolveRetryOptions({ ...DEFAULT_RETRY, retries: 2 }, false).retries).toBe(0);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        test('reads seconds', () => {
+            expect(parseRetryAfter('120')).toBe(120000);
+        });
+
+        test('reads an HTTP date', () => {
+            jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+            expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT')).toBe(30000);
+            Date.now.mockRestore();
+        });
+
+        test('returns undefined for a missing or invalid value', () => {
+            expect(parseRetryAfter(null)).toBeUndefined();
+            expect(parseRetryAfter(undefined)).toBeUndefined();
+            expect(parseRetryAfter('')).toBeUndefined();
+            expect(parseRetryAfter('soon')).toBeUndefined();
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        const options = { ...DEFAULT_RETRY, retries: 3 };
+
+        beforeEach(() => {
+            jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        });
+
+        afterEach(() => {
+            Math.random.mockRestore();
+        });
+
+        test('backs off exponentially with jitter', () => {
+            expect(getRetryDelay(options, 'GET', 1)).toBe(750);
+            expect(getRetryDelay(options, 'GET', 2)).toBe(1500);
+            expect(getRetryDelay(options, 'GET', 3)).toBe(3000);
+        });
+
+        test('caps the backoff at maxDelay', () => {
+            expect(getRetryDelay({ ...options, retries: 10 }, 'GET', 10)).toBe(22500);
+        });
+
+        test('stops once the retries are used up', () => {
+            expect(getRetryDelay(options, 'GET', 4)).toBeUndefined();
+        });
+
+        test('only retries the configured methods', () => {
+            expect(getRetryDelay(options, 'POST', 1)).toBeUndefined();
+            expect(getRetryDelay({ ...options, methods: undefined }, 'POST', 1)).toBe(750);
+        });
+
+        test('retries transient server errors', () => {
+            for (const status of [500, 502, 503, 504]) {
+                expect(getRetryDelay(options, 'GET', 1, mockResponse(status))).toBe(750);
+            }
+        });
+
+        test('does not retry other statuses', () => {
+            expect(getRetryDelay(options, 'GET', 1, mockResponse(400))).toBeUndefined();
+            expect(getRetryDelay(options, 'GET', 1, mockResponse(429))).toBeUndefined();
+        });
+
+        test('honours Retry-After on retryable responses and 429', () => {
+            expect(getRetryDelay(options, 'GET', 1, mockResponse(503, '5'))).toBe(5000);
+            expect(getRetryDelay(options, 'GET', 1, mockResponse(429, '2'))).toBe(2000);
+        });
+
+        test('does not retry when Retry-After exceeds maxDelay', () => {
+            expect(getRetryDelay(options, 'GET', 1, mockResponse(503, '60'))).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Check a post-login return URL and normalize it, so users can only be sent
+ * back to this site or an allowed origin and never redirected elsewhere.
+ * Paths are resolved against the base URL and returned as a path; absolute
+ * URLs must be http(s) on the base origin or an allowed origin.
+ * @param {*} returnTo - The return URL or path.
+ * @param {string} baseUrl - A URL of this site, such as the redirect URI.
+ * @param {string[]} [allowedOrigins=[]] - Other origins users may return to.
+ * @returns {string|undefined} The normalized return URL, or undefined if it is not safe.
+ */
+function getSafeReturnTo(returnTo, baseUrl, allowedOrigins = []) {
+	// Backslashes and control characters are read as slashes or dropped by
+	// some browsers, turning a path into a URL on another host
+	if (typeof returnTo !== "string" || /[\\\x00-\x1f\x7f]/.test(returnTo)) {
+		return undefined
+	}
+
+	const base = new URL(baseUrl)
+	const isPath = returnTo.startsWith("/") && !returnTo.startsWith("//")
+
+	let url
+	try {
+		url = new URL(returnTo, base)
+	} catch (error) {
+		return undefined
+	}
+
+	if (isPath) {
+		return url.origin === base.origin
+			? url.pathname + url.search + url.hash
+			: undefined
+	}
+
+	const allowed = [base.origin, ...allowedOrigins.map(o => new URL(o).origin)]
+	if (!/^https?:\/\//i.test(returnTo) || !allowed.includes(url.origin)) {
+		return undefined
+	}
+	return url.href
+}
+
+module.exports = {
+	getSafeReturnTo
+}
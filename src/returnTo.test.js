@@ -0,0 +1,52 @@
+const { getSafeReturnTo } = require('./returnTo');
+
+const baseUrl = 'https://app.example.com/auth/callback';
+
+describe('returnTo', () => {
+    describe('getSafeReturnTo', () => {
+        test('accepts paths on this site', () => {
+            expect(getSafeReturnTo('/dashboard', baseUrl)).toBe('/dashboard');
+            expect(getSafeReturnTo('/tweets?page=2#top', baseUrl)).toBe('/tweets?page=2#top');
+        });
+
+        test('normalizes paths', () => {
+            expect(getSafeReturnTo('/a/../b', baseUrl)).toBe('/b');
+        });
+
+        test('accepts URLs on the base origin', () => {
+            expect(getSafeReturnTo('https://app.example.com/settings', baseUrl)).toBe('https://app.example.com/settings');
+        });
+
+        test('accepts URLs on allowed origins', () => {
+            const allowed = ['https://admin.example.com'];
+            expect(getSafeReturnTo('https://admin.example.com/users', baseUrl, allowed)).toBe('https://admin.example.com/users');
+        });
+
+        test('rejects other origins', () => {
+            expect(getSafeReturnTo('https://evil.example/phish', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('http://app.example.com/', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('https://app.example.com.evil.example/', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('https://app.example.com@evil.example/', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('https://[bad', baseUrl)).toBeUndefined();
+        });
+
+        test('rejects protocol-relative and backslash tricks', () => {
+            expect(getSafeReturnTo('//evil.example/', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('/\\evil.example/', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('\\\\evil.example', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('/\t/evil.example/', baseUrl)).toBeUndefined();
+        });
+
+        test('rejects other schemes', () => {
+            expect(getSafeReturnTo('javascript:alert(1)', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('data:text/html,hi', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo('https:evil.example', baseUrl)).toBeUndefined();
+        });
+
+        test('rejects relative paths and non-strings', () => {
+            expect(getSafeReturnTo('dashboard', baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo(undefined, baseUrl)).toBeUndefined();
+            expect(getSafeReturnTo(['/a', '/b'], baseUrl)).toBeUndefined();
+        });
+    });
+});
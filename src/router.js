@@ -0,0 +1,214 @@
+const {
+	AuthError,
+	StateMismatchError,
+	AuthorizationError
+} = require("./errors")
+
+/**
+ * Paths and redirects used when none are configured.
+ */
+const DEFAULT_ROUTER_OPTIONS = {
+	loginPath: "/login",
+	callbackPath: "/callback",
+	logoutPath: "/logout",
+	successRedirect: "/",
+	failureRedirect: "/",
+	logoutRedirect: "/"
+}
+
+/**
+ * Get the path and query of a request, from Express' `req.path` and
+ * `req.query` when present, otherwise parsed from `req.url`.
+ * @param {Object} req - The request.
+ * @returns {{ path: string, query: Object }} The path and query.
+ */
+function parseRequest(req) {
+	const url = new URL(req.url || "/", "http://localhost")
+	return {
+		path: req.path || url.pathname,
+		query: req.query || Object.fromEntries(url.searchParams)
+	}
+}
+
+/**
+ * Redirect a response, with Express' `res.redirect` when present.
+ * @param {Object} res - The response.
+ * @param {string} location - The URL to redirect to.
+ */
+function redirect(res, location) {
+	if (typeof res.redirect === "function") {
+		res.redirect(location)
+		return
+	}
+	res.statusCode = 302
+	res.setHeader("Location", location)
+	res.end()
+}
+
+/**
+ * Add a query parameter to a URL that may be relative.
+ * @param {string} location - The URL.
+ * @param {string} name - The parameter name.
+ * @param {string} value - The parameter value.
+ * @returns {string} The URL with the parameter.
+ */
+function withQueryParam(location, name, value) {
+	const separator = location.includes("?") ? "&" : "?"
+	return `${location}${separator}${name}=${encodeURIComponent(value)}`
+}
+
+/**
+ * Get the `error` query parameter reported to the failure redirect for a
+ * failed callback: the OAuth error code X returned, `state_mismatch` or
+ * `authentication_failed`.
+ * @param {AuthError} error - The callback error.
+ * @returns {string} The error code.
+ */
+function getErrorCode(error) {
+	if (error instanceof AuthorizationError) {
+		return error.title
+	}
+	if (error instanceof StateMismatchError) {
+		return "state_mismatch"
+	}
+	return "authentication_failed"
+}
+
+/**
+ * Create a middleware that mounts the login, callback and logout routes of
+ * the OAuth flow, and sets `req.xUser` to the session user on every request
+ * it sees. Works with Express, Connect or a plain `http` server, and needs a
+ * session middleware such as express-session in front of it.
+ * @param {Object} client - The XOAuth client.
+ * @param {Object} [options={}] - Router options.
+ * @param {string} [options.loginPath="/login"] - Redirects to X to log in. A `returnTo` query parameter sets where to go afterwards.
+ * @param {string} [options.callbackPath="/callback"] - Handles the callback from X. Must match the path of the client's redirect URI.
+ * @param {string} [options.logoutPath="/logout"] - Logs out.
+ * @param {string} [options.successRedirect="/"] - Where to redirect after logging in, without a safe `returnTo`.
+ * @param {string} [options.failureRedirect="/"] - Where to redirect when logging in fails, with an `error` query parameter.
+ * @param {string} [options.logoutRedirect="/"] - Where to redirect after logging out.
+ * @param {string|string[]} [options.scopes] - The scopes to request, if not the client's.
+ * @returns {function(Object, Object, function): Promise<void>} The middleware.
+ */
+function createRouter(client, options = {}) {
+	const settings = { ...DEFAULT_ROUTER_OPTIONS, ...options }
+
+	/**
+	 * Redirect the user to X to log in, remembering the `returnTo` query
+	 * parameter to send them back to afterwards.
+	 * @param {Object} req - The request.
+	 * @param {Object} res - The response.
+	 * @param {Object} query - The login query.
+	 * @returns {Promise<void>}
+	 */
+	async function login(req, res, query) {
+		const url = await client.getAuthorizationURL(req.session, {
+			scopes: settings.scopes,
+			returnTo: query.returnTo
+		})
+		redirect(res, url)
+	}
+
+	/**
+	 * Complete the login with the code X returned and send the user back to
+	 * where they started, or report the error X returned instead.
+	 * @param {Object} req - The request.
+	 * @param {Object} res - The response.
+	 * @param {Object} query - The callback query, with `code` and `state`, or `error` and `state`.
+	 * @returns {Promise<void>}
+	 */
+	async function callback(req, res, query) {
+		let user
+		try {
+			user = await client.handleCallbackQuery(query, req.session)
+		} catch (error) {
+			if (!(error instanceof AuthError)) {
+				throw error
+			}
+			redirect(
+				res,
+				withQueryParam(settings.failureRedirect, "error", getErrorCode(error))
+			)
+			return
+		}
+
+		req.xUser = req.session.user
+		redirect(res, user.returnTo || settings.successRedirect)
+	}
+
+	/**
+	 * Log the user out.
+	 * @param {Object} req - The request.
+	 * @param {Object} res - The response.
+	 * @returns {Promise<void>}
+	 */
+	async function logout(req, res) {
+		if (req.session.user) {
+			await client.logout(req.session)
+		}
+		req.xUser = undefined
+		redirect(res, settings.logoutRedirect)
+	}
+
+	const routes = {
+		[`GET ${settings.loginPath}`]: login,
+		[`GET ${settings.callbackPath}`]: callback,
+		[`GET ${settings.logoutPath}`]: logout,
+		[`POST ${settings.logoutPath}`]: logout
+	}
+
+	return async function xoauthRouter(req, res, next) {
+		const { path, query } = parseRequest(req)
+		const route = routes[`${req.method} ${path}`]
+		req.xUser = req.session ? req.session.user : undefined
+
+		if (!route) {
+			next()
+			return
+		}
+
+		try {
+			if (!req.session) {
+				throw new AuthError(
+					"A session middleware is required for the OAuth routes"
+				)
+			}
+			await route(req, res, query)
+		} catch (error) {
+			next(error)
+		}
+	}
+}
+
+/**
+ * Create a middleware that only lets requests with a logged in session user
+ * through, setting `req.xUser`. Other requests are redirected, or answered
+ * with `401 Unauthorized` when no redirect is configured.
+ * @param {Object} [options={}] - Guard options.
+ * @param {string} [options.redirectTo] - Where to redirect requests without a user, such as the login path.
+ * @returns {function(Object, Object, function): void} The middleware.
+ */
+function requireXAuth(options = {}) {
+	return function requireXAuthMiddleware(req, res, next) {
+		const user = req.session ? req.session.user : undefined
+		if (user) {
+			req.xUser = user
+			next()
+			return
+		}
+
+		if (options.redirectTo) {
+			redirect(res, options.redirectTo)
+			return
+		}
+		res.statusCode = 401
+		res.setHeader("Content-Type", "application/json")
+		res.end(JSON.stringify({ error: "unauthorized" }))
+	}
+}
+
+module.exports = {
+	DEFAULT_ROUTER_OPTIONS,
+	createRouter,
+	requireXAuth
+}
@@ -0,0 +1,187 @@
+const { createRouter, requireXAuth } = require('./router');
+const { AuthError, StateMismatchError, AccessDeniedError } = require('./errors');
+
+const mockRequest = (method, url, session = {}) => ({ method, url, session });
+
+const mockResponse = () => {
+    const headers = {};
+    return {
+        statusCode: 200,
+        headers,
+        setHeader: jest.fn((name, value) => { headers[name.toLowerCase()] = value; }),
+        end: jest.fn()
+    };
+};
+
+describe('router', () => {
+    let client;
+    let next;
+
+    beforeEach(() => {
+        client = {
+            getAuthorizationURL: jest.fn().mockResolvedValue('https://x.com/i/oauth2/authorize?state=abc'),
+            handleCallbackQuery: jest.fn(async (query, session) => {
+                session.user = { id: '123' };
+                return session.user;
+            }),
+            logout: jest.fn().mockResolvedValue()
+        };
+        next = jest.fn();
+    });
+
+    describe('createRouter', () => {
+        test('redirects to X on login', async () => {
+            const router = createRouter(client, { scopes: ['tweet.read'] });
+            const req = mockRequest('GET', '/login');
+            const res = mockResponse();
+
+            await router(req, res, next);
+
+            expect(client.getAuthorizationURL).toHaveBeenCalledWith(req.session, { scopes: ['tweet.read'] });
+            expect(res.statusCode).toBe(302);
+            expect(res.headers.location).toBe('https://x.com/i/oauth2/authorize?state=abc');
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('remembers the returnTo query parameter on login', async () => {
+            const req = mockRequest('GET', '/login?returnTo=%2Ftweets');
+            await createRouter(client)(req, mockResponse(), next);
+            expect(client.getAuthorizationURL).toHaveBeenCalledWith(req.session, { scopes: undefined, returnTo: '/tweets' });
+        });
+
+        test('redirects to the return path handed back by the callback', async () => {
+            client.handleCallbackQuery.mockImplementationOnce(async (query, session) => {
+                session.user = { id: '123' };
+                return Object.defineProperty({ ...session.user }, 'returnTo', { value: '/tweets' });
+            });
+            const res = mockResponse();
+
+            await createRouter(client, { successRedirect: '/home' })(mockRequest('GET', '/callback?code=c&state=s'), res, next);
+
+            expect(res.headers.location).toBe('/tweets');
+        });
+
+        test('handles the callback and redirects to the success URL', async () => {
+            const router = createRouter(client, { successRedirect: '/home' });
+            const req = mockRequest('GET', '/callback?code=c&state=s');
+            const res = mockResponse();
+
+            await router(req, res, next);
+
+            expect(client.handleCallbackQuery).toHaveBeenCalledWith({ code: 'c', state: 's' }, req.session);
+            expect(req.xUser).toEqual({ id: '123' });
+            expect(res.headers.location).toBe('/home');
+        });
+
+        test('redirects to the failure URL with the error X returned', async () => {
+            const router = createRouter(client, { failureRedirect: '/login-failed' });
+            client.handleCallbackQuery.mockRejectedValueOnce(new AccessDeniedError('Authorization denied by the user', { title: 'access_denied' }));
+            const req = mockRequest('GET', '/callback?error=access_denied&state=s');
+            const res = mockResponse();
+
+            await router(req, res, next);
+
+            expect(client.handleCallbackQuery).toHaveBeenCalledWith({ error: 'access_denied', state: 's' }, req.session);
+            expect(res.headers.location).toBe('/login-failed?error=access_denied');
+        });
+
+        test('redirects to the failure URL when the callback fails', async () => {
+            const router = createRouter(client, { failureRedirect: '/?page=login' });
+            client.handleCallbackQuery.mockRejectedValueOnce(new StateMismatchError());
+            const res = mockResponse();
+            await router(mockRequest('GET', '/callback?code=c&state=wrong'), res, next);
+            expect(res.headers.location).toBe('/?page=login&error=state_mismatch');
+
+            client.handleCallbackQuery.mockRejectedValueOnce(new AuthError('Authentication failed'));
+            const res2 = mockResponse();
+            await router(mockRequest('GET', '/callback?code=c&state=s'), res2, next);
+            expect(res2.headers.location).toBe('/?page=login&error=authentication_failed');
+        });
+
+        test('passes unexpected errors to next', async () => {
+            const error = new Error('Aborted');
+            client.handleCallbackQuery.mockRejectedValueOnce(error);
+            await createRouter(client)(mockRequest('GET', '/callback?code=c&state=s'), mockResponse(), next);
+            expect(next).toHaveBeenCalledWith(error);
+        });
+
+        test('logs out and redirects', async () => {
+            const router = createRouter(client, { logoutRedirect: '/bye' });
+            const req = mockRequest('POST', '/logout', { user: { id: '123' } });
+            const res = mockResponse();
+
+            await router(req, res, next);
+
+            expect(client.logout).toHaveBeenCalledWith(req.session);
+            expect(req.xUser).toBeUndefined();
+            expect(res.headers.location).toBe('/bye');
+        });
+
+        test('skips logout without a user', async () => {
+            const res = mockResponse();
+            await createRouter(client)(mockRequest('GET', '/logout'), res, next);
+            expect(client.logout).not.toHaveBeenCalled();
+            expect(res.headers.location).toBe('/');
+        });
+
+        test('uses configured paths', async () => {
+            const router = createRouter(client, { loginPath: '/auth/x', callbackPath: '/auth/x/callback' });
+
+            await router(mockRequest('GET', '/login'), mockResponse(), next);
+            expect(next).toHaveBeenCalledWith();
+
+            await router(mockRequest('GET', '/auth/x'), mockResponse(), next);
+            await router(mockRequest('GET', '/auth/x/callback?code=c&state=s'), mockResponse(), next);
+            expect(client.getAuthorizationURL).toHaveBeenCalled();
+            expect(client.handleCallbackQuery).toHaveBeenCalled();
+        });
+
+        test('uses the Express path, query and redirect', async () => {
+            const req = { method: 'GET', url: '/auth/callback', path: '/callback', query: { code: 'c', state: 's' }, session: {} };
+            const res = { redirect: jest.fn() };
+
+            await createRouter(client)(req, res, next);
+
+            expect(client.handleCallbackQuery).toHaveBeenCalledWith({ code: 'c', state: 's' }, req.session);
+            expect(res.redirect).toHaveBeenCalledWith('/');
+        });
+
+        test('sets req.xUser and passes other requests on', async () => {
+            const req = mockRequest('GET', '/profile', { user: { id: '123' } });
+            await createRouter(client)(req, mockResponse(), next);
+            expect(req.xUser).toEqual({ id: '123' });
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        test('requires a session for its routes', async () => {
+            const req = { method: 'GET', url: '/login' };
+            await createRouter(client)(req, mockResponse(), next);
+            expect(next).toHaveBeenCalledWith(expect.any(AuthError));
+            expect(next.mock.calls[0][0].message).toBe('A session middleware is required for the OAuth routes');
+        });
+    });
+
+    describe('requireXAuth', () => {
+        test('lets logged in users through', () => {
+            const req = mockRequest('GET', '/', { user: { id: '123' } });
+            requireXAuth()(req, mockResponse(), next);
+            expect(req.xUser).toEqual({ id: '123' });
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        test('answers 401 without a user', () => {
+            const res = mockResponse();
+            requireXAuth()(mockRequest('GET', '/'), res, next);
+            expect(next).not.toHaveBeenCalled();
+            expect(res.statusCode).toBe(401);
+            expect(res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'unauthorized' }));
+        });
+
+        test('redirects without a user when configured', () => {
+            const res = mockResponse();
+            requireXAuth({ redirectTo: '/login' })({ method: 'GET', url: '/' }, res, next);
+            expect(res.statusCode).toBe(302);
+            expect(res.headers.location).toBe('/login');
+        });
+    });
+});
@@ -0,0 +1,399 @@
+const { EventEmitter } = require("events")
+const {
+	XOAuthError,
+	ApiError,
+	RateLimitError,
+	NetworkError
+} = require("./errors")
+const { sleep } = require("./retry")
+
+/**
+ * The filtered stream endpoint.
+ */
+const STREAM_ENDPOINT = "tweets/search/stream"
+
+/**
+ * The filtered stream rules endpoint.
+ */
+const RULES_ENDPOINT = "tweets/search/stream/rules"
+
+/**
+ * How long the stream may go without data before it is treated as stalled.
+ * X sends a heartbeat every 20 seconds.
+ */
+const DEFAULT_STALL_TIMEOUT = 30 * 1000
+
+/**
+ * Split a byte stream into lines, dropping the `\r` of `\r\n` endings.
+ * @param {ReadableStreamDefaultReader} reader - The reader of the response body.
+ * @returns {AsyncGenerator<string>} The lines.
+ */
+async function* readLines(reader) {
+	const decoder = new TextDecoder()
+	let buffered = ""
+
+	for (;;) {
+		const { done, value } = await reader.read()
+		if (done) {
+			break
+		}
+		buffered += decoder.decode(value, { stream: true })
+
+		let index
+		while ((index = buffered.indexOf("\n")) !== -1) {
+			yield buffered.slice(0, index).replace(/\r$/, "")
+			buffered = buffered.slice(index + 1)
+		}
+	}
+
+	buffered += decoder.decode()
+	if (buffered) {
+		yield buffered.replace(/\r$/, "")
+	}
+}
+
+/**
+ * Classify a failed connection the way X's reconnection guidelines do.
+ * @param {Error} error - The error the connection failed with.
+ * @returns {string|undefined} `network`, `http` or `rateLimit`, or undefined if reconnecting will not help.
+ */
+function getFailureKind(error) {
+	if (error instanceof RateLimitError) {
+		return "rateLimit"
+	}
+	if (error instanceof ApiError) {
+		return error.status >= 500 ? "http" : undefined
+	}
+	if (error instanceof NetworkError) {
+		return "network"
+	}
+	return undefined
+}
+
+/**
+ * Get the delay before reconnecting, following X's guidelines: back off
+ * linearly by 250ms up to 16 seconds after network errors, exponentially
+ * from 5 seconds up to 320 seconds after HTTP errors, and exponentially from
+ * 1 minute after 429 responses.
+ * @param {string} kind - The kind of failure, see getFailureKind.
+ * @param {number} attempt - The number of consecutive failures of this kind, from 1.
+ * @returns {number} The delay in milliseconds.
+ */
+function getReconnectDelay(kind, attempt) {
+	if (kind === "network") {
+		return Math.min(250 * attempt, 16 * 1000)
+	}
+	if (kind === "http") {
+		return Math.min(5 * 1000 * Math.pow(2, attempt - 1), 320 * 1000)
+	}
+	return 60 * 1000 * Math.pow(2, attempt - 1)
+}
+
+/**
+ * Managing the rules of the filtered stream. Available as
+ * `client.streamRules`. Rules are app-level, so requests are authorized with
+ * the app-only token.
+ */
+class StreamRules {
+	/**
+	 * Create the stream rules namespace.
+	 * @param {Object} client - The XOAuth client.
+	 */
+	constructor(client) {
+		this.client = client
+	}
+
+	/**
+	 * List the rules.
+	 * @param {Object} [options={}] - Per-request options, see sendRequest.
+	 * @returns {Promise<Object[]>} The rules, with `id`, `value` and `tag`.
+	 */
+	async list(options = {}) {
+		const response = await this.client.get(
+			RULES_ENDPOINT,
+			{},
+			{},
+			undefined,
+			{ ...options, appOnly: true }
+		)
+		return response.data || []
+	}
+
+	/**
+	 * Add rules.
+	 * @param {Object[]} rules - The rules, with `value` and optionally `tag`.
+	 * @param {Object} [options={}] - Per-request options, see sendRequest.
+	 * @param {boolean} [options.dryRun=false] - Validate the rules without adding them.
+	 * @returns {Promise<{ rules: Object[], meta: Object, errors: Object[] }>} The rules added, the summary in `meta` and any rules rejected in `errors`.
+	 */
+	add(rules, options = {}) {
+		return this._update({ add: rules }, options)
+	}
+
+	/**
+	 * Delete rules by id.
+	 * @param {string[]} ids - The rule ids.
+	 * @param {Object} [options={}] - Per-request options, see sendRequest.
+	 * @param {boolean} [options.dryRun=false] - Validate the deletion without deleting.
+	 * @returns {Promise<{ rules: Object[], meta: Object, errors: Object[] }>} The summary in `meta` and any rules not deleted in `errors`.
+	 */
+	delete(ids, options = {}) {
+		return this._update({ delete: { ids } }, options)
+	}
+
+	/**
+	 * Send a change to the rules.
+	 * @param {Object} body - The `add` or `delete` request body.
+	 * @param {Object} options - Per-request options, with `dryRun`.
+	 * @returns {Promise<{ rules: Object[], meta: Object, errors: Object[] }>} The result.
+	 * @private
+	 */
+	async _update(body, options) {
+		const { dryRun, ...requestOptions } = options
+		const endpoint = dryRun
+			? `${RULES_ENDPOINT}?dry_run=true`
+			: RULES_ENDPOINT
+		const response = await this.client.post(endpoint, body, {}, undefined, {
+			...requestOptions,
+			appOnly: true
+		})
+		return {
+			rules: response.data || [],
+			meta: response.meta || {},
+			errors: response.errors || []
+		}
+	}
+}
+
+/**
+ * Consumer of the filtered stream, `tweets/search/stream`. Messages are
+ * parsed as they arrive, and the connection is reopened with X's
+ * recommended backoff when it drops, fails or stalls. The stream is
+ * authorized with the app-only token.
+ *
+ * Events:
+ * - `connect`: The stream is connected.
+ * - `data` (message): A matching tweet, with `data`, `includes` and `matching_rules`.
+ * - `heartbeat`: X sent a keep-alive.
+ * - `warning` (error): X sent an error message, such as an operational disconnect, as an ApiError.
+ * - `stall`: Nothing arrived within `stallTimeout`; the stream reconnects.
+ * - `reconnect` ({ attempt, delay, error }): The connection failed and is reopened after `delay` milliseconds.
+ * - `close` (error): The stream stopped, with the error that stopped it unless it was closed.
+ */
+class FilteredStream extends EventEmitter {
+	/**
+	 * Create a FilteredStream.
+	 * @param {Object} client - The XOAuth client.
+	 * @param {Object} [params={}] - Query parameters, such as `tweet.fields` and `expansions`.
+	 * @param {Object} [options={}] - Stream options.
+	 * @param {number} [options.stallTimeout=30000] - Milliseconds without data after which the stream reconnects.
+	 * @param {number} [options.maxReconnects=Infinity] - Consecutive failed reconnects after which the stream stops.
+	 */
+	constructor(client, params = {}, options = {}) {
+		super()
+		this.client = client
+		this.params = params
+		this.stallTimeout =
+			options.stallTimeout !== undefined
+				? options.stallTimeout
+				: DEFAULT_STALL_TIMEOUT
+		this.maxReconnects =
+			options.maxReconnects !== undefined ? options.maxReconnects : Infinity
+		this.connected = false
+		this._closeController = undefined
+		this._reader = undefined
+	}
+
+	/**
+	 * Connect and consume the stream until it is closed, reconnecting when
+	 * the connection drops, fails with a network error, a `5xx` or a `429`,
+	 * or stalls.
+	 * @returns {Promise<void>} Resolves once the stream is closed.
+	 * @throws {ApiError} If X rejects the connection with another status, such as `401` or `403`.
+	 * @throws {Error} If reconnecting fails `maxReconnects` times in a row, with the last error.
+	 */
+	async connect() {
+		const closeController = new AbortController()
+		this._closeController = closeController
+		const failures = { network: 0, http: 0, rateLimit: 0 }
+		let reconnects = 0
+
+		try {
+			for (;;) {
+				let error
+				try {
+					await this._consume(closeController.signal)
+					error = new NetworkError("Stream disconnected", {
+						endpoint: STREAM_ENDPOINT
+					})
+				} catch (consumeError) {
+					error = consumeError
+				}
+				if (closeController.signal.aborted) {
+					break
+				}
+
+				// Back off from scratch after a connection that succeeded
+				if (this.connected) {
+					this.connected = false
+					failures.network = failures.http = failures.rateLimit = 0
+					reconnects = 0
+				}
+
+				const kind = getFailureKind(error)
+				if (!kind || reconnects >= this.maxReconnects) {
+					throw error
+				}
+
+				failures[kind]++
+				reconnects++
+				const delay = getReconnectDelay(kind, failures[kind])
+				this.emit("reconnect", { attempt: reconnects, delay, error })
+				await sleep(delay, closeController.signal).catch(() => {})
+				if (closeController.signal.aborted) {
+					break
+				}
+			}
+		} catch (error) {
+			this.connected = false
+			this._closeController = undefined
+			this.emit("close", error)
+			throw error
+		}
+
+		this.connected = false
+		this._closeController = undefined
+		this.emit("close")
+	}
+
+	/**
+	 * Close the stream. The promise returned by `connect` resolves.
+	 */
+	close() {
+		this.connected = false
+		if (this._closeController) {
+			this._closeController.abort()
+		}
+		if (this._reader) {
+			this._reader.cancel().catch(() => {})
+		}
+	}
+
+	/**
+	 * Open one connection and read messages until it ends.
+	 * @param {AbortSignal} signal - Aborted when the stream is closed.
+	 * @returns {Promise<void>} Resolves when the connection ends.
+	 * @throws {ApiError} If X rejects the connection.
+	 * @throws {NetworkError} If the connection fails or stalls.
+	 * @private
+	 */
+	async _consume(signal) {
+		const response = await this.client.get(
+			STREAM_ENDPOINT,
+			this.params,
+			{},
+			undefined,
+			{ signal, retry: false, raw: true, appOnly: true }
+		)
+
+		const reader = response.body.getReader()
+		this._reader = reader
+		this.connected = true
+		this.emit("connect")
+
+		let stalled = false
+		let timer
+		const watchForStall = () => {
+			clearTimeout(timer)
+			timer = setTimeout(() => {
+				stalled = true
+				this.emit("stall")
+				reader.cancel().catch(() => {})
+			}, this.stallTimeout)
+		}
+
+		const lines = readLines(reader)
+		watchForStall()
+		try {
+			for (;;) {
+				let next
+				try {
+					next = await lines.next()
+				} catch (error) {
+					throw new NetworkError(error.message, {
+						endpoint: STREAM_ENDPOINT,
+						cause: error
+					})
+				}
+				if (next.done) {
+					break
+				}
+				watchForStall()
+				this._handleLine(next.value)
+			}
+		} finally {
+			clearTimeout(timer)
+			this._reader = undefined
+		}
+
+		if (stalled) {
+			throw new NetworkError(
+				`Stream stalled for ${this.stallTimeout}ms`,
+				{ endpoint: STREAM_ENDPOINT }
+			)
+		}
+	}
+
+	/**
+	 * Emit the message on a line of the stream.
+	 * @param {string} line - The line, empty for a heartbeat.
+	 * @private
+	 */
+	_handleLine(line) {
+		if (!line.trim()) {
+			this.emit("heartbeat")
+			return
+		}
+
+		let message
+		try {
+			message = JSON.parse(line)
+		} catch (error) {
+			this.emit(
+				"warning",
+				new XOAuthError("Stream message is not valid JSON", {
+					endpoint: STREAM_ENDPOINT,
+					cause: error
+				})
+			)
+			return
+		}
+
+		if (message.data) {
+			this.emit("data", message)
+			return
+		}
+
+		const errors = Array.isArray(message.errors) ? message.errors : []
+		const first = errors[0] || {}
+		this.emit(
+			"warning",
+			new ApiError(first.detail || first.title || "Stream error", {
+				title: first.title,
+				detail: first.detail,
+				type: first.type,
+				errors,
+				endpoint: STREAM_ENDPOINT
+			})
+		)
+	}
+}
+
+module.exports = {
+	DEFAULT_STALL_TIMEOUT,
+	readLines,
+	getFailureKind,
+	getReconnectDelay,
+	StreamRules,
+	FilteredStream
+}
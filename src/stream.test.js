@@ -0,0 +1,415 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XOAuth = require('./xoauth2');
+const { readLines, getFailureKind, getReconnectDelay, FilteredStream } = require('./stream');
+const { jsonResponse, collect, silenceConsoleError } = require('./testHelpers');
+const { ApiError, RateLimitError, NetworkError, AuthError, Recorder } = XOAuth;
+
+const streamResponse = () => {
+    let controller;
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({ start: (c) => { controller = c; } });
+    return {
+        response: new Response(body, { status: 200 }),
+        push: text => controller.enqueue(encoder.encode(text)),
+        end: () => controller.close()
+    };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('stream', () => {
+    describe('readLines', () => {
+        test('splits chunks into lines, joining lines split across chunks', async () => {
+            const { response, push, end } = streamResponse();
+            push('{"a":');
+            push('1}\r\n\r\n{"b":2}\r');
+            push('\n{"c":3}');
+            end();
+
+            await expect(collect(readLines(response.body.getReader()))).resolves.toEqual(['{"a":1}', '', '{"b":2}', '{"c":3}']);
+        });
+
+        test('decodes characters split across chunks', async () => {
+            const bytes = new TextEncoder().encode('"é"\n');
+            const body = new ReadableStream({
+                start(controller) {
+                    controller.enqueue(bytes.slice(0, 2));
+                    controller.enqueue(bytes.slice(2));
+                    controller.close();
+                }
+            });
+
+            await expect(collect(readLines(body.getReader()))).resolves.toEqual(['"é"']);
+        });
+    });
+
+    describe('getFailureKind', () => {
+        test('classifies failures', () => {
+            expect(getFailureKind(new RateLimitError('message', { status: 429 }))).toBe('rateLimit');
+            expect(getFailureKind(new ApiError('message', { status: 503 }))).toBe('http');
+            expect(getFailureKind(new NetworkError('message'))).toBe('network');
+        });
+
+        test('does not reconnect after client errors and other failures', () => {
+            expect(getFailureKind(new ApiError('message', { status: 401 }))).toBeUndefined();
+            expect(getFailureKind(new ApiError('message', { status: 403 }))).toBeUndefined();
+            expect(getFailureKind(new AuthError('message'))).toBeUndefined();
+            expect(getFailureKind(new TypeError('message'))).toBeUndefined();
+        });
+    });
+
+    describe('getReconnectDelay', () => {
+        test('backs off linearly after network errors, up to 16 seconds', () => {
+            expect([1, 2, 3, 64, 100].map(attempt => getReconnectDelay('network', attempt))).toEqual([250, 500, 750, 16000, 16000]);
+        });
+
+        test('backs off exponentially after HTTP errors, up to 320 seconds', () => {
+            expect([1, 2, 3, 7, 8].map(attempt => getReconnectDelay('http', attempt))).toEqual([5000, 10000, 20000, 320000, 320000]);
+        });
+
+        test('backs off exponentially from a minute after rate limits', () => {
+            expect([1, 2, 3].map(attempt => getReconnectDelay('rateLimit', attempt))).toEqual([60000, 120000, 240000]);
+        });
+    });
+
+    describe('with a client', () => {
+        let xoauth;
+        let streamResponses;
+
+        silenceConsoleError();
+
+        const streamCalls = () => global.fetch.mock.calls.filter(([url]) => url.includes('/tweets/search/stream'));
+
+        beforeEach(() => {
+            xoauth = new XOAuth('client', 'secret', 'http://localhost:3000/callback', undefined, { appKey: 'key', appSecret: 'key-secret' });
+            streamResponses = [];
+            global.fetch = jest.fn(async (url) => {
+                if (url.includes('/oauth2/token')) {
+                    return jsonResponse({ token_type: 'bearer', access_token: 'app-token' });
+                }
+                const next = streamResponses.shift();
+                if (next instanceof Error) {
+                    throw next;
+                }
+                return typeof next === 'function' ? next(url) : next;
+            });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        describe('streamRules', () => {
+            const lastCall = () => {
+                const [url, options] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+                return { url: new URL(url), options };
+            };
+
+            test('lists the rules with the app-only token', async () => {
+                streamResponses.push(jsonResponse({ data: [{ id: '1', value: 'cat has:images', tag: 'cats' }], meta: { result_count: 1 } }));
+
+                await expect(xoauth.streamRules.list()).resolves.toEqual([{ id: '1', value: 'cat has:images', tag: 'cats' }]);
+                expect(lastCall().url.pathname).toBe('/2/tweets/search/stream/rules');
+                expect(lastCall().options.headers.Authorization).toBe('Bearer app-token');
+            });
+
+            test('renews a rejected app-only token and retries once', async () => {
+                xoauth._appToken = 'stale-token';
+                streamResponses.push(jsonResponse({ title: 'Unauthorized' }, 401), jsonResponse({ meta: { result_count: 0 } }));
+
+                await expect(xoauth.streamRules.list()).resolves.toEqual([]);
+                expect(lastCall().options.headers.Authorization).toBe('Bearer app-token');
+            });
+
+            test('lists no rules', async () => {
+                streamResponses.push(jsonResponse({ meta: { result_count: 0 } }));
+
+                await expect(xoauth.streamRules.list()).resolves.toEqual([]);
+            });
+
+            test('adds rules', async () => {
+                streamResponses.push(jsonResponse({
+                    data: [{ id: '2', value: 'dog', tag: 'dogs' }],
+                    meta: { summary: { created: 1, not_created: 1, valid: 1, invalid: 1 } },
+                    errors: [{ value: 'cat has:images', title: 'DuplicateRule' }]
+                }));
+
+                const result = await xoauth.streamRules.add([{ value: 'dog', tag: 'dogs' }, { value: 'cat has:images' }]);
+
+                expect(result.rules).toEqual([{ id: '2', value: 'dog', tag: 'dogs' }]);
+                expect(result.meta.summary.created).toBe(1);
+                expect(result.errors[0].title).toBe('DuplicateRule');
+                expect(lastCall().options.method).toBe('POST');
+                expect(JSON.parse(lastCall().options.body)).toEqual({ add: [{ value: 'dog', tag: 'dogs' }, { value: 'cat has:images' }] });
+                expect(lastCall().url.search).toBe('');
+            });
+
+            test('validates rules in a dry run', async () => {
+                streamResponses.push(jsonResponse({ data: [{ value: 'dog' }], meta: { summary: { valid: 1 } } }));
+
+                await xoauth.streamRules.add([{ value: 'dog' }], { dryRun: true });
+
+                expect(lastCall().url.searchParams.get('dry_run')).toBe('true');
+            });
+
+            test('deletes rules by id', async () => {
+                streamResponses.push(jsonResponse({ meta: { summary: { deleted: 2, not_deleted: 0 } } }));
+
+                const result = await xoauth.streamRules.delete(['1', '2'], { dryRun: true });
+
+                expect(result).toEqual({ rules: [], meta: { summary: { deleted: 2, not_deleted: 0 } }, errors: [] });
+                expect(JSON.parse(lastCall().options.body)).toEqual({ delete: { ids: ['1', '2'] } });
+                expect(lastCall().url.searchParams.get('dry_run')).toBe('true');
+            });
+        });
+
+        describe('FilteredStream', () => {
+            test('is created by the client', () => {
+                const stream = xoauth.stream({ expansions: 'author_id' }, { stallTimeout: 1000 });
+
+                expect(stream).toBeInstanceOf(FilteredStream);
+                expect(stream.params).toEqual({ expansions: 'author_id' });
+                expect(stream.stallTimeout).toBe(1000);
+            });
+
+            test('connects with the params and the app-only token', async () => {
+                const { response } = streamResponse();
+                streamResponses.push(response);
+                const stream = xoauth.stream({ 'tweet.fields': 'created_at', expansions: 'author_id' });
+                stream.on('connect', () => stream.close());
+
+                await stream.connect();
+
+                const [url, options] = streamCalls()[0];
+                expect(new URL(url).pathname).toBe('/2/tweets/search/stream');
+                expect(Object.fromEntries(new URL(url).searchParams)).toEqual({ 'tweet.fields': 'created_at', expansions: 'author_id' });
+                expect(options.headers.Authorization).toBe('Bearer app-token');
+            });
+
+            test('is connected until it is closed', async () => {
+                const { response } = streamResponse();
+                streamResponses.push(response);
+                const stream = xoauth.stream();
+                const states = [];
+                stream.on('connect', () => {
+                    states.push(stream.connected);
+                    stream.close();
+                    states.push(stream.connected);
+                });
+
+                await stream.connect();
+
+                expect(states).toEqual([true, false]);
+                expect(stream.connected).toBe(false);
+            });
+
+            test('emits messages and heartbeats as they arrive', async () => {
+                const { response, push } = streamResponse();
+                streamResponses.push(response);
+                const stream = xoauth.stream();
+                const events = [];
+                stream.on('data', message => events.push(['data', message.data.id, message.matching_rules[0].tag]));
+                stream.on('heartbeat', () => events.push(['heartbeat']));
+                stream.on('close', error => events.push(['close', error]));
+                stream.on('connect', async () => {
+                    push('{"data":{"id":"1","text":"a"},"matching_rules":[{"id":"9","tag":"cats"}]}\r\n\r\n{"data":{"id":"2",');
+                    await flush();
+                    push('"text":"b"},"matching_rules":[{"id":"9","tag":"cats"}]}\r\n');
+                    await flush();
+                    stream.close();
+                });
+
+                await stream.connect();
+
+                expect(events).toEqual([
+                    ['data', '1', 'cats'],
+                    ['heartbeat'],
+                    ['data', '2', 'cats'],
+                    ['close', undefined]
+                ]);
+            });
+
+            test('streams with a recorder, recording everything but the stream', async () => {
+                const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xoauth-stream-'));
+                const recorder = new Recorder(path.join(dir, 'stream.json'), { mode: 'record' });
+                xoauth = new XOAuth('client', 'secret', 'http://localhost:3000/callback', undefined, { appKey: 'key', appSecret: 'key-secret', recorder });
+                const { response, push } = streamResponse();
+                streamResponses.push(response);
+                const stream = xoauth.stream();
+                const messages = [];
+                stream.on('data', message => {
+                    messages.push(message.data.id);
+                    stream.close();
+                });
+                stream.on('connect', () => push('{"data":{"id":"1","text":"a"}}\r\n'));
+
+                await stream.connect();
+                await recorder.save();
+
+                expect(messages).toEqual(['1']);
+                const fixture = JSON.parse(fs.readFileSync(recorder.filePath, 'utf8'));
+                expect(fixture.map(({ request }) => request.path)).toEqual(['/oauth2/token']);
+                fs.rmSync(dir, { recursive: true, force: true });
+            });
+
+            test('emits error messages as warnings', async () => {
+                const { response, push } = streamResponse();
+                streamResponses.push(response);
+                const stream = xoauth.stream();
+                const warnings = [];
+                stream.on('warning', warning => warnings.push(warning));
+                stream.on('connect', async () => {
+                    push('{"errors":[{"title":"operational-disconnect","detail":"This stream has been disconnected for operational reasons."}]}\r\nnot json\r\n');
+                    await flush();
+                    stream.close();
+                });
+
+                await stream.connect();
+
+                expect(warnings[0]).toBeInstanceOf(ApiError);
+                expect(warnings[0].title).toBe('operational-disconnect');
+                expect(warnings[1].message).toBe('Stream message is not valid JSON');
+            });
+
+            test('reconnects with linear backoff when the connection drops', async () => {
+                jest.useFakeTimers();
+                const first = streamResponse();
+                const second = streamResponse();
+                streamResponses.push(new TypeError('fetch failed'), new TypeError('fetch failed'), first.response, second.response);
+                const stream = xoauth.stream();
+                const reconnects = [];
+                stream.on('reconnect', ({ attempt, delay, error }) => reconnects.push([attempt, delay, error.constructor.name]));
+                let connects = 0;
+                stream.on('connect', () => {
+                    connects++;
+                    if (connects === 1) {
+                        first.end();
+                    } else {
+                        stream.close();
+                    }
+                });
+
+                const done = stream.connect();
+                await jest.advanceTimersByTimeAsync(250);
+                await jest.advanceTimersByTimeAsync(500);
+                await jest.advanceTimersByTimeAsync(250);
+                await done;
+
+                expect(reconnects).toEqual([
+                    [1, 250, 'NetworkError'],
+                    [2, 500, 'NetworkError'],
+                    // The backoff starts over after a successful connection
+                    [1, 250, 'NetworkError']
+                ]);
+                expect(streamCalls()).toHaveLength(4);
+            });
+
+            test('backs off exponentially after server errors and rate limits', async () => {
+                jest.useFakeTimers();
+                const { response } = streamResponse();
+                streamResponses.push(
+                    jsonResponse({ title: 'Service Unavailable' }, 503),
+                    jsonResponse({ title: 'Service Unavailable' }, 503),
+                    jsonResponse({ title: 'Too Many Requests' }, 429),
+                    response
+                );
+                const stream = xoauth.stream();
+                const delays = [];
+                stream.on('reconnect', ({ delay }) => delays.push(delay));
+                stream.on('connect', () => stream.close());
+
+                const done = stream.connect();
+                await jest.advanceTimersByTimeAsync(5000 + 10000 + 60000);
+                await done;
+
+                expect(delays).toEqual([5000, 10000, 60000]);
+            });
+
+            test('reconnects when the stream stalls', async () => {
+                jest.useFakeTimers();
+                const first = streamResponse();
+                const second = streamResponse();
+                streamResponses.push(first.response, second.response);
+                const stream = xoauth.stream({}, { stallTimeout: 1000 });
+                const events = [];
+                stream.on('heartbeat', () => events.push('heartbeat'));
+                stream.on('stall', () => events.push('stall'));
+                stream.on('reconnect', ({ error }) => events.push(error.message));
+                let connects = 0;
+                stream.on('connect', () => {
+                    connects++;
+                    if (connects === 2) {
+                        stream.close();
+                    }
+                });
+
+                const done = stream.connect();
+                await jest.advanceTimersByTimeAsync(900);
+                first.push('\r\n');
+                await jest.advanceTimersByTimeAsync(900);
+                await jest.advanceTimersByTimeAsync(100);
+                await jest.advanceTimersByTimeAsync(250);
+                await done;
+
+                expect(events).toEqual(['heartbeat', 'stall', 'Stream stalled for 1000ms']);
+                expect(connects).toBe(2);
+            });
+
+            test('renews a rejected app-only token before connecting again', async () => {
+                const { response } = streamResponse();
+                xoauth._appToken = 'stale-token';
+                streamResponses.push(jsonResponse({ title: 'Unauthorized' }, 401), response);
+                const stream = xoauth.stream();
+                const reconnect = jest.fn();
+                stream.on('reconnect', reconnect);
+                stream.on('connect', () => stream.close());
+
+                await stream.connect();
+
+                expect(streamCalls().map(([, options]) => options.headers.Authorization)).toEqual(['Bearer stale-token', 'Bearer app-token']);
+                expect(reconnect).not.toHaveBeenCalled();
+            });
+
+            test('stops when X rejects the connection', async () => {
+                const unauthorized = jsonResponse({ title: 'Unauthorized', detail: 'Unauthorized' }, 401);
+                streamResponses.push(unauthorized, unauthorized.clone());
+                const stream = xoauth.stream();
+                const closed = jest.fn();
+                stream.on('close', closed);
+
+                const error = await stream.connect().catch(e => e);
+
+                expect(error).toBeInstanceOf(ApiError);
+                expect(error.status).toBe(401);
+                expect(closed).toHaveBeenCalledWith(error);
+                expect(streamCalls()).toHaveLength(2);
+            });
+
+            test('stops after maxReconnects failed reconnects', async () => {
+                jest.useFakeTimers();
+                streamResponses.push(new TypeError('fetch failed'), new TypeError('fetch failed'), new TypeError('fetch failed'));
+                const stream = xoauth.stream({}, { maxReconnects: 2 });
+
+                const done = stream.connect().catch(e => e);
+                await jest.advanceTimersByTimeAsync(250 + 500);
+                const error = await done;
+
+                expect(error).toBeInstanceOf(NetworkError);
+                expect(streamCalls()).toHaveLength(3);
+            });
+
+            test('closes while waiting to reconnect', async () => {
+                jest.useFakeTimers();
+                streamResponses.push(jsonResponse({ title: 'Service Unavailable' }, 503));
+                const stream = xoauth.stream();
+                stream.on('reconnect', () => stream.close());
+
+                await stream.connect();
+
+                expect(streamCalls()).toHaveLength(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,26 @@
+// Helpers shared by the test files
+
+const jsonResponse = (body, status = 200) =>
+    new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+const collect = async (iterable) => {
+    const results = [];
+    for await (const value of iterable) {
+        results.push(value);
+    }
+    return results;
+};
+
+// Silences console.error in every test of the enclosing describe block, for
+// code that logs the failures it is tested with
+const silenceConsoleError = () => {
+    let spy;
+    beforeEach(() => {
+        spy = jest.spyOn(console, 'error').mockImplementation();
+    });
+    afterEach(() => {
+        spy.mockRestore();
+    });
+};
+
+module.exports = { jsonResponse, collect, silenceConsoleError };
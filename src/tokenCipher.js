@@ -0,0 +1,153 @@
+const { AuthError } = require("./errors")
+
+/**
+ * Prefix of sealed tokens, versioning the format.
+ */
+const SEALED_PREFIX = "enc:v1:"
+
+/**
+ * Length in bytes of the random AES-GCM initialization vector.
+ */
+const IV_LENGTH = 12
+
+/**
+ * Encode bytes as base64url.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The base64url string.
+ */
+function toBase64Url(bytes) {
+	return Buffer.from(bytes).toString("base64url")
+}
+
+/**
+ * Decode a base64url string.
+ * @param {string} value - The base64url string.
+ * @returns {Uint8Array} The bytes.
+ */
+function fromBase64Url(value) {
+	return new Uint8Array(Buffer.from(value, "base64url"))
+}
+
+/**
+ * Check whether a value is a sealed token.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value was sealed by a TokenCipher.
+ */
+function isSealed(value) {
+	return typeof value === "string" && value.startsWith(SEALED_PREFIX)
+}
+
+/**
+ * Check a key and import it for AES-GCM with WebCrypto.
+ * @param {CryptoKey|Uint8Array|string} key - A CryptoKey, or the raw 128, 192 or 256-bit key as bytes or base64.
+ * @returns {Promise<CryptoKey>} The key.
+ * @throws {TypeError} If the raw key is not 16, 24 or 32 bytes long.
+ */
+function importKey(key) {
+	if (typeof CryptoKey !== "undefined" && key instanceof CryptoKey) {
+		return Promise.resolve(key)
+	}
+
+	const bytes =
+		typeof key === "string" ? Buffer.from(key, "base64") : Buffer.from(key)
+	if (![16, 24, 32].includes(bytes.length)) {
+		throw new TypeError("Encryption keys must be 16, 24 or 32 bytes long")
+	}
+	return crypto.subtle.importKey("raw", bytes, "AES-GCM", false, [
+		"encrypt",
+		"decrypt"
+	])
+}
+
+/**
+ * Seals tokens with AES-GCM through WebCrypto, so they can be kept in
+ * sessions and token stores without being readable. Each sealed token names
+ * the key that sealed it, so keys can be rotated: new tokens are sealed with
+ * the first key, and tokens sealed with any of the keys can be unsealed.
+ * Values that are not sealed are returned as they are by `unseal`, so
+ * sessions created before encryption was turned on keep working.
+ */
+class TokenCipher {
+	/**
+	 * Create a TokenCipher.
+	 * @param {Object[]} keys - The keys, the first of which seals new tokens.
+	 * @param {string} keys[].id - A unique name for the key, stored with the tokens it seals.
+	 * @param {CryptoKey|Uint8Array|string} keys[].key - A CryptoKey, or the raw 128, 192 or 256-bit key as bytes or base64.
+	 * @throws {TypeError} If no keys are given, or a key has no id or the wrong length.
+	 */
+	constructor(keys) {
+		if (!Array.isArray(keys) || keys.length === 0) {
+			throw new TypeError("At least one encryption key is required")
+		}
+		for (const { id } of keys) {
+			if (typeof id !== "string" || !id) {
+				throw new TypeError("Every encryption key needs an id")
+			}
+		}
+
+		this.keyIds = keys.map(({ id }) => id)
+		this._keys = new Map(keys.map(({ id, key }) => [id, importKey(key)]))
+	}
+
+	/**
+	 * Seal a token with the first key.
+	 * @param {string} token - The token.
+	 * @returns {Promise<string>} The sealed token.
+	 */
+	async seal(token) {
+		const id = this.keyIds[0]
+		const key = await this._keys.get(id)
+		const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+		const ciphertext = await crypto.subtle.encrypt(
+			{ name: "AES-GCM", iv },
+			key,
+			new TextEncoder().encode(token)
+		)
+
+		return (
+			SEALED_PREFIX +
+			[
+				toBase64Url(new TextEncoder().encode(id)),
+				toBase64Url(iv),
+				toBase64Url(new Uint8Array(ciphertext))
+			].join(":")
+		)
+	}
+
+	/**
+	 * Unseal a token sealed with any of the keys. Values that are not sealed
+	 * are returned unchanged.
+	 * @param {string} value - The sealed token.
+	 * @returns {Promise<string>} The token.
+	 * @throws {AuthError} If the token was sealed with an unknown key, or cannot be unsealed.
+	 */
+	async unseal(value) {
+		if (!isSealed(value)) {
+			return value
+		}
+
+		const [encodedId, iv, ciphertext] = value
+			.slice(SEALED_PREFIX.length)
+			.split(":")
+		const id = new TextDecoder().decode(fromBase64Url(encodedId))
+		if (!this._keys.has(id)) {
+			throw new AuthError(`Token was sealed with unknown key "${id}"`)
+		}
+
+		try {
+			const plaintext = await crypto.subtle.decrypt(
+				{ name: "AES-GCM", iv: fromBase64Url(iv) },
+				await this._keys.get(id),
+				fromBase64Url(ciphertext || "")
+			)
+			return new TextDecoder().decode(plaintext)
+		} catch (error) {
+			throw new AuthError("Token could not be unsealed", { cause: error })
+		}
+	}
+}
+
+module.exports = {
+	TokenCipher,
+	isSealed
+}
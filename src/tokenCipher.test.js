@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const XOAuth = require('./xoauth2');
+const { MockXServer } = require('./mockServer');
+const { TokenCipher, isSealed } = require('./tokenCipher');
+const { AuthError, ApiError, MemoryTokenStore } = XOAuth;
+
+const redirectUri = 'http://localhost:3000/callback';
+const key1 = crypto.randomBytes(32);
+const key2 = crypto.randomBytes(32);
+
+describe('tokenCipher', () => {
+    describe('TokenCipher', () => {
+        test('seals and unseals tokens', async () => {
+            const cipher = new TokenCipher([{ id: 'k1', key: key1 }]);
+
+            const sealed = await cipher.seal('access-token');
+
+            expect(isSealed(sealed)).toBe(true);
+            expect(sealed).not.toContain('access-token');
+            await expect(cipher.unseal(sealed)).resolves.toBe('access-token');
+        });
+
+        test('seals the same token differently every time', async () => {
+            const cipher = new TokenCipher([{ id: 'k1', key: key1 }]);
+            expect(await cipher.seal('token')).not.toBe(await cipher.seal('token'));
+        });
+
+        test('accepts base64 keys and CryptoKeys', async () => {
+            const cryptoKey = await globalThis.crypto.subtle.importKey('raw', key2, 'AES-GCM', false, ['encrypt', 'decrypt']);
+            const cipher = new TokenCipher([{ id: 'k1', key: key1.toString('base64') }, { id: 'k2', key: cryptoKey }]);
+            const rotated = new TokenCipher([{ id: 'k2', key: key2 }]);
+
+            await expect(cipher.unseal(await cipher.seal('token'))).resolves.toBe('token');
+            await expect(cipher.unseal(await rotated.seal('token'))).resolves.toBe('token');
+        });
+
+        test('seals with the first key and unseals with any key', async () => {
+            const old = new TokenCipher([{ id: 'k1', key: key1 }]);
+            const rotated = new TokenCipher([{ id: 'k2', key: key2 }, { id: 'k1', key: key1 }]);
+            const sealedWithOld = await old.seal('old-token');
+
+            await expect(rotated.unseal(sealedWithOld)).resolves.toBe('old-token');
+            await expect(old.unseal(await rotated.seal('new-token'))).rejects.toThrow('Token was sealed with unknown key "k2"');
+        });
+
+        test('returns tokens that were never sealed as they are', async () => {
+            const cipher = new TokenCipher([{ id: 'k1', key: key1 }]);
+            await expect(cipher.unseal('plain-token')).resolves.toBe('plain-token');
+        });
+
+        test('rejects tampered tokens', async () => {
+            const cipher = new TokenCipher([{ id: 'k1', key: key1 }]);
+            const sealed = await cipher.seal('token');
+            const tampered = sealed.slice(0, -2) + (sealed.endsWith('A') ? 'BB' : 'AA');
+
+            const error = await cipher.unseal(tampered).catch(e => e);
+
+            expect(error).toBeInstanceOf(AuthError);
+            expect(error.message).toBe('Token could not be unsealed');
+        });
+
+        test('rejects a key with the same id but different bytes', async () => {
+            const sealed = await new TokenCipher([{ id: 'k1', key: key1 }]).seal('token');
+            await expect(new TokenCipher([{ id: 'k1', key: key2 }]).unseal(sealed)).rejects.toThrow(AuthError);
+        });
+
+        test('validates the keys', () => {
+            expect(() => new TokenCipher([])).toThrow('At least one encryption key is required');
+            expect(() => new TokenCipher([{ key: key1 }])).toThrow('Every encryption key needs an id');
+            expect(() => new TokenCipher([{ id: 'k1', key: Buffer.alloc(10) }])).toThrow('Encryption keys must be 16, 24 or 32 bytes long');
+        });
+    });
+
+    describe('with XOAuth', () => {
+        let server;
+        let session;
+        let consoleErrorSpy;
+        let consoleLogSpy;
+
+        const createClient = (encryptionKeys, options = {}) =>
+            new XOAuth('client', 'secret', redirectUri, undefined, { ...server.clientOptions(), encryptionKeys, ...options });
+
+        const login = async (xoauth) => {
+            const query = await server.consent(await xoauth.getAuthorizationURL(session));
+            return xoauth.handleCallbackQuery(query, session);
+        };
+
+        beforeEach(async () => {
+            server = new MockXServer({ clientId: 'client', clientSecret: 'secret' });
+            await server.listen();
+            session = {};
+            consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+            consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+        });
+
+        afterEach(async () => {
+            consoleErrorSpy.mockRestore();
+            consoleLogSpy.mockRestore();
+            await server.close();
+        });
+
+        test('seals the tokens in the session and the token store', async () => {
+            const tokenStore = new MemoryTokenStore();
+            const xoauth = createClient([{ id: 'k1', key: key1 }], { tokenStore });
+
+            const user = await login(xoauth);
+
+            expect(isSealed(user.accessToken)).toBe(true);
+            expect(isSealed(user.refreshToken)).toBe(true);
+            expect(session.user.accessToken).toBe(user.accessToken);
+            const stored = await tokenStore.get(user.id);
+            expect(isSealed(stored.accessToken)).toBe(true);
+            expect(isSealed(stored.refreshToken)).toBe(true);
+        });
+
+        test('sends the unsealed access token', async () => {
+            const xoauth = createClient([{ id: 'k1', key: key1 }]);
+            await login(xoauth);
+
+            await expect(xoauth.get('users/me', {}, {}, session)).resolves.toMatchObject({ data: { id: session.user.id } });
+        });
+
+        test('refreshes with the unsealed refresh token and seals the new tokens', async () => {
+            const xoauth = createClient([{ id: 'k1', key: key1 }]);
+            await login(xoauth);
+            const oldAccessToken = session.user.accessToken;
+
+            const result = await xoauth.refreshToken(session);
+
+            expect(isSealed(result.accessToken)).toBe(true);
+            expect(isSealed(session.user.refreshToken)).toBe(true);
+            expect(session.user.accessToken).not.toBe(oldAccessToken);
+            await expect(xoauth.get('users/me', {}, {}, session)).resolves.toMatchObject({ data: { id: session.user.id } });
+        });
+
+        test('refreshes sealed tokens on a 401', async () => {
+            const xoauth = createClient([{ id: 'k1', key: key1 }]);
+            await login(xoauth);
+            server.expireAccessTokens();
+
+            await expect(xoauth.get('users/me', {}, {}, session)).resolves.toMatchObject({ data: { id: session.user.id } });
+            expect(isSealed(session.user.accessToken)).toBe(true);
+        });
+
+        test('revokes the unsealed access token on logout', async () => {
+            const keys = [{ id: 'k1', key: key1 }];
+            const xoauth = createClient(keys);
+            await login(xoauth);
+            const accessToken = await new TokenCipher(keys).unseal(session.user.accessToken);
+
+            await xoauth.logout(session);
+
+            expect(consoleErrorSpy).not.toHaveBeenCalled();
+            await expect(xoauth.get('users/me', {}, { Authorization: `Bearer ${accessToken}` })).rejects.toMatchObject({ status: 401 });
+        });
+
+        test('keeps working with tokens sealed by a rotated out key', async () => {
+            await login(createClient([{ id: 'k1', key: key1 }]));
+            const xoauth = createClient([{ id: 'k2', key: key2 }, { id: 'k1', key: key1 }]);
+
+            await expect(xoauth.get('users/me', {}, {}, session)).resolves.toMatchObject({ data: { id: session.user.id } });
+            await xoauth.refreshToken(session);
+
+            const onlyNewKey = new TokenCipher([{ id: 'k2', key: key2 }]);
+            await expect(onlyNewKey.unseal(session.user.accessToken)).resolves.toEqual(expect.any(String));
+        });
+
+        test('accepts sessions created before encryption was configured', async () => {
+            await login(createClient(undefined));
+            const xoauth = createClient([{ id: 'k1', key: key1 }]);
+
+            await expect(xoauth.get('users/me', {}, {}, session)).resolves.toMatchObject({ data: { id: session.user.id } });
+        });
+
+        test('fails requests whose token cannot be unsealed', async () => {
+            await login(createClient([{ id: 'k1', key: key1 }]));
+            const xoauth = createClient([{ id: 'k2', key: key2 }]);
+
+            const error = await xoauth.get('users/me', {}, {}, session).catch(e => e);
+
+            expect(error).toBeInstanceOf(AuthError);
+            expect(error).not.toBeInstanceOf(ApiError);
+        });
+    });
+});
@@ -0,0 +1,228 @@
+const fs = require("fs").promises
+const path = require("path")
+const { randomUUID } = require("crypto")
+const { sleep } = require("./retry")
+
+/**
+ * How long to wait between attempts to take the lock of a FileTokenStore.
+ */
+const LOCK_RETRY_DELAY = 10
+
+/**
+ * Age in milliseconds after which a FileTokenStore lock is taken to be left
+ * behind by a crashed process, and removed.
+ */
+const LOCK_STALE_AGE = 10 * 1000
+
+/**
+ * A token store keeps the user data from `handleCallback`, including the
+ * access and refresh tokens, by user id, so requests can be made for a user
+ * without an HTTP session. Any object with these async methods can be used.
+ * @typedef {Object} TokenStore
+ * @property {function(string): Promise<Object|undefined>} get - Get the user stored for a user id.
+ * @property {function(string, Object): Promise<void>} set - Store the user for a user id.
+ * @property {function(string): Promise<void>} delete - Remove the user stored for a user id.
+ */
+
+/**
+ * Check whether a session argument is a user id for the token store rather
+ * than a session object.
+ * @param {*} value - The session argument.
+ * @returns {boolean} True for a string or number.
+ */
+function isUserId(value) {
+	return typeof value === "string" || typeof value === "number"
+}
+
+/**
+ * Token store that keeps users in memory, for a single process.
+ * @implements {TokenStore}
+ */
+class MemoryTokenStore {
+	constructor() {
+		this._users = new Map()
+	}
+
+	/**
+	 * Get the user stored for a user id.
+	 * @param {string} userId - The user id.
+	 * @returns {Promise<Object|undefined>} A copy of the stored user.
+	 */
+	async get(userId) {
+		const user = this._users.get(String(userId))
+		return user ? { ...user } : undefined
+	}
+
+	/**
+	 * Store the user for a user id.
+	 * @param {string} userId - The user id.
+	 * @param {Object} user - The user data, including tokens.
+	 * @returns {Promise<void>}
+	 */
+	async set(userId, user) {
+		this._users.set(String(userId), { ...user })
+	}
+
+	/**
+	 * Remove the user stored for a user id.
+	 * @param {string} userId - The user id.
+	 * @returns {Promise<void>}
+	 */
+	async delete(userId) {
+		this._users.delete(String(userId))
+	}
+}
+
+/**
+ * Token store that keeps users in a JSON file readable only by its owner, so
+ * they survive restarts and can be shared by processes on one machine.
+ * Writes are serialized within a process, hold an exclusive lock file
+ * (`<filePath>.lock`) across processes while they read, change and write
+ * the file, and replace the file atomically.
+ * @implements {TokenStore}
+ */
+class FileTokenStore {
+	/**
+	 * Create a FileTokenStore.
+	 * @param {string} filePath - The path of the JSON file.
+	 */
+	constructor(filePath) {
+		this.filePath = filePath
+		this._writes = Promise.resolve()
+	}
+
+	/**
+	 * Get the user stored for a user id.
+	 * @param {string} userId - The user id.
+	 * @returns {Promise<Object|undefined>} The stored user.
+	 */
+	async get(userId) {
+		await this._writes
+		const users = await this._read()
+		return users[String(userId)]
+	}
+
+	/**
+	 * Store the user for a user id.
+	 * @param {string} userId - The user id.
+	 * @param {Object} user - The user data, including tokens.
+	 * @returns {Promise<void>}
+	 */
+	set(userId, user) {
+		return this._update(users => {
+			users[String(userId)] = user
+		})
+	}
+
+	/**
+	 * Remove the user stored for a user id.
+	 * @param {string} userId - The user id.
+	 * @returns {Promise<void>}
+	 */
+	delete(userId) {
+		return this._update(users => {
+			delete users[String(userId)]
+		})
+	}
+
+	/**
+	 * Read every stored user.
+	 * @returns {Promise<Object>} The users keyed by user id.
+	 * @private
+	 */
+	async _read() {
+		try {
+			return JSON.parse(await fs.readFile(this.filePath, "utf8"))
+		} catch (error) {
+			if (error.code === "ENOENT") {
+				return {}
+			}
+			throw error
+		}
+	}
+
+	/**
+	 * Take the lock file, waiting while another store or process holds it. A
+	 * lock older than `LOCK_STALE_AGE` is removed, as its holder has crashed.
+	 * The lock file holds a random owner id, so a holder that was taken for
+	 * crashed does not remove the lock of the store that took over.
+	 * @returns {Promise<string>} The owner id to release the lock with.
+	 * @private
+	 */
+	async _lock() {
+		const lockPath = `${this.filePath}.lock`
+		const owner = randomUUID()
+		for (;;) {
+			try {
+				const handle = await fs.open(lockPath, "wx")
+				try {
+					await handle.writeFile(owner)
+				} finally {
+					await handle.close()
+				}
+				return owner
+			} catch (error) {
+				if (error.code !== "EEXIST") {
+					throw error
+				}
+			}
+
+			const stats = await fs.stat(lockPath).catch(() => undefined)
+			if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_AGE) {
+				await fs.unlink(lockPath).catch(() => {})
+				continue
+			}
+			await sleep(LOCK_RETRY_DELAY)
+		}
+	}
+
+	/**
+	 * Remove the lock file, unless another store has taken it over since.
+	 * @param {string} owner - The owner id returned by `_lock`.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _unlock(owner) {
+		const lockPath = `${this.filePath}.lock`
+		const current = await fs.readFile(lockPath, "utf8").catch(() => undefined)
+		if (current === owner) {
+			await fs.unlink(lockPath).catch(() => {})
+		}
+	}
+
+	/**
+	 * Apply a change to the stored users after any pending writes, holding the
+	 * lock file.
+	 * @param {function(Object): void} change - Mutates the users keyed by user id.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	_update(change) {
+		const write = this._writes.then(async () => {
+			await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+			const owner = await this._lock()
+			try {
+				const users = await this._read()
+				change(users)
+
+				const tempPath = `${this.filePath}.${randomUUID()}.tmp`
+				await fs.writeFile(tempPath, JSON.stringify(users, null, "\t"), {
+					mode: 0o600
+				})
+				await fs.rename(tempPath, this.filePath)
+			} finally {
+				await this._unlock(owner)
+			}
+		})
+
+		// Keep the queue going after a failed write
+		this._writes = write.catch(() => {})
+		return write
+	}
+}
+
+module.exports = {
+	MemoryTokenStore,
+	FileTokenStore,
+	isUserId
+}
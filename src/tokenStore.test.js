@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryTokenStore, FileTokenStore } = require('./tokenStore');
+
+const user = { id: '123', username: 'alice', accessToken: 'access', refreshToken: 'refresh' };
+
+describe('tokenStore', () => {
+    describe('MemoryTokenStore', () => {
+        let store;
+
+        beforeEach(() => {
+            store = new MemoryTokenStore();
+        });
+
+        test('stores and returns users by id', async () => {
+            await store.set('123', user);
+            expect(await store.get('123')).toEqual(user);
+        });
+
+        test('returns undefined for unknown users', async () => {
+            expect(await store.get('456')).toBeUndefined();
+        });
+
+        test('treats numeric and string ids alike', async () => {
+            await store.set(123, user);
+            expect(await store.get('123')).toEqual(user);
+        });
+
+        test('returns copies of the stored user', async () => {
+            await store.set('123', user);
+            const stored = await store.get('123');
+            stored.accessToken = 'changed';
+            expect((await store.get('123')).accessToken).toBe('access');
+        });
+
+        test('deletes users', async () => {
+            await store.set('123', user);
+            await store.delete('123');
+            expect(await store.get('123')).toBeUndefined();
+        });
+    });
+
+    describe('FileTokenStore', () => {
+        let dir;
+        let filePath;
+        let store;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xoauth-tokens-'));
+            filePath = path.join(dir, 'nested', 'tokens.json');
+            store = new FileTokenStore(filePath);
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('returns undefined before anything is stored', async () => {
+            expect(await store.get('123')).toBeUndefined();
+        });
+
+        test('stores users in a JSON file readable only by its owner', async () => {
+            await store.set('123', user);
+            expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ 123: user });
+            if (process.platform !== 'win32') {
+                expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+            }
+        });
+
+        test('reads users stored by another instance', async () => {
+            await store.set('123', user);
+            expect(await new FileTokenStore(filePath).get('123')).toEqual(user);
+        });
+
+        test('keeps every user when writes overlap', async () => {
+            await Promise.all([
+                store.set('1', { ...user, id: '1' }),
+                store.set('2', { ...user, id: '2' }),
+                store.set('3', { ...user, id: '3' })
+            ]);
+            expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')))).toEqual(['1', '2', '3']);
+        });
+
+        test('keeps every user when two stores write the same file', async () => {
+            const other = new FileTokenStore(filePath);
+
+            await Promise.all(Array.from({ length: 20 }, (_, i) =>
+                (i % 2 ? store : other).set(String(i), { ...user, id: String(i) })));
+
+            const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            expect(Object.keys(stored).sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => String(i)));
+            expect(fs.readdirSync(path.dirname(filePath))).toEqual(['tokens.json']);
+        });
+
+        test('waits for a lock held by another process', async () => {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(`${filePath}.lock`, '');
+
+            let written = false;
+            const write = store.set('123', user).then(() => { written = true; });
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(written).toBe(false);
+
+            fs.unlinkSync(`${filePath}.lock`);
+            await write;
+            expect(await store.get('123')).toEqual(user);
+        });
+
+        test('removes a stale lock left by a crashed process', async () => {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(`${filePath}.lock`, '');
+            const old = new Date(Date.now() - 60 * 1000);
+            fs.utimesSync(`${filePath}.lock`, old, old);
+
+            await store.set('123', user);
+
+            expect(await store.get('123')).toEqual(user);
+            expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+        });
+
+        test('leaves the lock of a store that took over a slow holder\'s lock', async () => {
+            const read = store._read.bind(store);
+            jest.spyOn(store, '_read').mockImplementationOnce(async () => {
+                // Another process found the lock stale and took it over
+                fs.writeFileSync(`${filePath}.lock`, 'other-owner');
+                return read();
+            });
+
+            await store.set('123', user);
+
+            expect(fs.readFileSync(`${filePath}.lock`, 'utf8')).toBe('other-owner');
+        });
+
+        test('waits for pending writes before reading', async () => {
+            store.set('123', user);
+            expect(await store.get('123')).toEqual(user);
+        });
+
+        test('deletes users', async () => {
+            await store.set('123', user);
+            await store.delete('123');
+            expect(await store.get('123')).toBeUndefined();
+        });
+
+        test('rejects on an unreadable file and keeps working afterwards', async () => {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, 'not json');
+            await expect(store.set('123', user)).rejects.toThrow(SyntaxError);
+
+            fs.unlinkSync(filePath);
+            await store.set('123', user);
+            expect(await store.get('123')).toEqual(user);
+        });
+    });
+});
@@ -1,3 +1,124 @@
+const { createHash } = require("crypto")
+const {
+	XOAuthError,
+	AuthError,
+	StateMismatchError,
+	AuthorizationError,
+	AccessDeniedError,
+	TokenRefreshError,
+	ApiError,
+	RateLimitError,
+	NetworkError,
+	TimeoutError,
+	MediaError,
+	errorFromResponse,
+	errorFromAuthorizationResponse
+} = require("./errors")
+const {
+	DEFAULT_RETRY,
+	resolveRetryOptions,
+	getRetryDelay,
+	sleep,
+	abortable
+} = require("./retry")
+const {
+	parseRateLimit,
+	getResetDelay,
+	attachRateLimit,
+	RateLimiter
+} = require("./rateLimit")
+const { Paginator } = require("./paginate")
+const {
+	MemoryTokenStore,
+	FileTokenStore,
+	isUserId
+} = require("./tokenStore")
+const { createRouter, requireXAuth } = require("./router")
+const { getSafeReturnTo } = require("./returnTo")
+const { Recorder } = require("./recorder")
+const { uploadMedia } = require("./media")
+const { Tweets, Users, Likes, Bookmarks } = require("./resources")
+const { StreamRules, FilteredStream } = require("./stream")
+const { TokenCipher } = require("./tokenCipher")
+const { createConsoleLogger, createRedactingLogger } = require("./logger")
+
+/**
+ * Scopes requested when none are configured on the instance or the call.
+ */
+const DEFAULT_SCOPES = ["tweet.read", "users.read", "offline.access"]
+
+/**
+ * Base URL of the X API v2, which the token and revoke endpoints live under.
+ */
+const DEFAULT_API_BASE_URL = "https://api.x.com/2/"
+
+/**
+ * URL of the X page where users authorize the app.
+ */
+const DEFAULT_AUTH_URL = "https://x.com/i/oauth2/authorize"
+
+/**
+ * How long before the access token expires, in milliseconds, that requests
+ * refresh it proactively.
+ */
+const DEFAULT_REFRESH_SKEW = 60 * 1000
+
+/**
+ * Longest time, in milliseconds, to wait for a rate limit window to reset
+ * when waiting on rate limits is enabled.
+ */
+const DEFAULT_MAX_RATE_LIMIT_WAIT = 15 * 60 * 1000
+
+/**
+ * Extra time, in milliseconds, to wait past a rate limit reset to allow for
+ * clock differences with X.
+ */
+const RATE_LIMIT_RESET_BUFFER = 1000
+
+/**
+ * Convert the `expires_in` of a token response into an absolute timestamp.
+ * @param {number} [expiresIn] - The token lifetime in seconds.
+ * @returns {number|undefined} The expiry time in milliseconds since the epoch.
+ */
+function getExpiresAt(expiresIn) {
+	return expiresIn ? Date.now() + expiresIn * 1000 : undefined
+}
+
+/**
+ * Check whether a headers object already sets a header, ignoring case.
+ * @param {Object} headers - The headers object.
+ * @param {string} name - The header name.
+ * @returns {boolean} True if the header is present.
+ */
+function hasHeader(headers, name) {
+	return Object.keys(headers).some(
+		key => key.toLowerCase() === name.toLowerCase()
+	)
+}
+
+/**
+ * Add a trailing slash to a base URL that lacks one, so endpoints can be
+ * appended to it.
+ * @param {string} url - The base URL.
+ * @returns {string} The URL ending in a slash.
+ */
+function withTrailingSlash(url) {
+	return url.endsWith("/") ? url : url + "/"
+}
+
+/**
+ * Normalize a scope list given as an array or a space-delimited string.
+ * @param {string|string[]} [scopes] - The scopes to normalize.
+ * @returns {string[]} The scopes as a de-duplicated array.
+ */
+function parseScopes(scopes) {
+	if (!scopes) {
+		return []
+	}
+	const list = Array.isArray(scopes) ? scopes : String(scopes).split(" ")
+	return [...new Set(list.filter(Boolean))]
+}
+
 /**
  * XOAuth class for handling OAuth 2.0 authentication with X (formerly Twitter) API.
  */
@@ -5,16 +126,104 @@ class XOAuth {
 	/**
 	 * Create an XOAuth instance.
 	 * @param {string} clientId - The OAuth 2.0 client ID.
-	 * @param {string} clientSecret - The OAuth 2.0 client secret.
+	 * @param {string} [clientSecret] - The OAuth 2.0 client secret. Leave it out for a public client.
 	 * @param {string} redirectUri - The redirect URI for the OAuth flow.
+	 * @param {function} [sessionUpdateCallback] - Called when the session is updated.
+	 * @param {Object} [options={}] - Additional client options.
+	 * @param {string|string[]} [options.scopes] - The scopes to request by default.
+	 * @param {number} [options.refreshSkew=60000] - Milliseconds before expiry at which the access token is refreshed.
+	 * @param {boolean} [options.waitOnRateLimit=false] - Wait for the rate limit to reset and retry on 429.
+	 * @param {number} [options.maxRateLimitWait=900000] - The longest time in milliseconds to wait on a rate limit.
+	 * @param {boolean} [options.trackRateLimits=false] - Track the rate limit budget per endpoint and token, holding requests back while it is exhausted.
+	 * @param {Object} [options.retry] - Retry settings for transient failures.
+	 * @param {number} [options.retry.retries=0] - How many times to retry a failed request.
+	 * @param {number} [options.retry.minDelay=1000] - The backoff delay in milliseconds before the first retry.
+	 * @param {number} [options.retry.maxDelay=30000] - The longest delay in milliseconds between retries.
+	 * @param {number} [options.retry.factor=2] - The factor the backoff delay grows by on each retry.
+	 * @param {string[]} [options.retry.methods=["GET","PUT","DELETE"]] - The methods that are retried.
+	 * @param {function} [options.retry.onRetry] - Called with `{ attempt, delay, method, endpoint, status, error }` before each retry.
+	 * @param {number} [options.timeout] - Milliseconds after which a request to X is aborted. No timeout by default.
+	 * @param {TokenStore} [options.tokenStore] - Stores users by id, so requests can be made with a user id instead of a session.
+	 * @param {string[]} [options.allowedReturnOrigins=[]] - Origins other than the redirect URI's that users may be returned to after logging in.
+	 * @param {boolean} [options.publicClient] - Authenticate as a public client, sending `client_id` in the body instead of Basic credentials. Defaults to true without a client secret.
+	 * @param {boolean} [options.appOnly=false] - Authorize requests made without a session with an app-only token.
+	 * @param {function} [options.fetch] - The fetch implementation used for every request, instead of the global `fetch`.
+	 * @param {Object[]} [options.encryptionKeys] - Keys to seal tokens with AES-GCM, as `{ id, key }`. The first seals new tokens; any of them unseals.
+	 * @param {Object} [options.logger] - Receives log entries through `debug`, `info`, `warn` and `error` methods, called like the console's with a message and then values, with tokens and credentials redacted. Defaults to the console, without debug entries.
+	 * @param {Recorder} [options.recorder] - Records every request and response to a fixture file, or replays them from one.
+	 * @param {string} [options.apiBaseUrl="https://api.x.com/2/"] - The base URL of the API.
+	 * @param {string} [options.authUrl="https://x.com/i/oauth2/authorize"] - The authorization page URL.
+	 * @param {string} [options.tokenUrl] - The token endpoint URL. Defaults to `oauth2/token` under the API base URL.
+	 * @param {string} [options.revokeUrl] - The revoke endpoint URL. Defaults to `oauth2/revoke` under the API base URL.
+	 * @param {string} [options.appTokenUrl] - The app-only token endpoint URL. Defaults to `/oauth2/token` on the API host.
+	 * @param {string} [options.invalidateTokenUrl] - The app-only token invalidation URL. Defaults to `/oauth2/invalidate_token` on the API host.
+	 * @param {string} [options.appKey] - The API key used for app-only tokens. Required for `appOnly` and `getAppToken`.
+	 * @param {string} [options.appSecret] - The API key secret used for app-only tokens. Required for `appOnly` and `getAppToken`.
+	 * @throws {AuthError} If `appOnly` is set without `appKey` and `appSecret`.
 	 */
-	constructor(clientId, clientSecret, redirectUri, sessionUpdateCallback) {
+	constructor(
+		clientId,
+		clientSecret,
+		redirectUri,
+		sessionUpdateCallback,
+		options = {}
+	) {
 		this.clientId = clientId
 		this.clientSecret = clientSecret
+		this.publicClient =
+			options.publicClient !== undefined
+				? Boolean(options.publicClient)
+				: !clientSecret
 		this.redirectUri = redirectUri
-		this.API_BASE_URL = "https://api.x.com/2/"
-		this.AUTH_URL = "https://x.com/i/oauth2/authorize"
+		this.API_BASE_URL = withTrailingSlash(
+			options.apiBaseUrl || DEFAULT_API_BASE_URL
+		)
+		this.AUTH_URL = options.authUrl || DEFAULT_AUTH_URL
+		this.TOKEN_URL = options.tokenUrl || this.API_BASE_URL + "oauth2/token"
+		this.REVOKE_URL = options.revokeUrl || this.API_BASE_URL + "oauth2/revoke"
+		this.APP_TOKEN_URL =
+			options.appTokenUrl || new URL("/oauth2/token", this.API_BASE_URL).href
+		this.INVALIDATE_TOKEN_URL =
+			options.invalidateTokenUrl ||
+			new URL("/oauth2/invalidate_token", this.API_BASE_URL).href
+		this.fetchImpl = options.fetch
+		this.recorder = options.recorder
+		this.logger = createRedactingLogger(
+			options.logger || createConsoleLogger()
+		)
 		this.sessionUpdateCallback = sessionUpdateCallback
+		this.scopes = parseScopes(options.scopes || DEFAULT_SCOPES)
+		this.refreshSkew =
+			options.refreshSkew !== undefined
+				? options.refreshSkew
+				: DEFAULT_REFRESH_SKEW
+		this.waitOnRateLimit = Boolean(options.waitOnRateLimit)
+		this.maxRateLimitWait =
+			options.maxRateLimitWait !== undefined
+				? options.maxRateLimitWait
+				: DEFAULT_MAX_RATE_LIMIT_WAIT
+		this.rateLimiter = options.trackRateLimits ? new RateLimiter() : null
+		this.retry = resolveRetryOptions(DEFAULT_RETRY, options.retry)
+		this.timeout = options.timeout
+		this.tokenStore = options.tokenStore
+		this.tokenCipher = options.encryptionKeys
+			? new TokenCipher(options.encryptionKeys)
+			: null
+		this.allowedReturnOrigins = options.allowedReturnOrigins || []
+		this.appOnly = Boolean(options.appOnly)
+		this.appKey = options.appKey
+		this.appSecret = options.appSecret
+		if (this.appOnly) {
+			this._checkAppCredentials()
+		}
+		this._pendingRefreshes = new Map()
+		this._appToken = undefined
+		this._pendingAppToken = undefined
+		this.tweets = new Tweets(this)
+		this.users = new Users(this)
+		this.likes = new Likes(this)
+		this.bookmarks = new Bookmarks(this)
+		this.streamRules = new StreamRules(this)
 	}
 
 	/**
@@ -38,6 +247,26 @@ class XOAuth {
 		}
 	}
 
+	/**
+	 * Load a session object for a user in the token store, holding a copy of
+	 * the stored user.
+	 * @param {string} userId - The user id.
+	 * @returns {Promise<Object>} The session object.
+	 * @throws {AuthError} If no token store is configured or it holds no user for the id.
+	 * @private
+	 */
+	async _loadSession(userId) {
+		if (!this.tokenStore) {
+			throw new AuthError("A token store is required to use a user id")
+		}
+
+		const user = await this.tokenStore.get(String(userId))
+		if (!user) {
+			throw new AuthError(`No tokens stored for user ${userId}`)
+		}
+		return { user }
+	}
+
 	/**
 	 * Generate a random code verifier for PKCE (Proof Key for Code Exchange).
 	 * @returns {Promise<string>} A base64url-encoded random string.
@@ -84,38 +313,96 @@ class XOAuth {
 
 	/**
 	 * Initiate the OAuth flow by generating the authorization URL.
-	 * @param {Object} session - The session object to store the code verifier.
+	 * @param {Object} session - The session object to store the code verifier and state.
+	 * @param {Object} [options={}] - Per-call options.
+	 * @param {string|string[]} [options.scopes] - The scopes to request, overriding the instance scopes.
+	 * @param {string} [options.returnTo] - Where to send the user after logging in, handed back by `handleCallback` if it is safe.
 	 * @returns {Promise<string>} The authorization URL.
 	 */
-	async getAuthorizationURL(session) {
+	async getAuthorizationURL(session, options = {}) {
+		const scopes = options.scopes ? parseScopes(options.scopes) : this.scopes
 		const codeVerifier = await this.generateCodeVerifier()
 		const codeChallenge = await this.generateCodeChallenge(codeVerifier)
+		const state = this.generateState()
 
 		session.codeVerifier = codeVerifier
+		session.state = state
+		if (options.returnTo) {
+			session.returnTo = options.returnTo
+		} else {
+			delete session.returnTo
+		}
 
 		const authorizationURL = new URL(this.AUTH_URL)
 		authorizationURL.searchParams.append("response_type", "code")
 		authorizationURL.searchParams.append("client_id", this.clientId)
 		authorizationURL.searchParams.append("redirect_uri", this.redirectUri)
-		authorizationURL.searchParams.append(
-			"scope",
-			"tweet.read users.read offline.access"
-		)
-		authorizationURL.searchParams.append("state", this.generateState())
+		authorizationURL.searchParams.append("scope", scopes.join(" "))
+		authorizationURL.searchParams.append("state", state)
 		authorizationURL.searchParams.append("code_challenge", codeChallenge)
 		authorizationURL.searchParams.append("code_challenge_method", "S256")
 
 		return authorizationURL.toString()
 	}
 
+	/**
+	 * Generate an authorization URL that sends an already logged-in user back
+	 * through consent to grant additional scopes. The scopes already granted
+	 * are requested again so the new token covers both, and the existing
+	 * session user is left in place until the callback succeeds.
+	 * @param {Object} session - The session object containing the logged-in user.
+	 * @param {string|string[]} scopes - The additional scopes to request.
+	 * @returns {Promise<string>} The authorization URL.
+	 */
+	async getIncrementalAuthorizationURL(session, scopes) {
+		const granted = parseScopes(session.user && session.user.scope)
+		const requested = granted.length ? granted : this.scopes
+
+		return this.getAuthorizationURL(session, {
+			scopes: [...requested, ...parseScopes(scopes)]
+		})
+	}
+
+	/**
+	 * Check whether the session user has been granted the given scope(s).
+	 * @param {Object} session - The session object containing the user.
+	 * @param {string|string[]} scope - The scope, or scopes, that must all be granted.
+	 * @returns {boolean} True if every scope has been granted.
+	 */
+	hasScope(session, scope) {
+		const granted = parseScopes(session && session.user && session.user.scope)
+		const required = parseScopes(scope)
+
+		return required.length > 0 && required.every(s => granted.includes(s))
+	}
+
 	/**
 	 * Handle the OAuth callback, exchange code for tokens, and fetch user data.
+	 * The code verifier and state stored in the session are single-use and are
+	 * cleared before the code is exchanged, so a callback URL cannot be replayed.
+	 * The `returnTo` stored with the state is cleared with it, and handed back
+	 * as the non-enumerable `returnTo` property of the user if it is a path on
+	 * this site or a URL on the redirect URI's origin or an allowed origin.
 	 * @param {string} code - The authorization code received from the OAuth provider.
-	 * @param {Object} session - The session object containing the code verifier.
+	 * @param {string} state - The state parameter received from the OAuth provider.
+	 * @param {Object} session - The session object containing the code verifier and state.
+	 * @param {Object} [options={}] - Per-call options.
+	 * @param {AbortSignal} [options.signal] - Aborts the callback, rejecting with the abort reason.
 	 * @returns {Promise<Object>} The user data including access and refresh tokens.
-	 * @throws {Error} If authentication fails.
+	 * @throws {StateMismatchError} If the state is missing or does not match the session.
+	 * @throws {AuthError} If the code is missing, or authentication fails with the underlying error as its cause.
 	 */
-	async handleCallback(code, session) {
+	async handleCallback(code, state, session, options = {}) {
+		const { signal } = options
+		const { codeVerifier, returnTo } = this._takeAuthorizationState(
+			session,
+			state
+		)
+
+		if (!code) {
+			throw new AuthError("Authorization code is missing")
+		}
+
 		try {
 			const tokenData = await this.post(
 				"oauth2/token",
@@ -124,23 +411,21 @@ class XOAuth {
 					grant_type: "authorization_code",
 					client_id: this.clientId,
 					redirect_uri: this.redirectUri,
-					code_verifier: session.codeVerifier
-				},
-				{
-					"Content-Type": "application/x-www-form-urlencoded",
-					Authorization:
-						"Basic " + btoa(`${this.clientId}:${this.clientSecret}`)
+					code_verifier: codeVerifier
 				},
-				session
+				this._clientAuthHeaders(),
+				session,
+				{ signal, auth: false }
 			)
 
-			const { access_token, refresh_token } = tokenData
+			const { access_token, refresh_token, scope, expires_in } = tokenData
 
 			const userData = await this.get(
 				"users/me",
 				{ "user.fields": "profile_image_url,profile_banner_url" },
 				{ Authorization: `Bearer ${access_token}` },
-				session
+				session,
+				{ signal }
 			)
 
 			const user = {
@@ -148,84 +433,237 @@ class XOAuth {
 				username: userData.data.username,
 				profileImageUrl: userData.data.profile_image_url.replace("_normal", ""),
 				profileBannerUrl: userData.data.profile_banner_url,
-				accessToken: access_token,
-				refreshToken: refresh_token
+				accessToken: await this._sealToken(access_token),
+				refreshToken: await this._sealToken(refresh_token),
+				expiresAt: getExpiresAt(expires_in),
+				scope
 			}
 
 			const oldData = session.user
 			session.user = user
 
+			if (this.tokenStore) {
+				await this.tokenStore.set(user.id, user)
+			}
+
 			// Trigger session update callback
 			this._triggerSessionUpdateCallback(oldData, user, session.id)
 
+			// Not enumerable, so it is not saved with the session user
+			Object.defineProperty(user, "returnTo", {
+				value: getSafeReturnTo(
+					returnTo,
+					this.redirectUri,
+					this.allowedReturnOrigins
+				),
+				configurable: true
+			})
+
 			return user
 		} catch (error) {
-			console.error("Error in OAuth callback:", error.message)
-			throw new Error("Authentication failed")
+			if (signal && signal.aborted) {
+				throw error
+			}
+			this.logger.error("Error in OAuth callback:", error.message)
+			throw new AuthError("Authentication failed", { cause: error })
+		}
+	}
+
+	/**
+	 * Handle the OAuth callback from its whole query, such as Express'
+	 * `req.query`. When X redirects back with an `error` instead of a `code`,
+	 * for example because the user clicked "Cancel", the state is still
+	 * verified and cleared, and the error is thrown.
+	 * @param {Object} query - The callback query, with `code` and `state`, or `error`, `error_description` and `state`.
+	 * @param {Object} session - The session object containing the code verifier and state.
+	 * @param {Object} [options={}] - Per-call options, see handleCallback.
+	 * @returns {Promise<Object>} The user data including access and refresh tokens.
+	 * @throws {AccessDeniedError} If the user denied access.
+	 * @throws {AuthorizationError} If X returned another OAuth error.
+	 * @throws {StateMismatchError} If the state is missing or does not match the session.
+	 * @throws {AuthError} If authentication fails, see handleCallback.
+	 */
+	async handleCallbackQuery(query = {}, session, options = {}) {
+		if (query.error) {
+			this._takeAuthorizationState(session, query.state)
+			throw errorFromAuthorizationResponse(query)
 		}
+
+		return this.handleCallback(query.code, query.state, session, options)
+	}
+
+	/**
+	 * Remove the single-use authorization state from the session and check
+	 * the state returned to the callback against it.
+	 * @param {Object} session - The session object containing the code verifier and state.
+	 * @param {string} state - The state parameter received from the OAuth provider.
+	 * @returns {{ codeVerifier: string, returnTo: string }} The code verifier and return path stored with the state.
+	 * @throws {StateMismatchError} If the state is missing or does not match the session.
+	 * @private
+	 */
+	_takeAuthorizationState(session, state) {
+		const expectedState = session.state
+		const codeVerifier = session.codeVerifier
+		const returnTo = session.returnTo
+
+		delete session.state
+		delete session.codeVerifier
+		delete session.returnTo
+
+		if (!state || !expectedState || state !== expectedState) {
+			throw new StateMismatchError()
+		}
+
+		return { codeVerifier, returnTo }
 	}
 
 	/**
 	 * Log out the user by revoking the access token and clearing the session.
-	 * @param {Object} session - The session object containing the user's access token.
+	 * The user is also removed from the token store, if one is configured.
+	 * @param {Object|string} session - The session object containing the user's access token, or a user id in the token store.
 	 * @returns {Promise<void>}
 	 */
 	async logout(session) {
+		if (isUserId(session)) {
+			session = await this._loadSession(session)
+		}
 		const oldData = { ...session.user }
 
 		if (session && session.user && session.user.accessToken) {
 			try {
+				const body = {
+					token: await this._unsealToken(session.user.accessToken),
+					token_type_hint: "access_token"
+				}
+				if (this.publicClient) {
+					body.client_id = this.clientId
+				}
+
 				await this.post(
 					"oauth2/revoke",
-					{
-						token: session.user.accessToken,
-						token_type_hint: "access_token"
-					},
-					{
-						"Content-Type": "application/x-www-form-urlencoded",
-						Authorization:
-							"Basic " + btoa(`${this.clientId}:${this.clientSecret}`)
-					},
-					session
+					body,
+					this._clientAuthHeaders(),
+					session,
+					{ auth: false }
 				)
 
-				console.log("Token revoked successfully")
+				this.logger.info("Token revoked successfully")
 			} catch (error) {
-				console.error("Error revoking token:", error.message)
+				this.logger.error("Error revoking token:", error.message)
 			}
 		}
 
-		// Clear the sessiont
+		if (this.tokenStore && session.user && session.user.id) {
+			await this.tokenStore.delete(session.user.id)
+		}
+
+		// Clear the session
 		this._triggerSessionUpdateCallback(oldData, undefined, session.id)
 
-		session.destroy()
+		if (typeof session.destroy === "function") {
+			session.destroy()
+		}
+	}
+
+	/**
+	 * Check whether the session's access token has expired or will expire
+	 * within the configured refresh skew.
+	 * @param {Object} session - The session object containing the user's tokens.
+	 * @returns {boolean} True if the access token should be refreshed before use.
+	 */
+	isTokenExpiring(session) {
+		if (!session || !session.user || !session.user.expiresAt) {
+			return false
+		}
+		return Date.now() >= session.user.expiresAt - this.refreshSkew
 	}
 
 	/**
 	 * Send an HTTP request to the API.
+	 * When no Authorization header is supplied, the session's access token is
+	 * sent as a bearer token. If the request is authorized with the session's
+	 * access token and that token is about to expire, it is refreshed before
+	 * the request is sent. The rate limit reported by X is exposed on the
+	 * result as a non-enumerable `rateLimit` property, and when
+	 * `waitOnRateLimit` is enabled a 429 is retried once the window resets.
+	 * When `trackRateLimits` is enabled, requests whose budget is exhausted
+	 * are held until the window resets. Network errors and transient server
+	 * errors are retried as configured by the `retry` option.
 	 * @param {string} method - The HTTP method (GET, POST, etc.).
-	 * @param {string} url - The API endpoint.
-	 * @param {Object} [data={}] - The request data.
+	 * @param {string} url - The API endpoint, or an absolute URL. Tokens are only sent to absolute URLs on the origin of the API or of the configured token endpoints.
+	 * @param {Object|FormData} [data={}] - The request data. A FormData body is sent as multipart.
 	 * @param {Object} [headers={}] - Additional headers.
-	 * @param {Object} session - The session object.
-	 * @returns {Promise<Object>} The parsed JSON response.
-	 * @throws {Error} If the request fails or returns an error status.
+	 * @param {Object|string} [session] - The session object, or a user id in the token store.
+	 *   Without a session, the request is authorized with the app-only token when `appOnly` is set on the instance or the request.
+	 * @param {Object} [requestOptions={}] - Per-request options.
+	 * @param {Object|boolean} [requestOptions.retry] - Retry settings for this request, merged over the instance settings. `true` retries it whatever its method, `false` disables retries.
+	 * @param {AbortSignal} [requestOptions.signal] - Aborts the request, including any waits, rejecting with the abort reason.
+	 * @param {boolean} [requestOptions.auth=true] - `false` sends the request without the session's or the app-only token, and never refreshes the session's token.
+	 * @param {boolean} [requestOptions.raw=false] - Resolve with the Response itself, unread, such as to read a streaming body.
+	 * @param {boolean} [requestOptions.appOnly] - `true` authorizes a request without a session with the app-only token, whether or not `appOnly` is set on the instance.
+	 * @returns {Promise<Object|Response>} The parsed JSON response, or an empty object for `204 No Content`, with a non-enumerable `rateLimit` property.
+	 * @throws {AuthError} If the access token needed refreshing and could not be refreshed.
+	 * @throws {RateLimitError} If the API responds with 429, or the tracked budget will not reset within `maxRateLimitWait`.
+	 * @throws {ApiError} If the API responds with any other error status.
+	 * @throws {TimeoutError} If the API does not respond within `timeout`.
+	 * @throws {NetworkError} If the API cannot be reached.
 	 */
-	async sendRequest(method, url, data = {}, headers = {}, session) {
-		url = this.API_BASE_URL + url
+	async sendRequest(
+		method,
+		url,
+		data = {},
+		headers = {},
+		session,
+		requestOptions = {}
+	) {
+		const endpoint = url
+		const retry = resolveRetryOptions(this.retry, requestOptions.retry)
+		if (isUserId(session)) {
+			session = await this._loadSession(session)
+		}
+		const { signal } = requestOptions
+		url = this._resolveUrl(endpoint)
+		// Tokens are only ever sent to X, not to absolute URLs elsewhere
+		const auth = requestOptions.auth !== false && this._isApiUrl(url)
 
-		const options = {
+		let options = {
 			method,
 			headers: {
 				...headers
 			}
 		}
 
+		let sessionAuthorization
+		if (auth && session && session.user && session.user.accessToken) {
+			sessionAuthorization = this.tokenCipher
+				? await this._sessionAuthorization(session)
+				: `Bearer ${session.user.accessToken}`
+		}
+		if (sessionAuthorization && !hasHeader(options.headers, "Authorization")) {
+			options.headers.Authorization = sessionAuthorization
+		}
+
+		let appToken
+		if (
+			auth &&
+			(requestOptions.appOnly || this.appOnly) &&
+			!session &&
+			!hasHeader(options.headers, "Authorization")
+		) {
+			appToken = await this.getAppToken({ signal })
+			options.headers.Authorization = `Bearer ${appToken}`
+		}
+
 		if (method === "GET" && Object.keys(data).length) {
 			const params = new URLSearchParams(data)
 			url += `?${params}`
 		} else if (method !== "GET") {
-			if (headers["Content-Type"] === "application/x-www-form-urlencoded") {
+			if (data instanceof FormData) {
+				// fetch sets the multipart Content-Type with its boundary
+				options.body = data
+			} else if (
+				headers["Content-Type"] === "application/x-www-form-urlencoded"
+			) {
 				options.body = new URLSearchParams(data)
 			} else {
 				options.body = JSON.stringify(data)
@@ -233,86 +671,675 @@ class XOAuth {
 			}
 		}
 
-		let response = await fetch(url, options)
+		if (
+			auth &&
+			session &&
+			session.user &&
+			session.user.refreshToken &&
+			options.headers.Authorization === sessionAuthorization &&
+			this.isTokenExpiring(session)
+		) {
+			await this._refreshForRequest(session, endpoint, signal)
+			sessionAuthorization = await this._sessionAuthorization(session)
+			options.headers.Authorization = sessionAuthorization
+		}
+
+		const rateLimitKey =
+			this.rateLimiter &&
+			this.rateLimiter.getKey(
+				method,
+				endpoint,
+				this._rateLimitIdentity(options.headers, session, appToken)
+			)
+		const send = async () => {
+			for (let attempt = 1; ; attempt++) {
+				let response
+				let error
+				try {
+					response = await this._fetch(
+						url,
+						options,
+						endpoint,
+						signal,
+						requestOptions.raw
+					)
+				} catch (fetchError) {
+					if (!(fetchError instanceof NetworkError)) {
+						throw fetchError
+					}
+					error = fetchError
+				}
+
+				if (response && rateLimitKey) {
+					this.rateLimiter.update(rateLimitKey, parseRateLimit(response.headers))
+				}
+
+				const delay = getRetryDelay(retry, method, attempt, response)
+				if (delay === undefined) {
+					if (error) {
+						throw error
+					}
+					return response
+				}
+
+				if (retry.onRetry) {
+					retry.onRetry({
+						attempt,
+						delay,
+						method,
+						endpoint,
+						status: response && response.status,
+						error
+					})
+				}
+				await sleep(delay, signal)
+			}
+		}
+
+		if (rateLimitKey) {
+			await this._waitForBudget(rateLimitKey, endpoint, signal)
+		}
 
+		const sentAccessToken = session && session.user && session.user.accessToken
+		let response = await send()
+
+		// A request sent with the caller's own Authorization header is not retried
+		// as the session user
 		if (
 			response.status === 401 &&
+			auth &&
 			session &&
 			session.user &&
-			session.user.refreshToken
+			session.user.refreshToken &&
+			options.headers.Authorization === sessionAuthorization
 		) {
-			try {
-				await this.refreshToken(session)
-				options.headers.Authorization = `Bearer ${session.user.accessToken}`
-				response = await fetch(url, options)
-			} catch (error) {
-				console.error("Token refresh failed:", error)
-				throw new Error("Authentication failed")
+			// Skip the refresh if a concurrent request already replaced the token
+			if (session.user.accessToken === sentAccessToken) {
+				await this._refreshForRequest(session, endpoint, signal)
 			}
+			options = {
+				...options,
+				headers: {
+					...options.headers,
+					Authorization: await this._sessionAuthorization(session)
+				}
+			}
+			response = await send()
 		}
 
-		if (response.status === 429) {
-			throw new Error(`Rate limit exceeded. Status: ${response.status}`)
+		if (response.status === 401 && appToken) {
+			// The app-only token was invalidated elsewhere, get a new one
+			if (this._appToken === appToken) {
+				this._appToken = undefined
+			}
+			appToken = await this.getAppToken({ signal })
+			options = {
+				...options,
+				headers: { ...options.headers, Authorization: `Bearer ${appToken}` }
+			}
+			response = await send()
+		}
+
+		let waited = 0
+		while (response.status === 429 && this.waitOnRateLimit) {
+			const resetDelay = getResetDelay(parseRateLimit(response.headers))
+			if (resetDelay === undefined) {
+				break
+			}
+
+			const delay = resetDelay + RATE_LIMIT_RESET_BUFFER
+			if (waited + delay > this.maxRateLimitWait) {
+				break
+			}
+
+			await sleep(delay, signal)
+			waited += delay
+			response = await send()
 		}
 
 		if (!response.ok) {
-			const errorData = await response.json()
-			throw new Error(
-				`HTTP error! status: ${response.status}, message: ${errorData.error}`
-			)
+			throw await errorFromResponse(response, endpoint)
 		}
 
-		return response.json()
+		if (requestOptions.raw) {
+			return response
+		}
+
+		const body = response.status === 204 ? {} : await response.json()
+		return attachRateLimit(body, parseRateLimit(response.headers))
 	}
 
 	/**
-	 * Refresh the access token using the refresh token.
+	 * Hold a request until its tracked rate limit budget allows it.
+	 * @param {string} key - The rate limit budget key.
+	 * @param {string} endpoint - The API endpoint, for error reporting.
+	 * @param {AbortSignal} [signal] - Stops the wait early.
+	 * @returns {Promise<void>}
+	 * @throws {RateLimitError} If the budget will not reset within `maxRateLimitWait`.
+	 * @private
+	 */
+	async _waitForBudget(key, endpoint, signal) {
+		let waited = 0
+		let delay
+
+		while ((delay = this.rateLimiter.reserve(key)) > 0) {
+			delay += RATE_LIMIT_RESET_BUFFER
+			if (waited + delay > this.maxRateLimitWait) {
+				const budget = this.rateLimiter.getBudget(key)
+				throw new RateLimitError(`Rate limit exhausted for ${endpoint}`, {
+					endpoint,
+					rateLimit: {
+						limit: budget.limit,
+						remaining: budget.remaining,
+						reset: budget.resetAt / 1000
+					}
+				})
+			}
+
+			await sleep(delay, signal)
+			waited += delay
+		}
+	}
+
+	/**
+	 * Get the full URL of an endpoint. The token and revoke endpoints map to
+	 * their configured URLs, and absolute URLs are used as they are.
+	 * @param {string} endpoint - The API endpoint, or an absolute URL.
+	 * @returns {string} The full request URL.
+	 * @private
+	 */
+	_resolveUrl(endpoint) {
+		if (/^https?:\/\//i.test(endpoint)) {
+			return endpoint
+		}
+		if (endpoint === "oauth2/token") {
+			return this.TOKEN_URL
+		}
+		if (endpoint === "oauth2/revoke") {
+			return this.REVOKE_URL
+		}
+		return this.API_BASE_URL + endpoint
+	}
+
+	/**
+	 * Check whether a URL is on the origin of the API or of one of the
+	 * configured token endpoints, so the session's or the app-only token may
+	 * be sent to it.
+	 * @param {string} url - The full request URL.
+	 * @returns {boolean} True if the URL is on a configured origin.
+	 * @private
+	 */
+	_isApiUrl(url) {
+		const { origin } = new URL(url)
+		return [
+			this.API_BASE_URL,
+			this.TOKEN_URL,
+			this.REVOKE_URL,
+			this.APP_TOKEN_URL,
+			this.INVALIDATE_TOKEN_URL
+		].some(configured => new URL(configured).origin === origin)
+	}
+
+	/**
+	 * Call fetch, or the configured fetch implementation, turning a rejected
+	 * request into a NetworkError and aborting it after the configured timeout.
+	 * Unless the body is streamed, the timeout and signal cover reading the
+	 * body as well as the headers. With a recorder, the request is recorded or replayed. The method, path,
+	 * status and duration of every request are logged at debug level; the
+	 * query is left out since it may hold tokens.
+	 * @param {string} url - The full request URL.
+	 * @param {Object} options - The fetch options.
+	 * @param {string} endpoint - The API endpoint, for error reporting.
+	 * @param {AbortSignal} [signal] - Aborts the request, rejecting with the abort reason.
+	 * @param {boolean} [stream=false] - The caller reads the body as a stream, so it is left unread and a recorder passes it through.
+	 * @returns {Promise<Response>} The response.
+	 * @throws {TimeoutError} If the request does not complete within `timeout`.
+	 * @throws {NetworkError} If the request cannot be sent.
+	 * @private
+	 */
+	async _fetch(url, options, endpoint, signal, stream = false) {
+		if (signal && signal.aborted) {
+			throw signal.reason
+		}
+
+		const method = options.method || "GET"
+		const path = new URL(url).pathname
+		const controller = this.timeout || signal ? new AbortController() : null
+		let timedOut = false
+		const timer =
+			this.timeout &&
+			setTimeout(() => {
+				timedOut = true
+				controller.abort()
+			}, this.timeout)
+		const onAbort = () => controller.abort(signal.reason)
+		if (signal) {
+			signal.addEventListener("abort", onAbort, { once: true })
+		}
+
+		const start = Date.now()
+		try {
+			const fetchImpl = this.fetchImpl || fetch
+			const init = controller
+				? { ...options, signal: controller.signal }
+				: options
+			const response = this.recorder
+				? await this.recorder.fetch(url, init, fetchImpl, { stream })
+				: await fetchImpl(url, init)
+			if (!stream && typeof response.clone === "function") {
+				// Read the body before the timeout and signal are released, so a
+				// body that stalls after the headers cannot hang the caller. The
+				// response keeps the body buffered for the caller to parse
+				await response.clone().arrayBuffer()
+			}
+			this.logger.debug("X API request:", {
+				method,
+				path,
+				status: response.status,
+				duration: Date.now() - start
+			})
+			return response
+		} catch (error) {
+			this.logger.debug("X API request failed:", {
+				method,
+				path,
+				duration: Date.now() - start,
+				error: error.message
+			})
+			if (signal && signal.aborted) {
+				throw signal.reason
+			}
+			if (timedOut) {
+				throw new TimeoutError(`Request timed out after ${this.timeout}ms`, {
+					endpoint,
+					cause: error
+				})
+			}
+			throw new NetworkError(error.message, { endpoint, cause: error })
+		} finally {
+			clearTimeout(timer)
+			if (signal) {
+				signal.removeEventListener("abort", onAbort)
+			}
+		}
+	}
+
+	/**
+	 * Refresh the session's access token on behalf of a request.
 	 * @param {Object} session - The session object containing the user's refresh token.
-	 * @returns {Promise<Object>} An object containing the new access token and refresh token.
-	 * @throws {Error} If token refresh fails.
+	 * @param {string} endpoint - The API endpoint being requested.
+	 * @param {AbortSignal} [signal] - Stops waiting for the refresh.
+	 * @returns {Promise<void>}
+	 * @throws {AuthError} If the token refresh fails, with the TokenRefreshError as its cause.
+	 * @private
 	 */
-	async refreshToken(session) {
+	async _refreshForRequest(session, endpoint, signal) {
 		try {
+			await this.refreshToken(session, { signal })
+		} catch (error) {
+			if (signal && signal.aborted) {
+				throw error
+			}
+			this.logger.error("Token refresh failed:", error)
+			throw new AuthError("Authentication failed", { endpoint, cause: error })
+		}
+	}
+
+	/**
+	 * Refresh the access token using the refresh token.
+	 * Concurrent refreshes of the same refresh token, whether from one session
+	 * or several sessions holding the same stored user, share a single request
+	 * because X rotates refresh tokens on every use. With a token store, tokens
+	 * another process has already refreshed are picked up from the store
+	 * instead, and refreshed tokens are written back to it.
+	 * @param {Object|string} session - The session object containing the user's refresh token, or a user id in the token store.
+	 * @param {Object} [options={}] - Per-call options.
+	 * @param {AbortSignal} [options.signal] - Stops waiting for the refresh, rejecting with the abort reason.
+	 *   The refresh itself carries on for any other callers sharing it.
+	 * @returns {Promise<Object>} An object containing the new access token, refresh token and expiry, with the tokens sealed when `encryptionKeys` are configured.
+	 * @throws {TokenRefreshError} If token refresh fails, with the underlying error as its cause.
+	 */
+	async refreshToken(session, options = {}) {
+		const { signal } = options
+		try {
+			if (isUserId(session)) {
+				session = await this._loadSession(session)
+			}
 			if (!session.user || !session.user.refreshToken) {
-				throw new Error('Refresh token is missing');
+				throw new TokenRefreshError("Refresh token is missing")
 			}
 
-			const response = await fetch(this.API_BASE_URL + "oauth2/token", {
+			const oldData = { ...session.user }
+
+			if (this.tokenStore && session.user.id) {
+				const stored = await this.tokenStore.get(session.user.id)
+				if (
+					stored &&
+					stored.refreshToken &&
+					stored.refreshToken !== oldData.refreshToken
+				) {
+					session.user.accessToken = stored.accessToken
+					session.user.refreshToken = stored.refreshToken
+					session.user.expiresAt = stored.expiresAt
+					session.user.scope = stored.scope
+
+					this._triggerSessionUpdateCallback(
+						oldData,
+						session.user,
+						session.id
+					)
+
+					return {
+						accessToken: session.user.accessToken,
+						refreshToken: session.user.refreshToken,
+						expiresAt: session.user.expiresAt
+					}
+				}
+			}
+
+			const tokenData = await abortable(
+				this._refreshTokenOnce(oldData.refreshToken),
+				signal
+			)
+			const accessToken = await this._sealToken(tokenData.access_token)
+			const refreshToken = await this._sealToken(tokenData.refresh_token)
+
+			// Another caller sharing this session may already have applied the result
+			if (session.user.refreshToken === oldData.refreshToken) {
+				session.user.refreshToken = refreshToken
+				session.user.accessToken = accessToken
+				session.user.expiresAt = getExpiresAt(tokenData.expires_in)
+				if (tokenData.scope) {
+					session.user.scope = tokenData.scope
+				}
+
+				if (this.tokenStore && session.user.id) {
+					await this._storeRefreshedUser(session.user)
+				}
+
+				// Trigger session update callback
+				this._triggerSessionUpdateCallback(oldData, session.user, session.id)
+			}
+
+			return {
+				accessToken: session.user.accessToken,
+				refreshToken: session.user.refreshToken,
+				expiresAt: session.user.expiresAt
+			}
+		} catch (error) {
+			if (signal && signal.aborted) {
+				throw error
+			}
+			this.logger.error("Error refreshing token:", error.message)
+			throw new TokenRefreshError("Token refresh failed", { cause: error })
+		}
+	}
+
+	/**
+	 * Write a refreshed user back to the token store. A failed write is
+	 * logged rather than thrown, since the refresh itself succeeded.
+	 * @param {Object} user - The user with refreshed tokens.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _storeRefreshedUser(user) {
+		try {
+			await this.tokenStore.set(user.id, user)
+		} catch (error) {
+			this.logger.error("Error storing refreshed token:", error.message)
+		}
+	}
+
+	/**
+	 * Exchange a refresh token for new tokens, joining any exchange of the same
+	 * refresh token that is already in flight.
+	 * @param {string} refreshToken - The refresh token to exchange.
+	 * @returns {Promise<Object>} The raw token response.
+	 * @private
+	 */
+	_refreshTokenOnce(refreshToken) {
+		let pending = this._pendingRefreshes.get(refreshToken)
+
+		if (!pending) {
+			pending = this._requestTokenRefresh(refreshToken).finally(() => {
+				this._pendingRefreshes.delete(refreshToken)
+			})
+			this._pendingRefreshes.set(refreshToken, pending)
+		}
+
+		return pending
+	}
+
+	/**
+	 * Request new tokens from the token endpoint with a refresh token.
+	 * @param {string} refreshToken - The refresh token to exchange.
+	 * @returns {Promise<Object>} The raw token response.
+	 * @throws {ApiError} If the token endpoint returns an error status.
+	 * @throws {NetworkError} If the token endpoint cannot be reached.
+	 * @private
+	 */
+	async _requestTokenRefresh(refreshToken) {
+		const endpoint = "oauth2/token"
+		const response = await this._fetch(
+			this.TOKEN_URL,
+			{
 				method: "POST",
-				headers: {
-					"Content-Type": "application/x-www-form-urlencoded",
-					Authorization:
-						"Basic " + btoa(`${this.clientId}:${this.clientSecret}`)
-				},
+				headers: this._clientAuthHeaders(),
 				body: new URLSearchParams({
-					refresh_token: session.user.refreshToken,
+					refresh_token: await this._unsealToken(refreshToken),
 					grant_type: "refresh_token",
 					client_id: this.clientId
 				})
-			})
+			},
+			endpoint
+		)
 
-			if (!response.ok) {
-				throw new Error(
-					`HTTP error! status: ${response.status}, ${response.statusText}, ${response.message}`
-				)
-			}
+		if (!response.ok) {
+			throw await errorFromResponse(response, endpoint)
+		}
 
-			const tokenData = await response.json()
+		return response.json()
+	}
 
-			const oldData = { ...session.user }
-			session.user.refreshToken = tokenData.refresh_token
-			session.user.accessToken = tokenData.access_token
+	/**
+	 * Get an app-only bearer token with the client credentials grant, for
+	 * requests made without a user. The token is cached and reused until it is
+	 * invalidated, and concurrent calls share a single token request.
+	 * @param {Object} [options={}] - Per-call options.
+	 * @param {AbortSignal} [options.signal] - Stops waiting for the token, rejecting with the abort reason.
+	 * @returns {Promise<string>} The app-only bearer token.
+	 * @throws {AuthError} If `appKey` and `appSecret` are not configured, or no token can be obtained, with the underlying error as its cause.
+	 */
+	async getAppToken(options = {}) {
+		const { signal } = options
+		this._checkAppCredentials()
+		if (this._appToken) {
+			return this._appToken
+		}
 
-			// Trigger session update callback
-			this._triggerSessionUpdateCallback(oldData, session.user, session.id)
+		if (!this._pendingAppToken) {
+			this._pendingAppToken = this._requestAppToken()
+				.then(token => {
+					this._appToken = token
+					return token
+				})
+				.finally(() => {
+					this._pendingAppToken = undefined
+				})
+		}
 
-			return {
-				accessToken: tokenData.access_token,
-				refreshToken: tokenData.refresh_token
-			}
+		try {
+			return await abortable(this._pendingAppToken, signal)
 		} catch (error) {
-			console.error("Error refreshing token:", error.message)
-			throw new Error("Token refresh failed")
+			if (signal && signal.aborted) {
+				throw error
+			}
+			this.logger.error("Error obtaining app-only token:", error.message)
+			throw new AuthError("App-only authentication failed", { cause: error })
+		}
+	}
+
+	/**
+	 * Invalidate the cached app-only token with X and forget it, so the next
+	 * app-only request obtains a new one.
+	 * @returns {Promise<void>}
+	 * @throws {ApiError} If X fails to invalidate the token.
+	 * @throws {NetworkError} If X cannot be reached.
+	 */
+	async invalidateAppToken() {
+		const token = this._appToken
+		this._appToken = undefined
+		if (!token) {
+			return
+		}
+
+		const endpoint = "oauth2/invalidate_token"
+		const response = await this._fetch(
+			this.INVALIDATE_TOKEN_URL,
+			{
+				method: "POST",
+				headers: this._appCredentialHeaders(),
+				body: new URLSearchParams({ access_token: token })
+			},
+			endpoint
+		)
+
+		if (!response.ok) {
+			throw await errorFromResponse(response, endpoint)
+		}
+	}
+
+	/**
+	 * Check that the API key and secret app-only tokens are issued for are
+	 * configured. X does not accept the OAuth 2.0 client ID and secret for
+	 * them, so they cannot stand in.
+	 * @throws {AuthError} If `appKey` or `appSecret` is missing.
+	 * @private
+	 */
+	_checkAppCredentials() {
+		if (!this.appKey || !this.appSecret) {
+			throw new AuthError(
+				"App-only authentication requires the appKey and appSecret options, the API key and secret of the app"
+			)
+		}
+	}
+
+	/**
+	 * Request an app-only bearer token with the client credentials grant.
+	 * @returns {Promise<string>} The app-only bearer token.
+	 * @throws {ApiError} If the token endpoint returns an error status.
+	 * @throws {NetworkError} If the token endpoint cannot be reached.
+	 * @private
+	 */
+	async _requestAppToken() {
+		const endpoint = "oauth2/token"
+		const response = await this._fetch(
+			this.APP_TOKEN_URL,
+			{
+				method: "POST",
+				headers: this._appCredentialHeaders(),
+				body: new URLSearchParams({ grant_type: "client_credentials" })
+			},
+			endpoint
+		)
+
+		if (!response.ok) {
+			throw await errorFromResponse(response, endpoint)
+		}
+
+		const { access_token } = await response.json()
+		if (!access_token) {
+			throw new AuthError("Token response has no access token", { endpoint })
+		}
+		return access_token
+	}
+
+	/**
+	 * Seal a token for the session when `encryptionKeys` are configured.
+	 * @param {string} [token] - The token.
+	 * @returns {Promise<string|undefined>} The sealed token, or the token as it is without encryption.
+	 * @private
+	 */
+	async _sealToken(token) {
+		return this.tokenCipher && token ? this.tokenCipher.seal(token) : token
+	}
+
+	/**
+	 * Unseal a token from the session when `encryptionKeys` are configured.
+	 * Tokens that were never sealed are returned as they are.
+	 * @param {string} [token] - The sealed token.
+	 * @returns {Promise<string|undefined>} The token.
+	 * @throws {AuthError} If the token cannot be unsealed with the configured keys.
+	 * @private
+	 */
+	async _unsealToken(token) {
+		return this.tokenCipher && token ? this.tokenCipher.unseal(token) : token
+	}
+
+	/**
+	 * Name the user or app a request's rate limit budget belongs to, without
+	 * putting the token itself in the budget key. Tokens passed by the caller
+	 * are hashed so the same token keeps the same budget.
+	 * @param {Object} headers - The request headers.
+	 * @param {Object} [session] - The session the request is sent for.
+	 * @param {string} [appToken] - The app-only token added to the request.
+	 * @returns {string} The identity, such as `user:123` or `app`.
+	 * @private
+	 */
+	_rateLimitIdentity(headers, session, appToken) {
+		if (session && session.user && session.user.id) {
+			return `user:${session.user.id}`
+		}
+		if (appToken) {
+			return "app"
+		}
+		const name = Object.keys(headers).find(
+			key => key.toLowerCase() === "authorization"
+		)
+		if (!name || !headers[name]) {
+			return "anonymous"
+		}
+		const hash = createHash("sha256").update(headers[name]).digest("hex")
+		return `token:${hash}`
+	}
+
+	/**
+	 * Build the Authorization header for the session's access token.
+	 * @param {Object} session - The session object containing the user's access token.
+	 * @returns {Promise<string>} The bearer Authorization header.
+	 * @throws {AuthError} If the token cannot be unsealed with the configured keys.
+	 * @private
+	 */
+	async _sessionAuthorization(session) {
+		return `Bearer ${await this._unsealToken(session.user.accessToken)}`
+	}
+
+	/**
+	 * Build the headers that authenticate the client to the token and revoke
+	 * endpoints. A confidential client sends Basic credentials; a public client
+	 * has no secret and sends its `client_id` in the body instead.
+	 * @returns {Object} The Content-Type header, and the Basic Authorization header for a confidential client.
+	 * @private
+	 */
+	_clientAuthHeaders() {
+		const headers = { "Content-Type": "application/x-www-form-urlencoded" }
+		if (!this.publicClient) {
+			headers.Authorization =
+				"Basic " + btoa(`${this.clientId}:${this.clientSecret}`)
+		}
+		return headers
+	}
+
+	/**
+	 * Build the headers that authenticate the app to the app-only token
+	 * endpoints.
+	 * @returns {Object} The Content-Type and Basic Authorization headers.
+	 * @private
+	 */
+	_appCredentialHeaders() {
+		return {
+			"Content-Type": "application/x-www-form-urlencoded;charset=UTF-8",
+			Authorization: "Basic " + btoa(`${this.appKey}:${this.appSecret}`)
 		}
 	}
 
@@ -322,10 +1349,11 @@ class XOAuth {
 	 * @param {Object} [data={}] - Query parameters.
 	 * @param {Object} [headers={}] - Additional headers.
 	 * @param {Object} session - The session object.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
 	 * @returns {Promise<Object>} The parsed JSON response.
 	 */
-	async get(url, data = {}, headers = {}, session) {
-		return this.sendRequest("GET", url, data, headers, session)
+	async get(url, data = {}, headers = {}, session, options) {
+		return this.sendRequest("GET", url, data, headers, session, options)
 	}
 
 	/**
@@ -334,10 +1362,11 @@ class XOAuth {
 	 * @param {Object} [data={}] - The request body.
 	 * @param {Object} [headers={}] - Additional headers.
 	 * @param {Object} session - The session object.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
 	 * @returns {Promise<Object>} The parsed JSON response.
 	 */
-	async post(url, data = {}, headers = {}, session) {
-		return this.sendRequest("POST", url, data, headers, session)
+	async post(url, data = {}, headers = {}, session, options) {
+		return this.sendRequest("POST", url, data, headers, session, options)
 	}
 
 	/**
@@ -346,10 +1375,11 @@ class XOAuth {
 	 * @param {Object} [data={}] - The request body.
 	 * @param {Object} [headers={}] - Additional headers.
 	 * @param {Object} session - The session object.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
 	 * @returns {Promise<Object>} The parsed JSON response.
 	 */
-	async patch(url, data = {}, headers = {}, session) {
-		return this.sendRequest("PATCH", url, data, headers, session)
+	async patch(url, data = {}, headers = {}, session, options) {
+		return this.sendRequest("PATCH", url, data, headers, session, options)
 	}
 
 	/**
@@ -358,10 +1388,11 @@ class XOAuth {
 	 * @param {Object} [data={}] - The request body.
 	 * @param {Object} [headers={}] - Additional headers.
 	 * @param {Object} session - The session object.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
 	 * @returns {Promise<Object>} The parsed JSON response.
 	 */
-	async put(url, data = {}, headers = {}, session) {
-		return this.sendRequest("PUT", url, data, headers, session)
+	async put(url, data = {}, headers = {}, session, options) {
+		return this.sendRequest("PUT", url, data, headers, session, options)
 	}
 
 	/**
@@ -370,11 +1401,89 @@ class XOAuth {
 	 * @param {Object} [data={}] - The request body.
 	 * @param {Object} [headers={}] - Additional headers.
 	 * @param {Object} session - The session object.
+	 * @param {Object} [options] - Per-request options, see sendRequest.
 	 * @returns {Promise<Object>} The parsed JSON response.
 	 */
-	async delete(endpoint, data = {}, headers = {}, session) {
-		return this.sendRequest("DELETE", endpoint, data, headers, session)
+	async delete(endpoint, data = {}, headers = {}, session, options) {
+		return this.sendRequest("DELETE", endpoint, data, headers, session, options)
+	}
+
+	/**
+	 * Iterate over a paginated endpoint, following `meta.next_token`.
+	 * @param {string} endpoint - The API endpoint.
+	 * @param {Object} [params={}] - Query parameters.
+	 * @param {Object} [session] - The session object.
+	 * @param {Object} [options={}] - Pagination options, see Paginator.
+	 * @returns {Paginator} An async iterable of pages, or of items with `options.items`.
+	 */
+	paginate(endpoint, params = {}, session, options = {}) {
+		return new Paginator(this, endpoint, params, session, options)
+	}
+
+	/**
+	 * Upload an image, GIF or video in chunks, waiting for X to process it.
+	 * @param {Uint8Array|AsyncIterable} media - The media as a Buffer or a stream.
+	 * @param {string} mimeType - The MIME type of the media, such as `image/png` or `video/mp4`.
+	 * @param {Object|string} [session] - The session object, or a user id in the token store.
+	 * @param {Object} [options={}] - Upload options, see uploadMedia in media.js.
+	 * @returns {Promise<string>} The media id, to attach to a post.
+	 * @throws {MediaError} If the media is not a Buffer or stream, or fails or outlasts processing.
+	 */
+	uploadMedia(media, mimeType, session, options = {}) {
+		return uploadMedia(this, media, mimeType, session, options)
+	}
+
+	/**
+	 * Create a consumer of the filtered stream. Call `connect` to start it.
+	 * @param {Object} [params={}] - Query parameters, such as `tweet.fields` and `expansions`.
+	 * @param {Object} [options={}] - Stream options, see FilteredStream.
+	 * @returns {FilteredStream} The stream, emitting `data` for each matching tweet.
+	 */
+	stream(params = {}, options = {}) {
+		return new FilteredStream(this, params, options)
+	}
+
+	/**
+	 * Create a middleware that mounts the login, callback and logout routes,
+	 * for Express or any Connect-style server with session middleware.
+	 * @param {Object} [options={}] - Router options, see createRouter.
+	 * @returns {function(Object, Object, function): Promise<void>} The middleware.
+	 */
+	router(options = {}) {
+		return createRouter(this, options)
+	}
+
+	/**
+	 * Create a middleware that only lets requests from logged in users through.
+	 * @param {Object} [options={}] - Guard options, see requireXAuth.
+	 * @returns {function(Object, Object, function): void} The middleware.
+	 */
+	requireXAuth(options = {}) {
+		return requireXAuth(options)
 	}
 }
 
 module.exports = XOAuth
+module.exports.XOAuthError = XOAuthError
+module.exports.AuthError = AuthError
+module.exports.StateMismatchError = StateMismatchError
+module.exports.AuthorizationError = AuthorizationError
+module.exports.AccessDeniedError = AccessDeniedError
+module.exports.TokenRefreshError = TokenRefreshError
+module.exports.ApiError = ApiError
+module.exports.RateLimitError = RateLimitError
+module.exports.NetworkError = NetworkError
+module.exports.TimeoutError = TimeoutError
+module.exports.MediaError = MediaError
+module.exports.MemoryTokenStore = MemoryTokenStore
+module.exports.FileTokenStore = FileTokenStore
+module.exports.requireXAuth = requireXAuth
+// Loaded on first use, so production processes do not load the test server
+Object.defineProperty(module.exports, "MockXServer", {
+	enumerable: true,
+	get: () => require("./mockServer").MockXServer
+})
+module.exports.Recorder = Recorder
+module.exports.FilteredStream = FilteredStream
+module.exports.TokenCipher = TokenCipher
+module.exports.createConsoleLogger = createConsoleLogger
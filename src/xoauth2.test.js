@@ -1,4 +1,18 @@
 const XOAuth = require('./xoauth2');
+const {
+    XOAuthError,
+    AuthError,
+    StateMismatchError,
+    AuthorizationError,
+    AccessDeniedError,
+    TokenRefreshError,
+    ApiError,
+    RateLimitError,
+    NetworkError,
+    TimeoutError
+} = XOAuth;
+const { RateLimiter } = require('./rateLimit');
+const { silenceConsoleError } = require('./testHelpers');
 
 // Generate a valid mock client ID
 const generateValidMockClientId = () => {
@@ -78,6 +92,97 @@ describe('XOAuth', () => {
         test('sets AUTH_URL correctly', () => {
             expect(xoauth.AUTH_URL).toBe('https://x.com/i/oauth2/authorize');
         });
+
+        test('uses a default refresh skew of one minute', () => {
+            expect(xoauth.refreshSkew).toBe(60000);
+        });
+
+        test('accepts a custom refresh skew', () => {
+            const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { refreshSkew: 0 });
+            expect(client.refreshSkew).toBe(0);
+        });
+
+        test('does not wait on rate limits by default', () => {
+            expect(xoauth.waitOnRateLimit).toBe(false);
+            expect(xoauth.maxRateLimitWait).toBe(15 * 60 * 1000);
+        });
+
+        test('accepts rate limit wait options', () => {
+            const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { waitOnRateLimit: true, maxRateLimitWait: 5000 });
+            expect(client.waitOnRateLimit).toBe(true);
+            expect(client.maxRateLimitWait).toBe(5000);
+        });
+
+        test('does not track rate limits by default', () => {
+            expect(xoauth.rateLimiter).toBeNull();
+        });
+
+        test('creates a rate limiter when trackRateLimits is enabled', () => {
+            const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { trackRateLimits: true });
+            expect(client.rateLimiter).toBeInstanceOf(RateLimiter);
+        });
+
+        test('does not retry by default', () => {
+            expect(xoauth.retry.retries).toBe(0);
+        });
+
+        test('merges retry options over the defaults', () => {
+            const onRetry = jest.fn();
+            const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { retry: { retries: 3, onRetry } });
+            expect(client.retry).toMatchObject({ retries: 3, minDelay: 1000, methods: ['GET', 'PUT', 'DELETE'], onRetry });
+        });
+
+        test('has no request timeout by default', () => {
+            expect(xoauth.timeout).toBeUndefined();
+        });
+
+        test('accepts a request timeout', () => {
+            const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { timeout: 5000 });
+            expect(client.timeout).toBe(5000);
+        });
+
+        test('uses default scopes when none are configured', () => {
+            expect(xoauth.scopes).toEqual(['tweet.read', 'users.read', 'offline.access']);
+        });
+
+        test('accepts scopes as an array or a space-delimited string', () => {
+            const fromArray = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { scopes: ['tweet.read', 'tweet.write'] });
+            const fromString = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { scopes: 'tweet.read tweet.write' });
+            expect(fromArray.scopes).toEqual(['tweet.read', 'tweet.write']);
+            expect(fromString.scopes).toEqual(['tweet.read', 'tweet.write']);
+        });
+
+        test('uses the X endpoints by default', () => {
+            expect(xoauth.TOKEN_URL).toBe('https://api.x.com/2/oauth2/token');
+            expect(xoauth.REVOKE_URL).toBe('https://api.x.com/2/oauth2/revoke');
+            expect(xoauth.APP_TOKEN_URL).toBe('https://api.x.com/oauth2/token');
+            expect(xoauth.INVALIDATE_TOKEN_URL).toBe('https://api.x.com/oauth2/invalidate_token');
+            expect(xoauth.fetchImpl).toBeUndefined();
+        });
+
+        test('derives the token endpoints from a custom API base URL', () => {
+            const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { apiBaseUrl: 'http://localhost:4000/2' });
+            expect(client.API_BASE_URL).toBe('http://localhost:4000/2/');
+            expect(client.TOKEN_URL).toBe('http://localhost:4000/2/oauth2/token');
+            expect(client.REVOKE_URL).toBe('http://localhost:4000/2/oauth2/revoke');
+            expect(client.APP_TOKEN_URL).toBe('http://localhost:4000/oauth2/token');
+            expect(client.INVALIDATE_TOKEN_URL).toBe('http://localhost:4000/oauth2/invalidate_token');
+        });
+
+        test('accepts URL overrides', () => {
+            const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, {
+                authUrl: 'http://localhost:4000/authorize',
+                tokenUrl: 'http://auth.local/token',
+                revokeUrl: 'http://auth.local/revoke',
+                appTokenUrl: 'http://auth.local/app-token',
+                invalidateTokenUrl: 'http://auth.local/invalidate'
+            });
+            expect(client.AUTH_URL).toBe('http://localhost:4000/authorize');
+            expect(client.TOKEN_URL).toBe('http://auth.local/token');
+            expect(client.REVOKE_URL).toBe('http://auth.local/revoke');
+            expect(client.APP_TOKEN_URL).toBe('http://auth.local/app-token');
+            expect(client.INVALIDATE_TOKEN_URL).toBe('http://auth.local/invalidate');
+        });
     });
 
     describe('onSessionUpdate method', () => {
@@ -108,6 +213,11 @@ describe('XOAuth', () => {
             expect(mockSession.codeVerifier).toBe('mock_code_verifier');
         });
 
+        test('sets state in the session', async () => {
+            await xoauth.getAuthorizationURL(mockSession);
+            expect(mockSession.state).toBe('mock_state');
+        });
+
         test('includes all required parameters', async () => {
             const url = new URL(await xoauth.getAuthorizationURL(mockSession));
             expect(url.searchParams.get('response_type')).toBe('code');
@@ -120,6 +230,17 @@ describe('XOAuth', () => {
             expect(url.searchParams.get('code_challenge_method')).toBe('S256');
         });
 
+        test('uses scopes configured on the instance', async () => {
+            xoauth.scopes = ['tweet.read', 'tweet.write', 'dm.read'];
+            const url = new URL(await xoauth.getAuthorizationURL(mockSession));
+            expect(url.searchParams.get('scope')).toBe('tweet.read tweet.write dm.read');
+        });
+
+        test('uses scopes passed per call over instance scopes', async () => {
+            const url = new URL(await xoauth.getAuthorizationURL(mockSession, { scopes: 'bookmark.read offline.access' }));
+            expect(url.searchParams.get('scope')).toBe('bookmark.read offline.access');
+        });
+
         test('uses the correct base authorization URL', async () => {
             const url = new URL(await xoauth.getAuthorizationURL(mockSession));
             expect(url.origin + url.pathname).toBe(xoauth.AUTH_URL);
@@ -131,14 +252,82 @@ describe('XOAuth', () => {
             expect(xoauth.generateCodeVerifier).toHaveBeenCalledTimes(2);
             expect(xoauth.generateCodeChallenge).toHaveBeenCalledTimes(2);
         });
+
+        test('stores the return path with the state', async () => {
+            await xoauth.getAuthorizationURL(mockSession, { returnTo: '/dashboard' });
+            expect(mockSession.returnTo).toBe('/dashboard');
+        });
+
+        test('clears a return path left by an earlier call', async () => {
+            await xoauth.getAuthorizationURL(mockSession, { returnTo: '/dashboard' });
+            await xoauth.getAuthorizationURL(mockSession);
+            expect(mockSession.returnTo).toBeUndefined();
+        });
+    });
+
+    describe('scope helpers', () => {
+        let mockSession;
+
+        beforeEach(() => {
+            mockSession = {
+                user: {
+                    id: 'mock_user_id',
+                    accessToken: 'mock_access_token',
+                    scope: 'tweet.read users.read offline.access'
+                }
+            };
+            jest.spyOn(xoauth, 'generateCodeVerifier').mockResolvedValue('mock_code_verifier');
+            jest.spyOn(xoauth, 'generateCodeChallenge').mockResolvedValue('mock_code_challenge');
+            jest.spyOn(xoauth, 'generateState').mockReturnValue('mock_state');
+        });
+
+        test('hasScope returns true for a granted scope', () => {
+            expect(xoauth.hasScope(mockSession, 'users.read')).toBe(true);
+        });
+
+        test('hasScope returns false for a missing scope', () => {
+            expect(xoauth.hasScope(mockSession, 'tweet.write')).toBe(false);
+        });
+
+        test('hasScope requires every scope when given several', () => {
+            expect(xoauth.hasScope(mockSession, ['tweet.read', 'users.read'])).toBe(true);
+            expect(xoauth.hasScope(mockSession, 'tweet.read tweet.write')).toBe(false);
+        });
+
+        test('hasScope returns false without a session user', () => {
+            expect(xoauth.hasScope({}, 'tweet.read')).toBe(false);
+            expect(xoauth.hasScope(undefined, 'tweet.read')).toBe(false);
+        });
+
+        test('getIncrementalAuthorizationURL requests granted and additional scopes', async () => {
+            const url = new URL(await xoauth.getIncrementalAuthorizationURL(mockSession, ['tweet.write', 'tweet.read']));
+            expect(url.searchParams.get('scope')).toBe('tweet.read users.read offline.access tweet.write');
+        });
+
+        test('getIncrementalAuthorizationURL keeps the existing session user', async () => {
+            const user = mockSession.user;
+            await xoauth.getIncrementalAuthorizationURL(mockSession, 'dm.read');
+            expect(mockSession.user).toBe(user);
+            expect(mockSession.state).toBe('mock_state');
+            expect(mockSession.codeVerifier).toBe('mock_code_verifier');
+        });
+
+        test('getIncrementalAuthorizationURL falls back to instance scopes without a user', async () => {
+            const url = new URL(await xoauth.getIncrementalAuthorizationURL({}, 'dm.read'));
+            expect(url.searchParams.get('scope')).toBe('tweet.read users.read offline.access dm.read');
+        });
     });
 
     describe('handleCallback method', () => {
+        silenceConsoleError();
+
         let mockSession;
         const mockCode = 'mock_auth_code';
+        const mockState = 'mock_state';
         const mockTokenData = {
             access_token: 'mock_access_token',
-            refresh_token: 'mock_refresh_token'
+            refresh_token: 'mock_refresh_token',
+            scope: 'tweet.read users.read offline.access'
         };
         const mockUserData = {
             data: {
@@ -152,6 +341,7 @@ describe('XOAuth', () => {
         beforeEach(() => {
             mockSession = {
                 codeVerifier: 'mock_code_verifier',
+                state: mockState,
                 id: 'mock_session_id'
             };
             xoauth.post = jest.fn().mockResolvedValue(mockTokenData);
@@ -160,7 +350,7 @@ describe('XOAuth', () => {
         });
 
         test('exchanges code for tokens', async () => {
-            await xoauth.handleCallback(mockCode, mockSession);
+            await xoauth.handleCallback(mockCode, mockState, mockSession);
             expect(xoauth.post).toHaveBeenCalledWith(
                 'oauth2/token',
                 expect.objectContaining({
@@ -168,46 +358,57 @@ describe('XOAuth', () => {
                     grant_type: 'authorization_code',
                     client_id: xoauth.clientId,
                     redirect_uri: xoauth.redirectUri,
-                    code_verifier: mockSession.codeVerifier
+                    code_verifier: 'mock_code_verifier'
                 }),
                 expect.objectContaining({
                     'Content-Type': 'application/x-www-form-urlencoded',
                     'Authorization': expect.stringContaining('Basic ')
                 }),
-                mockSession
+                mockSession,
+                { signal: undefined, auth: false }
             );
         });
 
         test('fetches user data', async () => {
-            await xoauth.handleCallback(mockCode, mockSession);
+            await xoauth.handleCallback(mockCode, mockState, mockSession);
             expect(xoauth.get).toHaveBeenCalledWith(
                 'users/me',
                 { 'user.fields': 'profile_image_url,profile_banner_url' },
                 { Authorization: `Bearer ${mockTokenData.access_token}` },
-                mockSession
+                mockSession,
+                { signal: undefined }
             );
         });
 
         test('returns user object with correct data', async () => {
-            const user = await xoauth.handleCallback(mockCode, mockSession);
+            const user = await xoauth.handleCallback(mockCode, mockState, mockSession);
             expect(user).toEqual({
                 id: mockUserData.data.id,
                 username: mockUserData.data.username,
                 profileImageUrl: 'http://example.com/image.jpg',
                 profileBannerUrl: mockUserData.data.profile_banner_url,
                 accessToken: mockTokenData.access_token,
-                refreshToken: mockTokenData.refresh_token
+                refreshToken: mockTokenData.refresh_token,
+                scope: mockTokenData.scope
             });
         });
 
+        test('records token expiry from expires_in', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(1000000);
+            xoauth.post.mockResolvedValue({ ...mockTokenData, expires_in: 7200 });
+            const user = await xoauth.handleCallback(mockCode, mockState, mockSession);
+            expect(user.expiresAt).toBe(1000000 + 7200 * 1000);
+            Date.now.mockRestore();
+        });
+
         test('updates session with user data', async () => {
-            await xoauth.handleCallback(mockCode, mockSession);
+            await xoauth.handleCallback(mockCode, mockState, mockSession);
             expect(mockSession.user).toBeDefined();
             expect(mockSession.user.id).toBe(mockUserData.data.id);
         });
 
         test('triggers session update callback', async () => {
-            await xoauth.handleCallback(mockCode, mockSession);
+            await xoauth.handleCallback(mockCode, mockState, mockSession);
             expect(xoauth._triggerSessionUpdateCallback).toHaveBeenCalledWith(
                 undefined,
                 expect.any(Object),
@@ -217,7 +418,153 @@ describe('XOAuth', () => {
 
         test('throws error on authentication failure', async () => {
             xoauth.post.mockRejectedValue(new Error('API Error'));
-            await expect(xoauth.handleCallback(mockCode, mockSession)).rejects.toThrow('Authentication failed');
+            await expect(xoauth.handleCallback(mockCode, mockState, mockSession)).rejects.toThrow('Authentication failed');
+        });
+
+        test('passes the abort signal to the token and user requests', async () => {
+            const controller = new AbortController();
+            await xoauth.handleCallback(mockCode, mockState, mockSession, { signal: controller.signal });
+            expect(xoauth.post.mock.calls[0][4]).toEqual({ signal: controller.signal, auth: false });
+            expect(xoauth.get.mock.calls[0][4]).toEqual({ signal: controller.signal });
+        });
+
+        test('rethrows an abort without wrapping it', async () => {
+            const controller = new AbortController();
+            const reason = new Error('Aborted');
+            xoauth.post.mockImplementation(() => {
+                controller.abort(reason);
+                return Promise.reject(reason);
+            });
+            await expect(xoauth.handleCallback(mockCode, mockState, mockSession, { signal: controller.signal })).rejects.toBe(reason);
+        });
+
+        test('throws AuthError with the underlying cause', async () => {
+            const cause = new ApiError('HTTP error! status: 400, message: invalid_grant', { status: 400, title: 'invalid_grant' });
+            xoauth.post.mockRejectedValue(cause);
+            const error = await xoauth.handleCallback(mockCode, mockState, mockSession).catch(e => e);
+            expect(error).toBeInstanceOf(AuthError);
+            expect(error.cause).toBe(cause);
+            expect(error.status).toBe(400);
+            expect(error.title).toBe('invalid_grant');
+        });
+
+        test('throws StateMismatchError when state does not match', async () => {
+            await expect(xoauth.handleCallback(mockCode, 'other_state', mockSession)).rejects.toThrow(StateMismatchError);
+            expect(xoauth.post).not.toHaveBeenCalled();
+        });
+
+        test('throws StateMismatchError when state is missing', async () => {
+            await expect(xoauth.handleCallback(mockCode, undefined, mockSession)).rejects.toThrow(StateMismatchError);
+            expect(xoauth.post).not.toHaveBeenCalled();
+        });
+
+        test('throws StateMismatchError when session has no stored state', async () => {
+            delete mockSession.state;
+            await expect(xoauth.handleCallback(mockCode, mockState, mockSession)).rejects.toThrow(StateMismatchError);
+            expect(xoauth.post).not.toHaveBeenCalled();
+        });
+
+        test('clears code verifier and state from the session', async () => {
+            await xoauth.handleCallback(mockCode, mockState, mockSession);
+            expect(mockSession.codeVerifier).toBeUndefined();
+            expect(mockSession.state).toBeUndefined();
+        });
+
+        test('rejects a replayed callback', async () => {
+            await xoauth.handleCallback(mockCode, mockState, mockSession);
+            await expect(xoauth.handleCallback(mockCode, mockState, mockSession)).rejects.toThrow(StateMismatchError);
+            expect(xoauth.post).toHaveBeenCalledTimes(1);
+        });
+
+        test('throws AuthError when the code is missing', async () => {
+            await expect(xoauth.handleCallback(undefined, mockState, mockSession)).rejects.toThrow(new AuthError('Authorization code is missing'));
+            expect(xoauth.post).not.toHaveBeenCalled();
+            expect(mockSession.state).toBeUndefined();
+        });
+
+        describe('handleCallbackQuery', () => {
+            test('handles a successful callback query', async () => {
+                const user = await xoauth.handleCallbackQuery({ code: mockCode, state: mockState }, mockSession);
+                expect(user.id).toBe(mockUserData.data.id);
+                expect(xoauth.post.mock.calls[0][1].code).toBe(mockCode);
+            });
+
+            test('throws AccessDeniedError when the user cancels', async () => {
+                const error = await xoauth.handleCallbackQuery({
+                    error: 'access_denied',
+                    error_description: 'The user denied the request',
+                    state: mockState
+                }, mockSession).catch(e => e);
+
+                expect(error).toBeInstanceOf(AccessDeniedError);
+                expect(error.title).toBe('access_denied');
+                expect(error.detail).toBe('The user denied the request');
+                expect(xoauth.post).not.toHaveBeenCalled();
+            });
+
+            test('throws AuthorizationError for other OAuth errors', async () => {
+                const error = await xoauth.handleCallbackQuery({ error: 'invalid_request', state: mockState }, mockSession).catch(e => e);
+                expect(error).toBeInstanceOf(AuthorizationError);
+                expect(error).not.toBeInstanceOf(AccessDeniedError);
+            });
+
+            test('verifies and clears the state of an error response', async () => {
+                mockSession.returnTo = '/dashboard';
+                await expect(xoauth.handleCallbackQuery({ error: 'access_denied', state: 'other_state' }, mockSession)).rejects.toThrow(StateMismatchError);
+                expect(mockSession.state).toBeUndefined();
+                expect(mockSession.codeVerifier).toBeUndefined();
+                expect(mockSession.returnTo).toBeUndefined();
+            });
+
+            test('passes options to handleCallback', async () => {
+                const signal = new AbortController().signal;
+                await xoauth.handleCallbackQuery({ code: mockCode, state: mockState }, mockSession, { signal });
+                expect(xoauth.post.mock.calls[0][4]).toEqual({ signal, auth: false });
+            });
+
+            test('rejects a query without a code or error', async () => {
+                await expect(xoauth.handleCallbackQuery({ state: mockState }, mockSession)).rejects.toThrow('Authorization code is missing');
+                await expect(xoauth.handleCallbackQuery(undefined, mockSession)).rejects.toThrow(StateMismatchError);
+            });
+        });
+
+        describe('returnTo', () => {
+            test('hands back a safe return path without saving it', async () => {
+                mockSession.returnTo = '/tweets?page=2';
+                const user = await xoauth.handleCallback(mockCode, mockState, mockSession);
+                expect(user.returnTo).toBe('/tweets?page=2');
+                expect(Object.keys(user)).not.toContain('returnTo');
+                expect(JSON.parse(JSON.stringify(mockSession.user)).returnTo).toBeUndefined();
+                expect(mockSession.returnTo).toBeUndefined();
+            });
+
+            test('drops return URLs on other origins', async () => {
+                mockSession.returnTo = 'https://evil.example/phish';
+                const user = await xoauth.handleCallback(mockCode, mockState, mockSession);
+                expect(user.returnTo).toBeUndefined();
+            });
+
+            test('accepts the redirect URI origin and allowed origins', async () => {
+                xoauth.allowedReturnOrigins = ['https://admin.example.com'];
+                mockSession.returnTo = 'http://localhost:3000/settings';
+                expect((await xoauth.handleCallback(mockCode, mockState, mockSession)).returnTo).toBe('http://localhost:3000/settings');
+
+                mockSession.state = mockState;
+                mockSession.returnTo = 'https://admin.example.com/users';
+                expect((await xoauth.handleCallback(mockCode, mockState, mockSession)).returnTo).toBe('https://admin.example.com/users');
+            });
+
+            test('clears the return path when the state does not match', async () => {
+                mockSession.returnTo = '/dashboard';
+                await expect(xoauth.handleCallback(mockCode, 'other_state', mockSession)).rejects.toThrow(StateMismatchError);
+                expect(mockSession.returnTo).toBeUndefined();
+            });
+
+            test('reads allowedReturnOrigins from the constructor options', () => {
+                const client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, undefined, { allowedReturnOrigins: ['https://a.example'] });
+                expect(client.allowedReturnOrigins).toEqual(['https://a.example']);
+                expect(xoauth.allowedReturnOrigins).toEqual([]);
+            });
         });
     });
 
@@ -258,7 +605,8 @@ describe('XOAuth', () => {
                     'Content-Type': 'application/x-www-form-urlencoded',
                     Authorization: expect.stringContaining('Basic ')
                 },
-                mockSession
+                mockSession,
+                { auth: false }
             );
             expect(consoleLogSpy).toHaveBeenCalledWith('Token revoked successfully');
         });
@@ -284,6 +632,12 @@ describe('XOAuth', () => {
             expect(mockSession.destroy).toHaveBeenCalled();
         });
 
+        test('works with sessions without destroy()', async () => {
+            delete mockSession.destroy;
+            await expect(xoauth.logout(mockSession)).resolves.toBeUndefined();
+            expect(xoauth._triggerSessionUpdateCallback).toHaveBeenCalled();
+        });
+
         test('handles missing user data gracefully', async () => {
             delete mockSession.user;
             await expect(xoauth.logout(mockSession)).resolves.not.toThrow();
@@ -376,7 +730,7 @@ describe('XOAuth', () => {
             test('calls sendRequest with correct parameters', async () => {
                 jest.spyOn(xoauth, 'sendRequest');
                 await xoauth.get(mockEndpoint, mockParams, mockHeaders, mockSession);
-                expect(xoauth.sendRequest).toHaveBeenCalledWith('GET', mockEndpoint, mockParams, mockHeaders, mockSession);
+                expect(xoauth.sendRequest).toHaveBeenCalledWith('GET', mockEndpoint, mockParams, mockHeaders, mockSession, undefined);
             });
 
             test('handles token refresh on 401 status', async () => {
@@ -390,12 +744,28 @@ describe('XOAuth', () => {
                 });
                 jest.spyOn(xoauth, 'refreshToken').mockResolvedValue({ accessToken: 'new_token' });
 
-                await xoauth.get(mockEndpoint, mockParams, mockHeaders, { user: { refreshToken: 'old_refresh_token' } });
+                await xoauth.get(mockEndpoint, mockParams, {}, { user: { accessToken: 'old_token', refreshToken: 'old_refresh_token' } });
 
                 expect(xoauth.refreshToken).toHaveBeenCalled();
                 expect(global.fetch).toHaveBeenCalledTimes(2);
             });
 
+            test('does not refresh on 401 when its own Authorization header was passed', async () => {
+                global.fetch.mockResolvedValueOnce({
+                    status: 401,
+                    ok: false,
+                    json: () => Promise.resolve({ error: 'Unauthorized' })
+                });
+                jest.spyOn(xoauth, 'refreshToken').mockResolvedValue({ accessToken: 'new_token' });
+                const session = { user: { accessToken: 'session_token', refreshToken: 'old_refresh_token' } };
+
+                await expect(xoauth.get(mockEndpoint, mockParams, mockHeaders, session)).rejects.toMatchObject({ status: 401 });
+
+                expect(xoauth.refreshToken).not.toHaveBeenCalled();
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+                expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer mock_token');
+            });
+
             test('throws error on rate limit exceeded', async () => {
                 global.fetch.mockResolvedValueOnce({
                     status: 429,
@@ -406,6 +776,53 @@ describe('XOAuth', () => {
                 await expect(xoauth.get(mockEndpoint, mockParams, mockHeaders, mockSession))
                     .rejects.toThrow('Rate limit exceeded. Status: 429');
             });
+
+            test('throws RateLimitError on rate limit exceeded', async () => {
+                global.fetch.mockResolvedValueOnce({
+                    status: 429,
+                    ok: false,
+                    json: () => Promise.resolve({ title: 'Too Many Requests' })
+                });
+
+                const error = await xoauth.get(mockEndpoint, mockParams, mockHeaders, mockSession).catch(e => e);
+                expect(error).toBeInstanceOf(RateLimitError);
+                expect(error.status).toBe(429);
+                expect(error.endpoint).toBe(mockEndpoint);
+            });
+
+            test('throws ApiError with response details for non-OK response', async () => {
+                global.fetch.mockResolvedValueOnce({
+                    ok: false,
+                    status: 404,
+                    statusText: 'Not Found',
+                    json: () => Promise.resolve({
+                        title: 'Not Found Error',
+                        detail: 'Could not find user.',
+                        type: 'https://api.twitter.com/2/problems/resource-not-found'
+                    })
+                });
+
+                const error = await xoauth.get(mockEndpoint, mockParams, mockHeaders, mockSession).catch(e => e);
+                expect(error).toBeInstanceOf(ApiError);
+                expect(error).toMatchObject({
+                    status: 404,
+                    title: 'Not Found Error',
+                    detail: 'Could not find user.',
+                    type: 'https://api.twitter.com/2/problems/resource-not-found',
+                    endpoint: mockEndpoint
+                });
+            });
+
+            test('throws NetworkError when fetch rejects', async () => {
+                const cause = new TypeError('fetch failed');
+                global.fetch.mockRejectedValueOnce(cause);
+
+                const error = await xoauth.get(mockEndpoint, mockParams, mockHeaders, mockSession).catch(e => e);
+                expect(error).toBeInstanceOf(NetworkError);
+                expect(error).toBeInstanceOf(XOAuthError);
+                expect(error.cause).toBe(cause);
+                expect(error.endpoint).toBe(mockEndpoint);
+            });
         });
 
         describe('post method', () => {
@@ -572,7 +989,7 @@ describe('XOAuth', () => {
             test('calls sendRequest with correct parameters', async () => {
                 jest.spyOn(xoauth, 'sendRequest');
                 await xoauth.patch(mockEndpoint, mockData, mockHeaders, mockSession);
-                expect(xoauth.sendRequest).toHaveBeenCalledWith('PATCH', mockEndpoint, mockData, mockHeaders, mockSession);
+                expect(xoauth.sendRequest).toHaveBeenCalledWith('PATCH', mockEndpoint, mockData, mockHeaders, mockSession, undefined);
             });
         });
 
@@ -643,7 +1060,7 @@ describe('XOAuth', () => {
             test('calls sendRequest with correct parameters', async () => {
                 jest.spyOn(xoauth, 'sendRequest');
                 await xoauth.put(mockEndpoint, mockData, mockHeaders, mockSession);
-                expect(xoauth.sendRequest).toHaveBeenCalledWith('PUT', mockEndpoint, mockData, mockHeaders, mockSession);
+                expect(xoauth.sendRequest).toHaveBeenCalledWith('PUT', mockEndpoint, mockData, mockHeaders, mockSession, undefined);
             });
         });
 
@@ -714,11 +1131,47 @@ describe('XOAuth', () => {
             test('calls sendRequest with correct parameters', async () => {
                 jest.spyOn(xoauth, 'sendRequest');
                 await xoauth.delete(mockEndpoint, mockData, mockHeaders, mockSession);
-                expect(xoauth.sendRequest).toHaveBeenCalledWith('DELETE', mockEndpoint, mockData, mockHeaders, mockSession);
+                expect(xoauth.sendRequest).toHaveBeenCalledWith('DELETE', mockEndpoint, mockData, mockHeaders, mockSession, undefined);
             });
         });
     });
 
+    describe('paginate method', () => {
+        test('follows next_token through sendRequest', async () => {
+            const session = { id: 'session123', user: { id: 'user1', accessToken: 'access_token' } };
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: [{ id: '1' }], meta: { next_token: 'next' } }) })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ data: [{ id: '2' }], meta: {} }) });
+
+            const ids = [];
+            for await (const tweet of xoauth.paginate('users/user1/tweets', { max_results: 5 }, session, { items: true })) {
+                ids.push(tweet.id);
+            }
+
+            expect(ids).toEqual(['1', '2']);
+            expect(global.fetch.mock.calls[1][0]).toBe(`${xoauth.API_BASE_URL}users/user1/tweets?max_results=5&pagination_token=next`);
+            expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer access_token');
+        });
+    });
+
+    describe('router helpers', () => {
+        test('router mounts the OAuth routes for the client', async () => {
+            xoauth.getAuthorizationURL = jest.fn().mockResolvedValue('https://x.com/i/oauth2/authorize');
+            const res = { redirect: jest.fn() };
+
+            await xoauth.router()({ method: 'GET', url: '/login', session: {} }, res, jest.fn());
+
+            expect(res.redirect).toHaveBeenCalledWith('https://x.com/i/oauth2/authorize');
+        });
+
+        test('requireXAuth is available on the client and the module', () => {
+            const next = jest.fn();
+            xoauth.requireXAuth()({ session: { user: { id: '1' } } }, {}, next);
+            XOAuth.requireXAuth()({ session: { user: { id: '1' } } }, {}, next);
+            expect(next).toHaveBeenCalledTimes(2);
+        });
+    });
+
     describe('refreshToken method', () => {
         let mockSession;
         let consoleSpy;
@@ -794,6 +1247,35 @@ describe('XOAuth', () => {
             expect(mockSession.user.refreshToken).toBe('new_refresh_token');
         });
 
+        test('records token expiry returned on refresh', async () => {
+            jest.spyOn(Date, 'now').mockReturnValue(1000000);
+            global.fetch = jest.fn(() => Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve({
+                    access_token: 'new_access_token',
+                    refresh_token: 'new_refresh_token',
+                    expires_in: 7200
+                })
+            }));
+            const result = await xoauth.refreshToken(mockSession);
+            expect(mockSession.user.expiresAt).toBe(1000000 + 7200 * 1000);
+            expect(result.expiresAt).toBe(mockSession.user.expiresAt);
+            Date.now.mockRestore();
+        });
+
+        test('records the granted scope returned on refresh', async () => {
+            global.fetch = jest.fn(() => Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve({
+                    access_token: 'new_access_token',
+                    refresh_token: 'new_refresh_token',
+                    scope: 'tweet.read users.read'
+                })
+            }));
+            await xoauth.refreshToken(mockSession);
+            expect(mockSession.user.scope).toBe('tweet.read users.read');
+        });
+
         test('calls _triggerSessionUpdateCallback with correct parameters on successful refresh', async () => {
             const spy = jest.spyOn(xoauth, '_triggerSessionUpdateCallback');
             await xoauth.refreshToken(mockSession);
@@ -804,6 +1286,50 @@ describe('XOAuth', () => {
             );
         });
 
+        test('coalesces concurrent refreshes of the same session', async () => {
+            const spy = jest.spyOn(xoauth, '_triggerSessionUpdateCallback');
+            const [first, second] = await Promise.all([
+                xoauth.refreshToken(mockSession),
+                xoauth.refreshToken(mockSession)
+            ]);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(first.accessToken).toBe('new_access_token');
+            expect(second.accessToken).toBe('new_access_token');
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+
+        test('coalesces concurrent refreshes of sessions sharing a stored user', async () => {
+            const otherSession = { id: 'other_session_id', user: { ...mockSession.user } };
+            await Promise.all([
+                xoauth.refreshToken(mockSession),
+                xoauth.refreshToken(otherSession)
+            ]);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(mockSession.user.refreshToken).toBe('new_refresh_token');
+            expect(otherSession.user.refreshToken).toBe('new_refresh_token');
+        });
+
+        test('shares a failed refresh with every waiting caller', async () => {
+            global.fetch = jest.fn(() => Promise.resolve({
+                ok: false,
+                status: 400,
+                statusText: 'Bad Request'
+            }));
+            const results = await Promise.allSettled([
+                xoauth.refreshToken(mockSession),
+                xoauth.refreshToken(mockSession)
+            ]);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(results.map(r => r.status)).toEqual(['rejected', 'rejected']);
+        });
+
+        test('starts a new refresh once the previous one has settled', async () => {
+            await xoauth.refreshToken(mockSession);
+            await xoauth.refreshToken(mockSession);
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch.mock.calls[1][1].body.get('refresh_token')).toBe('new_refresh_token');
+        });
+
         test('throws error on API failure', async () => {
             global.fetch = jest.fn(() => Promise.resolve({
                 ok: false,
@@ -815,6 +1341,48 @@ describe('XOAuth', () => {
             expect(consoleSpy).toHaveBeenCalledWith('Error refreshing token:', expect.any(String));
         });
 
+        test('throws TokenRefreshError carrying the token endpoint error', async () => {
+            global.fetch = jest.fn(() => Promise.resolve({
+                ok: false,
+                status: 400,
+                statusText: 'Bad Request',
+                json: () => Promise.resolve({
+                    error: 'invalid_request',
+                    error_description: 'Value passed for the token was invalid.'
+                })
+            }));
+            const error = await xoauth.refreshToken(mockSession).catch(e => e);
+            expect(error).toBeInstanceOf(TokenRefreshError);
+            expect(error.cause).toBeInstanceOf(ApiError);
+            expect(error).toMatchObject({
+                status: 400,
+                title: 'invalid_request',
+                detail: 'Value passed for the token was invalid.',
+                endpoint: 'oauth2/token'
+            });
+        });
+
+        test('stops waiting on abort while the shared refresh carries on', async () => {
+            let resolveFetch;
+            global.fetch = jest.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+            const otherSession = { id: 'other_session_id', user: { ...mockSession.user } };
+            const controller = new AbortController();
+
+            const aborted = xoauth.refreshToken(mockSession, { signal: controller.signal });
+            const other = xoauth.refreshToken(otherSession);
+            controller.abort(new Error('Aborted'));
+
+            await expect(aborted).rejects.toThrow('Aborted');
+            expect(consoleSpy).not.toHaveBeenCalled();
+
+            resolveFetch({
+                ok: true,
+                json: () => Promise.resolve({ access_token: 'new_access_token', refresh_token: 'new_refresh_token' })
+            });
+            await expect(other).resolves.toMatchObject({ accessToken: 'new_access_token' });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
         test('throws "Authentication failed" error when token refresh fails', async () => {
             // Mock the fetch function to simulate a failed API call
             global.fetch = jest.fn(() => Promise.reject(new Error('API Error')));
@@ -833,31 +1401,527 @@ describe('XOAuth', () => {
         });
     });
 
-    describe('Internal helper methods', () => {
-        describe('generateCodeVerifier method', () => {
-            test('returns a string', async () => {
-                const verifier = await xoauth.generateCodeVerifier();
-                expect(typeof verifier).toBe('string');
-            });
+    describe('token store', () => {
+        let store;
+        let consoleSpy;
+        const storedUser = {
+            id: 'mock_user_id',
+            accessToken: 'stored_access_token',
+            refreshToken: 'stored_refresh_token',
+            expiresAt: Date.now() + 3600000
+        };
+        const tokenResponse = () => Promise.resolve({
+            ok: true,
+            status: 200,
+            json: () => Promise.resolve({
+                access_token: 'new_access_token',
+                refresh_token: 'new_refresh_token',
+                expires_in: 7200
+            })
+        });
 
-            test('returns a string of correct length', async () => {
-                const verifier = await xoauth.generateCodeVerifier();
-                expect(verifier.length).toBe(43); // Base64 encoding of 32 bytes
-            });
+        beforeEach(async () => {
+            store = new XOAuth.MemoryTokenStore();
+            await store.set('mock_user_id', storedUser);
+            xoauth = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, mockSessionUpdateCallback, { tokenStore: store });
+            consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        });
 
-            test('returns a URL-safe string', async () => {
-                const verifier = await xoauth.generateCodeVerifier();
-                expect(verifier).toMatch(/^[A-Za-z0-9_-]+$/);
-            });
+        afterEach(() => {
+            consoleSpy.mockRestore();
+        });
 
-            test('returns different values on subsequent calls', async () => {
-                const verifier1 = await xoauth.generateCodeVerifier();
-                const verifier2 = await xoauth.generateCodeVerifier();
-                expect(verifier1).not.toBe(verifier2);
-            });
+        test('handleCallback stores the user', async () => {
+            const session = { state: 'mock_state', codeVerifier: 'mock_code_verifier' };
+            xoauth.post = jest.fn().mockResolvedValue({ access_token: 'access', refresh_token: 'refresh', expires_in: 7200 });
+            xoauth.get = jest.fn().mockResolvedValue({ data: { id: '42', username: 'alice', profile_image_url: 'http://example.com/a_normal.jpg' } });
 
-            test('does not contain padding characters', async () => {
-                const verifier = await xoauth.generateCodeVerifier();
+            const user = await xoauth.handleCallback('code', 'mock_state', session);
+
+            expect(await store.get('42')).toEqual(user);
+        });
+
+        test('sendRequest accepts a user id', async () => {
+            await xoauth.get('users/me', {}, {}, 'mock_user_id');
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer stored_access_token');
+        });
+
+        test('sendRequest rejects unknown user ids', async () => {
+            await expect(xoauth.get('users/me', {}, {}, 'unknown')).rejects.toThrow(new AuthError('No tokens stored for user unknown'));
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('sendRequest rejects user ids without a token store', async () => {
+            xoauth.tokenStore = undefined;
+            await expect(xoauth.get('users/me', {}, {}, 'mock_user_id')).rejects.toThrow('A token store is required to use a user id');
+        });
+
+        test('refreshes an expiring stored token and writes it back', async () => {
+            await store.set('mock_user_id', { ...storedUser, expiresAt: Date.now() });
+            global.fetch = jest.fn()
+                .mockImplementationOnce(tokenResponse)
+                .mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ data: {} }) });
+
+            await xoauth.get('users/me', {}, {}, 'mock_user_id');
+
+            expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer new_access_token');
+            expect(await store.get('mock_user_id')).toMatchObject({
+                accessToken: 'new_access_token',
+                refreshToken: 'new_refresh_token'
+            });
+        });
+
+        test('refreshToken accepts a user id', async () => {
+            global.fetch = jest.fn(tokenResponse);
+            const result = await xoauth.refreshToken('mock_user_id');
+            expect(result.accessToken).toBe('new_access_token');
+            expect((await store.get('mock_user_id')).refreshToken).toBe('new_refresh_token');
+        });
+
+        test('refreshToken writes refreshed session tokens back', async () => {
+            const session = { user: { ...storedUser } };
+            global.fetch = jest.fn(tokenResponse);
+            await xoauth.refreshToken(session);
+            expect(await store.get('mock_user_id')).toEqual(session.user);
+        });
+
+        test('refreshToken adopts tokens already refreshed in the store', async () => {
+            const session = { id: 'mock_session_id', user: { ...storedUser, refreshToken: 'used_refresh_token' } };
+
+            const result = await xoauth.refreshToken(session);
+
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(result).toEqual({
+                accessToken: 'stored_access_token',
+                refreshToken: 'stored_refresh_token',
+                expiresAt: storedUser.expiresAt
+            });
+            expect(session.user.accessToken).toBe('stored_access_token');
+        });
+
+        test('refreshToken keeps the refreshed tokens when the store write fails', async () => {
+            const session = { user: { ...storedUser } };
+            store.set = jest.fn().mockRejectedValue(new Error('Disk full'));
+            global.fetch = jest.fn(tokenResponse);
+
+            const result = await xoauth.refreshToken(session);
+
+            expect(result.accessToken).toBe('new_access_token');
+            expect(consoleSpy).toHaveBeenCalledWith('Error storing refreshed token:', 'Disk full');
+        });
+
+        test('logout accepts a user id and removes the stored user', async () => {
+            const logSpy = jest.spyOn(console, 'log').mockImplementation();
+            await xoauth.logout('mock_user_id');
+            logSpy.mockRestore();
+
+            expect(global.fetch.mock.calls[0][0]).toBe(xoauth.API_BASE_URL + 'oauth2/revoke');
+            expect(await store.get('mock_user_id')).toBeUndefined();
+        });
+
+        test('logout removes the stored user of a session', async () => {
+            xoauth.post = jest.fn().mockResolvedValue({});
+            jest.spyOn(console, 'log').mockImplementation();
+            const session = { user: { ...storedUser }, destroy: jest.fn() };
+
+            await xoauth.logout(session);
+            console.log.mockRestore();
+
+            expect(session.destroy).toHaveBeenCalled();
+            expect(await store.get('mock_user_id')).toBeUndefined();
+        });
+    });
+
+    describe('custom transport', () => {
+        let customFetch;
+        let client;
+        const options = {
+            apiBaseUrl: 'http://localhost:4000/2/',
+            authUrl: 'http://localhost:4000/i/oauth2/authorize',
+            tokenUrl: 'http://localhost:4000/token',
+            revokeUrl: 'http://localhost:4000/revoke',
+            appTokenUrl: 'http://localhost:4000/app-token',
+            invalidateTokenUrl: 'http://localhost:4000/invalidate'
+        };
+
+        beforeEach(() => {
+            customFetch = jest.fn((url) => Promise.resolve({
+                ok: true,
+                status: 200,
+                headers: new Headers(),
+                json: () => Promise.resolve(url.endsWith('token')
+                    ? { access_token: 'access', refresh_token: 'refresh', expires_in: 7200 }
+                    : { data: { id: '123', username: 'alice', profile_image_url: 'http://example.com/a_normal.jpg' } })
+            }));
+            client = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { ...options, fetch: customFetch, appOnly: true, appKey: 'key', appSecret: 'secret' });
+            jest.spyOn(console, 'log').mockImplementation();
+        });
+
+        afterEach(() => {
+            console.log.mockRestore();
+        });
+
+        test('uses the custom fetch and URLs for every request', async () => {
+            const session = {};
+            const authUrl = new URL(await client.getAuthorizationURL(session));
+            await client.handleCallback('code', session.state, session);
+            await client.get('tweets/search/recent', { query: 'x' }, {}, session);
+            await client.refreshToken(session);
+            await client.logout(session);
+            await client.get('users/by/username/x');
+            await client.invalidateAppToken();
+
+            expect(authUrl.origin + authUrl.pathname).toBe(options.authUrl);
+            expect(customFetch.mock.calls.map(call => call[0])).toEqual([
+                'http://localhost:4000/token',
+                'http://localhost:4000/2/users/me?user.fields=profile_image_url%2Cprofile_banner_url',
+                'http://localhost:4000/2/tweets/search/recent?query=x',
+                'http://localhost:4000/token',
+                'http://localhost:4000/revoke',
+                'http://localhost:4000/app-token',
+                'http://localhost:4000/2/users/by/username/x',
+                'http://localhost:4000/invalidate'
+            ]);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('wraps errors from the custom fetch', async () => {
+            customFetch.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+            await expect(client.get('users/me', {}, {}, { user: { accessToken: 'token' } })).rejects.toThrow(NetworkError);
+        });
+
+        test('sends absolute URLs as they are', async () => {
+            await client.get('http://localhost:5000/custom', {}, {}, { user: { accessToken: 'token' } });
+            expect(customFetch.mock.calls[0][0]).toBe('http://localhost:5000/custom');
+        });
+
+        test('sends tokens to absolute URLs on a configured origin', async () => {
+            await client.get('http://localhost:4000/2/custom', {}, {}, { user: { accessToken: 'token' } });
+            expect(customFetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token');
+        });
+
+        test('never sends the session or app-only token to other origins', async () => {
+            const session = { user: { accessToken: 'token', refreshToken: 'refresh', expiresAt: 0 } };
+            jest.spyOn(client, 'refreshToken');
+
+            await client.get('https://attacker.example/collect', {}, {}, session);
+            await client.get('https://attacker.example/collect');
+
+            expect(customFetch).toHaveBeenCalledTimes(2);
+            customFetch.mock.calls.forEach(([, init]) => expect(init.headers).toEqual({}));
+            expect(client.refreshToken).not.toHaveBeenCalled();
+        });
+
+        test('does not refresh on a 401 from another origin', async () => {
+            customFetch.mockResolvedValueOnce({ ok: false, status: 401, headers: new Headers(), json: () => Promise.resolve({}) });
+            const session = { user: { accessToken: 'token', refreshToken: 'refresh' } };
+            jest.spyOn(client, 'refreshToken');
+
+            await expect(client.get('https://attacker.example/collect', {}, {}, session)).rejects.toMatchObject({ status: 401 });
+            expect(client.refreshToken).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('public client', () => {
+        const jsonResponse = (body) => Promise.resolve({
+            ok: true,
+            status: 200,
+            headers: new Headers(),
+            json: () => Promise.resolve(body)
+        });
+
+        beforeEach(() => {
+            xoauth = new XOAuth(mockClientId, undefined, mockRedirectUri, mockSessionUpdateCallback);
+            global.fetch = jest.fn((url) => {
+                if (url.endsWith('oauth2/token')) {
+                    return jsonResponse({ access_token: 'new_access_token', refresh_token: 'new_refresh_token', expires_in: 7200 });
+                }
+                return jsonResponse({ data: { id: '123', username: 'alice', profile_image_url: 'http://example.com/a_normal.jpg' } });
+            });
+        });
+
+        test('is the default without a client secret', () => {
+            expect(xoauth.publicClient).toBe(true);
+            expect(new XOAuth(mockClientId, mockClientSecret, mockRedirectUri).publicClient).toBe(false);
+            expect(new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, undefined, { publicClient: true }).publicClient).toBe(true);
+        });
+
+        test('exchanges the code with client_id in the body and no Basic credentials', async () => {
+            const session = { state: 'state', codeVerifier: 'verifier', user: { id: '123', accessToken: 'old_token', refreshToken: 'old_refresh', expiresAt: 0 } };
+
+            await xoauth.handleCallback('code', 'state', session);
+
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe(xoauth.API_BASE_URL + 'oauth2/token');
+            expect(options.headers).toEqual({ 'Content-Type': 'application/x-www-form-urlencoded' });
+            expect(new URLSearchParams(options.body).get('client_id')).toBe(mockClientId);
+            expect(new URLSearchParams(options.body).get('code_verifier')).toBe('verifier');
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('refreshes with client_id in the body and no Basic credentials', async () => {
+            const session = { user: { id: '123', accessToken: 'old_token', refreshToken: 'old_refresh' } };
+
+            await xoauth.refreshToken(session);
+
+            const [, options] = global.fetch.mock.calls[0];
+            expect(options.headers).toEqual({ 'Content-Type': 'application/x-www-form-urlencoded' });
+            expect(options.body.get('client_id')).toBe(mockClientId);
+            expect(session.user.accessToken).toBe('new_access_token');
+        });
+
+        test('revokes with client_id in the body and no Authorization header', async () => {
+            jest.spyOn(console, 'log').mockImplementation();
+            const session = { user: { id: '123', accessToken: 'token' } };
+
+            await xoauth.logout(session);
+            console.log.mockRestore();
+
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe(xoauth.API_BASE_URL + 'oauth2/revoke');
+            expect(options.headers).toEqual({ 'Content-Type': 'application/x-www-form-urlencoded' });
+            expect(options.body.toString()).toBe(`token=token&token_type_hint=access_token&client_id=${mockClientId}`);
+        });
+    });
+
+    describe('sendRequest auth option', () => {
+        test('sends no session token and does not refresh with auth false', async () => {
+            const session = { user: { accessToken: 'token', refreshToken: 'refresh', expiresAt: 0 } };
+            global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 401, json: () => Promise.resolve({}) });
+            xoauth.refreshToken = jest.fn();
+
+            await expect(xoauth.get('oauth2/thing', {}, {}, session, { auth: false })).rejects.toThrow(ApiError);
+
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(global.fetch.mock.calls[0][1].headers).toEqual({});
+            expect(xoauth.refreshToken).not.toHaveBeenCalled();
+        });
+
+        test('sends no app-only token with auth false', async () => {
+            xoauth.appOnly = true;
+            await xoauth.get('users/by/username/x', {}, {}, undefined, { auth: false });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(global.fetch.mock.calls[0][1].headers).toEqual({});
+        });
+    });
+
+    describe('sendRequest response body', () => {
+        test('resolves with an empty object for 204 No Content', async () => {
+            global.fetch = jest.fn().mockResolvedValue(new Response(null, { status: 204 }));
+            await expect(xoauth.delete('things/1')).resolves.toEqual({});
+        });
+
+        test('resolves with the unread response with raw', async () => {
+            const response = new Response('line\r\n', { status: 200 });
+            global.fetch = jest.fn().mockResolvedValue(response);
+
+            await expect(xoauth.get('tweets/search/stream', {}, {}, undefined, { raw: true })).resolves.toBe(response);
+            expect(response.bodyUsed).toBe(false);
+        });
+
+        test('still throws for error statuses with raw', async () => {
+            global.fetch = jest.fn().mockResolvedValue(new Response('{"title":"Forbidden"}', { status: 403 }));
+            await expect(xoauth.get('tweets/search/stream', {}, {}, undefined, { raw: true })).rejects.toThrow(ApiError);
+        });
+    });
+
+    describe('app-only token', () => {
+        let consoleSpy;
+        let tokenCount;
+
+        const jsonResponse = (status, body) => Promise.resolve({
+            ok: status >= 200 && status < 300,
+            status,
+            headers: new Headers(),
+            json: () => Promise.resolve(body)
+        });
+
+        beforeEach(() => {
+            tokenCount = 0;
+            xoauth = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, mockSessionUpdateCallback, { appOnly: true, appKey: 'key', appSecret: 'secret' });
+            global.fetch = jest.fn((url) => {
+                if (url === xoauth.APP_TOKEN_URL) {
+                    tokenCount++;
+                    return jsonResponse(200, { token_type: 'bearer', access_token: `app_token_${tokenCount}` });
+                }
+                if (url === xoauth.INVALIDATE_TOKEN_URL) {
+                    return jsonResponse(200, { access_token: 'app_token_1' });
+                }
+                return jsonResponse(200, { data: {} });
+            });
+            consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        });
+
+        afterEach(() => {
+            consoleSpy.mockRestore();
+        });
+
+        test('requests a token with the client credentials grant', async () => {
+            const token = await xoauth.getAppToken();
+
+            expect(token).toBe('app_token_1');
+            const [url, options] = global.fetch.mock.calls[0];
+            expect(url).toBe('https://api.x.com/oauth2/token');
+            expect(options.method).toBe('POST');
+            expect(options.headers.Authorization).toBe('Basic ' + btoa('key:secret'));
+            expect(options.body.toString()).toBe('grant_type=client_credentials');
+        });
+
+        test('requires the app key and secret', async () => {
+            expect(() => new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, undefined, { appOnly: true }))
+                .toThrow(AuthError);
+            expect(() => new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, undefined, { appOnly: true, appKey: 'key' }))
+                .toThrow('App-only authentication requires the appKey and appSecret options');
+
+            xoauth = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri);
+            await expect(xoauth.getAppToken()).rejects.toThrow(AuthError);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('caches the token', async () => {
+            await xoauth.getAppToken();
+            expect(await xoauth.getAppToken()).toBe('app_token_1');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('shares one token request between concurrent calls', async () => {
+            const tokens = await Promise.all([xoauth.getAppToken(), xoauth.getAppToken()]);
+            expect(tokens).toEqual(['app_token_1', 'app_token_1']);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('authorizes requests without a session with the token', async () => {
+            await xoauth.get('users/by/username/x');
+            await xoauth.get('tweets/search/recent', { query: 'x' }, {}, null);
+
+            expect(global.fetch).toHaveBeenCalledTimes(3);
+            expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer app_token_1');
+            expect(global.fetch.mock.calls[2][1].headers.Authorization).toBe('Bearer app_token_1');
+        });
+
+        test('does not use the token for sessions or explicit Authorization headers', async () => {
+            await xoauth.get('users/me', {}, {}, { user: { accessToken: 'user_token' } });
+            await xoauth.get('users/me', {}, { Authorization: 'Bearer other' });
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer user_token');
+            expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer other');
+        });
+
+        test('is not used unless appOnly is set', async () => {
+            xoauth.appOnly = false;
+            await xoauth.get('users/by/username/x');
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(global.fetch.mock.calls[0][1].headers).toEqual({});
+        });
+
+        test('is used for requests that set appOnly', async () => {
+            xoauth.appOnly = false;
+            await xoauth.get('users/by/username/x', {}, {}, undefined, { appOnly: true });
+            expect(global.fetch.mock.calls[1][1].headers).toEqual({ Authorization: 'Bearer app_token_1' });
+        });
+
+        test('gets a new token and retries once on 401', async () => {
+            const fetch = global.fetch;
+            global.fetch = jest.fn((url, options) => {
+                if (url !== xoauth.APP_TOKEN_URL && options.headers.Authorization === 'Bearer app_token_1') {
+                    return jsonResponse(401, { title: 'Unauthorized' });
+                }
+                return fetch(url, options);
+            });
+
+            const result = await xoauth.get('users/by/username/x');
+
+            expect(result).toEqual({ data: {} });
+            expect(global.fetch.mock.calls.map(call => call[0])).toEqual([
+                xoauth.APP_TOKEN_URL,
+                xoauth.API_BASE_URL + 'users/by/username/x',
+                xoauth.APP_TOKEN_URL,
+                xoauth.API_BASE_URL + 'users/by/username/x'
+            ]);
+            expect(global.fetch.mock.calls[3][1].headers.Authorization).toBe('Bearer app_token_2');
+        });
+
+        test('throws AuthError when no token can be obtained', async () => {
+            global.fetch = jest.fn(() => jsonResponse(403, { errors: [{ message: 'Unable to verify your credentials' }] }));
+
+            const error = await xoauth.get('users/by/username/x').catch(e => e);
+
+            expect(error).toBeInstanceOf(AuthError);
+            expect(error.message).toBe('App-only authentication failed');
+            expect(error.cause).toBeInstanceOf(ApiError);
+            expect(error.status).toBe(403);
+            expect(consoleSpy).toHaveBeenCalledWith('Error obtaining app-only token:', 'HTTP error! status: 403, message: Unable to verify your credentials');
+        });
+
+        test('throws AuthError for a response without a token', async () => {
+            global.fetch = jest.fn(() => jsonResponse(200, {}));
+            const error = await xoauth.getAppToken().catch(e => e);
+            expect(error.cause.message).toBe('Token response has no access token');
+        });
+
+        test('does not cache a failed token request', async () => {
+            const fetch = global.fetch;
+            global.fetch = jest.fn().mockImplementationOnce(() => Promise.reject(new Error('socket hang up'))).mockImplementation(fetch);
+            await expect(xoauth.getAppToken()).rejects.toThrow(AuthError);
+            expect(await xoauth.getAppToken()).toBe('app_token_1');
+        });
+
+        test('rethrows an abort without wrapping it', async () => {
+            const controller = new AbortController();
+            const reason = new Error('Cancelled');
+            controller.abort(reason);
+            await expect(xoauth.getAppToken({ signal: controller.signal })).rejects.toBe(reason);
+        });
+
+        test('invalidates the token with X and forgets it', async () => {
+            await xoauth.getAppToken();
+            await xoauth.invalidateAppToken();
+
+            const [url, options] = global.fetch.mock.calls[1];
+            expect(url).toBe('https://api.x.com/oauth2/invalidate_token');
+            expect(options.headers.Authorization).toBe('Basic ' + btoa('key:secret'));
+            expect(options.body.toString()).toBe('access_token=app_token_1');
+            expect(await xoauth.getAppToken()).toBe('app_token_2');
+        });
+
+        test('does nothing when invalidating without a token', async () => {
+            await xoauth.invalidateAppToken();
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('throws ApiError when invalidation fails', async () => {
+            await xoauth.getAppToken();
+            global.fetch = jest.fn(() => jsonResponse(403, { errors: [{ message: 'Forbidden' }] }));
+            await expect(xoauth.invalidateAppToken()).rejects.toThrow(ApiError);
+        });
+    });
+
+    describe('Internal helper methods', () => {
+        describe('generateCodeVerifier method', () => {
+            test('returns a string', async () => {
+                const verifier = await xoauth.generateCodeVerifier();
+                expect(typeof verifier).toBe('string');
+            });
+
+            test('returns a string of correct length', async () => {
+                const verifier = await xoauth.generateCodeVerifier();
+                expect(verifier.length).toBe(43); // Base64 encoding of 32 bytes
+            });
+
+            test('returns a URL-safe string', async () => {
+                const verifier = await xoauth.generateCodeVerifier();
+                expect(verifier).toMatch(/^[A-Za-z0-9_-]+$/);
+            });
+
+            test('returns different values on subsequent calls', async () => {
+                const verifier1 = await xoauth.generateCodeVerifier();
+                const verifier2 = await xoauth.generateCodeVerifier();
+                expect(verifier1).not.toBe(verifier2);
+            });
+
+            test('does not contain padding characters', async () => {
+                const verifier = await xoauth.generateCodeVerifier();
                 expect(verifier).not.toContain('=');
             });
         });
@@ -921,6 +1985,25 @@ describe('XOAuth', () => {
             });
         });
 
+        describe('isTokenExpiring method', () => {
+            test('returns false when no expiry is known', () => {
+                expect(xoauth.isTokenExpiring({ user: { accessToken: 'token' } })).toBe(false);
+                expect(xoauth.isTokenExpiring({})).toBe(false);
+            });
+
+            test('returns true once the token has expired', () => {
+                expect(xoauth.isTokenExpiring({ user: { expiresAt: Date.now() - 1000 } })).toBe(true);
+            });
+
+            test('returns true when the token expires within the refresh skew', () => {
+                expect(xoauth.isTokenExpiring({ user: { expiresAt: Date.now() + 30000 } })).toBe(true);
+            });
+
+            test('returns false when the token expires after the refresh skew', () => {
+                expect(xoauth.isTokenExpiring({ user: { expiresAt: Date.now() + 120000 } })).toBe(false);
+            });
+        });
+
         describe('_triggerSessionUpdateCallback method', () => {
             test('calls the session update callback with correct parameters', () => {
                 const mockCallback = jest.fn();
@@ -993,6 +2076,659 @@ describe('XOAuth', () => {
                 .rejects.toThrow('HTTP error! status: 401, message: Unauthorized');
         });
 
+        describe('rate limits', () => {
+            const rateLimitHeaders = (remaining, reset) => new Headers({
+                'x-rate-limit-limit': '300',
+                'x-rate-limit-remaining': String(remaining),
+                'x-rate-limit-reset': String(reset)
+            });
+            const now = 1700000000000;
+            const rateLimited = (reset) => ({
+                ok: false,
+                status: 429,
+                headers: rateLimitHeaders(0, reset),
+                json: () => Promise.resolve({ title: 'Too Many Requests' })
+            });
+            const success = {
+                ok: true,
+                status: 200,
+                headers: rateLimitHeaders(299, now / 1000 + 900),
+                json: () => Promise.resolve({ data: { id: '1' } })
+            };
+
+            beforeEach(() => {
+                jest.useFakeTimers({ now });
+            });
+
+            afterEach(() => {
+                jest.useRealTimers();
+            });
+
+            test('exposes the rate limit on the response', async () => {
+                global.fetch = jest.fn().mockResolvedValue(success);
+                const result = await xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession);
+                expect(result).toEqual({ data: { id: '1' } });
+                expect(result.rateLimit).toEqual({ limit: 300, remaining: 299, reset: now / 1000 + 900 });
+            });
+
+            test('exposes the rate limit on the RateLimitError', async () => {
+                global.fetch = jest.fn().mockResolvedValue(rateLimited(now / 1000 + 60));
+                const error = await xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession).catch(e => e);
+                expect(error).toBeInstanceOf(RateLimitError);
+                expect(error.rateLimit).toEqual({ limit: 300, remaining: 0, reset: now / 1000 + 60 });
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+            });
+
+            test('waits for the reset and retries when waitOnRateLimit is enabled', async () => {
+                xoauth.waitOnRateLimit = true;
+                global.fetch = jest.fn()
+                    .mockResolvedValueOnce(rateLimited(now / 1000 + 60))
+                    .mockResolvedValueOnce(success);
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession);
+                await jest.advanceTimersByTimeAsync(60000);
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+                await jest.advanceTimersByTimeAsync(1000);
+
+                await expect(promise).resolves.toEqual({ data: { id: '1' } });
+                expect(global.fetch).toHaveBeenCalledTimes(2);
+            });
+
+            test('throws without waiting when the reset is beyond maxRateLimitWait', async () => {
+                xoauth.waitOnRateLimit = true;
+                xoauth.maxRateLimitWait = 30000;
+                global.fetch = jest.fn().mockResolvedValue(rateLimited(now / 1000 + 60));
+
+                await expect(xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession)).rejects.toThrow(RateLimitError);
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+            });
+
+            test('stops retrying once maxRateLimitWait has been spent', async () => {
+                xoauth.waitOnRateLimit = true;
+                xoauth.maxRateLimitWait = 5000;
+                global.fetch = jest.fn(() => Promise.resolve(rateLimited(Date.now() / 1000 + 2)));
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession).catch(e => e);
+                await jest.advanceTimersByTimeAsync(10000);
+
+                expect(await promise).toBeInstanceOf(RateLimitError);
+                expect(global.fetch).toHaveBeenCalledTimes(2);
+            });
+
+            describe('with trackRateLimits', () => {
+                const userSession = { id: 'session123', user: { id: 'user1', accessToken: 'access_token' } };
+
+                beforeEach(() => {
+                    xoauth = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { trackRateLimits: true });
+                });
+
+                test('holds requests while the budget is exhausted and releases them at the reset', async () => {
+                    global.fetch = jest.fn().mockResolvedValue({
+                        ...success,
+                        headers: rateLimitHeaders(0, now / 1000 + 60)
+                    });
+
+                    await xoauth.sendRequest('GET', 'tweets/1', {}, {}, userSession);
+                    const held = xoauth.sendRequest('GET', 'tweets/2', {}, {}, userSession);
+
+                    await jest.advanceTimersByTimeAsync(60000);
+                    expect(global.fetch).toHaveBeenCalledTimes(1);
+                    await jest.advanceTimersByTimeAsync(1000);
+
+                    await expect(held).resolves.toEqual({ data: { id: '1' } });
+                    expect(global.fetch).toHaveBeenCalledTimes(2);
+                });
+
+                test('tracks budgets separately per endpoint and user', async () => {
+                    global.fetch = jest.fn().mockResolvedValue({
+                        ...success,
+                        headers: rateLimitHeaders(0, now / 1000 + 60)
+                    });
+
+                    await xoauth.sendRequest('GET', 'tweets/1', {}, {}, userSession);
+                    await xoauth.sendRequest('GET', 'users/me', {}, {}, userSession);
+                    await xoauth.sendRequest('GET', 'tweets/1', {}, {}, { user: { id: 'user2', accessToken: 'other' } });
+
+                    expect(global.fetch).toHaveBeenCalledTimes(3);
+                });
+
+                test('counts requests in flight against the budget', async () => {
+                    global.fetch = jest.fn().mockResolvedValue({
+                        ...success,
+                        headers: rateLimitHeaders(2, now / 1000 + 60)
+                    });
+                    await xoauth.sendRequest('GET', 'tweets/1', {}, {}, userSession);
+
+                    const requests = [1, 2, 3].map(() => xoauth.sendRequest('GET', 'tweets/1', {}, {}, userSession));
+                    await jest.advanceTimersByTimeAsync(0);
+                    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+                    await jest.advanceTimersByTimeAsync(61000);
+                    await Promise.all(requests);
+                    expect(global.fetch).toHaveBeenCalledTimes(4);
+                });
+
+                test('throws RateLimitError without sending when the reset is beyond maxRateLimitWait', async () => {
+                    xoauth.maxRateLimitWait = 30000;
+                    global.fetch = jest.fn().mockResolvedValue({
+                        ...success,
+                        headers: rateLimitHeaders(0, now / 1000 + 60)
+                    });
+
+                    await xoauth.sendRequest('GET', 'tweets/1', {}, {}, userSession);
+                    const error = await xoauth.sendRequest('GET', 'tweets/1', {}, {}, userSession).catch(e => e);
+
+                    expect(error).toBeInstanceOf(RateLimitError);
+                    expect(error.endpoint).toBe('tweets/1');
+                    expect(error.rateLimit).toEqual({ limit: 300, remaining: 0, reset: now / 1000 + 60 });
+                    expect(global.fetch).toHaveBeenCalledTimes(1);
+                });
+
+                test('records the budget from 429 responses', async () => {
+                    global.fetch = jest.fn().mockResolvedValue(rateLimited(now / 1000 + 60));
+
+                    await expect(xoauth.sendRequest('GET', 'tweets/1', {}, {}, userSession)).rejects.toThrow(RateLimitError);
+                    const key = xoauth.rateLimiter.getKey('GET', 'tweets/1', 'user:user1');
+                    expect(xoauth.rateLimiter.getBudget(key).remaining).toBe(0);
+                });
+
+                test('keys caller tokens by their hash instead of the token itself', async () => {
+                    global.fetch = jest.fn().mockResolvedValue({
+                        ...success,
+                        headers: rateLimitHeaders(0, now / 1000 + 60)
+                    });
+
+                    await xoauth.sendRequest('GET', 'tweets/1', {}, { Authorization: 'Bearer secret_token' });
+                    const held = xoauth.sendRequest('GET', 'tweets/2', {}, { authorization: 'Bearer secret_token' });
+                    await xoauth.sendRequest('GET', 'tweets/3', {}, { Authorization: 'Bearer other_token' });
+                    await jest.advanceTimersByTimeAsync(0);
+                    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+                    const keys = [...xoauth.rateLimiter._budgets.keys()];
+                    expect(keys).toHaveLength(2);
+                    keys.forEach(key => expect(key).not.toContain('_token'));
+                    await jest.advanceTimersByTimeAsync(61000);
+                    await held;
+                });
+
+                test('keeps one budget for app-only tokens across token renewals', async () => {
+                    let tokenCount = 0;
+                    xoauth = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { trackRateLimits: true, appOnly: true, appKey: 'key', appSecret: 'secret' });
+                    global.fetch = jest.fn((url) => Promise.resolve(url === xoauth.APP_TOKEN_URL
+                        ? { ...success, json: () => Promise.resolve({ token_type: 'bearer', access_token: `app_token_${++tokenCount}` }) }
+                        : { ...success, headers: rateLimitHeaders(0, now / 1000 + 60) }));
+
+                    await xoauth.sendRequest('GET', 'tweets/1', {}, {});
+                    xoauth._appToken = undefined;
+                    const held = xoauth.sendRequest('GET', 'tweets/2', {}, {});
+                    await jest.advanceTimersByTimeAsync(0);
+
+                    expect(tokenCount).toBe(2);
+                    expect(global.fetch).toHaveBeenCalledTimes(3);
+                    expect([...xoauth.rateLimiter._budgets.keys()]).toEqual([xoauth.rateLimiter.getKey('GET', 'tweets/:id', 'app')]);
+                    await jest.advanceTimersByTimeAsync(61000);
+                    await held;
+                });
+            });
+
+            test('throws without waiting when the reset time is unknown', async () => {
+                xoauth.waitOnRateLimit = true;
+                global.fetch = jest.fn().mockResolvedValue({
+                    ok: false,
+                    status: 429,
+                    json: () => Promise.resolve({})
+                });
+
+                await expect(xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession)).rejects.toThrow(RateLimitError);
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        describe('retries', () => {
+            const serverError = (status, headers = {}) => ({
+                ok: false,
+                status,
+                headers: new Headers(headers),
+                json: () => Promise.resolve({ title: 'Service Unavailable' })
+            });
+            const success = { ok: true, status: 200, json: () => Promise.resolve({ success: true }) };
+            let onRetry;
+
+            beforeEach(() => {
+                jest.useFakeTimers();
+                jest.spyOn(Math, 'random').mockReturnValue(0.5);
+                onRetry = jest.fn();
+                xoauth = new XOAuth(mockClientId, mockClientSecret, mockRedirectUri, null, { retry: { retries: 2, onRetry } });
+            });
+
+            afterEach(() => {
+                Math.random.mockRestore();
+                jest.useRealTimers();
+            });
+
+            test('retries network errors with backoff', async () => {
+                const cause = new TypeError('fetch failed');
+                global.fetch = jest.fn()
+                    .mockRejectedValueOnce(cause)
+                    .mockResolvedValueOnce(success);
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession);
+                await jest.advanceTimersByTimeAsync(750);
+
+                await expect(promise).resolves.toEqual({ success: true });
+                expect(global.fetch).toHaveBeenCalledTimes(2);
+                expect(onRetry).toHaveBeenCalledWith({
+                    attempt: 1,
+                    delay: 750,
+                    method: 'GET',
+                    endpoint: mockUrl,
+                    status: undefined,
+                    error: expect.any(NetworkError)
+                });
+            });
+
+            test('retries transient server errors', async () => {
+                global.fetch = jest.fn()
+                    .mockResolvedValueOnce(serverError(503))
+                    .mockResolvedValueOnce(serverError(502))
+                    .mockResolvedValueOnce(success);
+
+                const promise = xoauth.sendRequest('PUT', mockUrl, {}, {}, mockSession);
+                await jest.advanceTimersByTimeAsync(750 + 1500);
+
+                await expect(promise).resolves.toEqual({ success: true });
+                expect(onRetry).toHaveBeenCalledTimes(2);
+                expect(onRetry.mock.calls[1][0]).toMatchObject({ attempt: 2, delay: 1500, status: 502 });
+            });
+
+            test('honours Retry-After', async () => {
+                global.fetch = jest.fn()
+                    .mockResolvedValueOnce(serverError(503, { 'retry-after': '3' }))
+                    .mockResolvedValueOnce(success);
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession);
+                await jest.advanceTimersByTimeAsync(2999);
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+                await jest.advanceTimersByTimeAsync(1);
+
+                await expect(promise).resolves.toEqual({ success: true });
+            });
+
+            test('throws the last error once retries are used up', async () => {
+                global.fetch = jest.fn().mockResolvedValue(serverError(500));
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession).catch(e => e);
+                await jest.advanceTimersByTimeAsync(750 + 1500);
+
+                const error = await promise;
+                expect(error).toBeInstanceOf(ApiError);
+                expect(error.status).toBe(500);
+                expect(global.fetch).toHaveBeenCalledTimes(3);
+            });
+
+            test('does not retry POST by default', async () => {
+                global.fetch = jest.fn().mockResolvedValue(serverError(503));
+
+                await expect(xoauth.sendRequest('POST', 'tweets', { text: 'hi' }, {}, mockSession)).rejects.toThrow(ApiError);
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+                expect(onRetry).not.toHaveBeenCalled();
+            });
+
+            test('retries POST when the caller opts in', async () => {
+                global.fetch = jest.fn()
+                    .mockResolvedValueOnce(serverError(503))
+                    .mockResolvedValueOnce(success);
+
+                const promise = xoauth.post('tweets', { text: 'hi' }, {}, mockSession, { retry: true });
+                await jest.advanceTimersByTimeAsync(750);
+
+                await expect(promise).resolves.toEqual({ success: true });
+                expect(global.fetch).toHaveBeenCalledTimes(2);
+            });
+
+            test('lets a request disable retries', async () => {
+                global.fetch = jest.fn().mockResolvedValue(serverError(503));
+
+                await expect(xoauth.get(mockUrl, {}, {}, mockSession, { retry: false })).rejects.toThrow(ApiError);
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+            });
+
+            test('does not retry client errors', async () => {
+                global.fetch = jest.fn().mockResolvedValue(serverError(400));
+
+                await expect(xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession)).rejects.toThrow(ApiError);
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        describe('timeouts and cancellation', () => {
+            // A fetch that never responds, rejecting like fetch does once its signal aborts
+            const hangingFetch = () => jest.fn((url, options) => new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => {
+                    reject(options.signal.reason);
+                });
+            }));
+
+            // A fetch that sends the headers and part of the body, then stalls until its signal aborts
+            const stallingFetch = () => jest.fn((url, options) => Promise.resolve(new Response(new ReadableStream({
+                start(controller) {
+                    controller.enqueue(new TextEncoder().encode('{"data":'));
+                    options.signal.addEventListener('abort', () => {
+                        controller.error(options.signal.reason);
+                    });
+                }
+            }), { status: 200, headers: { 'content-type': 'application/json' } })));
+
+            beforeEach(() => {
+                jest.useFakeTimers();
+            });
+
+            afterEach(() => {
+                jest.useRealTimers();
+            });
+
+            test('does not pass a signal to fetch without a timeout or signal', async () => {
+                await xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession);
+                expect(global.fetch.mock.calls[0][1].signal).toBeUndefined();
+            });
+
+            test('throws TimeoutError when the request exceeds the timeout', async () => {
+                xoauth.timeout = 5000;
+                global.fetch = hangingFetch();
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession).catch(e => e);
+                await jest.advanceTimersByTimeAsync(5000);
+
+                const error = await promise;
+                expect(error).toBeInstanceOf(TimeoutError);
+                expect(error).toBeInstanceOf(NetworkError);
+                expect(error.message).toBe('Request timed out after 5000ms');
+                expect(error.endpoint).toBe(mockUrl);
+            });
+
+            test('throws TimeoutError when the body stalls after the headers', async () => {
+                xoauth.timeout = 5000;
+                global.fetch = stallingFetch();
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession).catch(e => e);
+                await jest.advanceTimersByTimeAsync(5000);
+
+                const error = await promise;
+                expect(error).toBeInstanceOf(TimeoutError);
+                expect(error.endpoint).toBe(mockUrl);
+            });
+
+            test('applies the timeout to the body of token refreshes', async () => {
+                xoauth.timeout = 5000;
+                global.fetch = stallingFetch();
+                const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+                const session = { user: { accessToken: 'access_token', refreshToken: 'refresh_token' } };
+
+                const promise = xoauth.refreshToken(session).catch(e => e);
+                await jest.advanceTimersByTimeAsync(5000);
+
+                const error = await promise;
+                expect(error).toBeInstanceOf(TokenRefreshError);
+                expect(error.cause).toBeInstanceOf(TimeoutError);
+
+                consoleErrorSpy.mockRestore();
+            });
+
+            test('retries a timed out request when retries are enabled', async () => {
+                xoauth.timeout = 5000;
+                xoauth.retry = { ...xoauth.retry, retries: 1, minDelay: 100 };
+                global.fetch = jest.fn()
+                    .mockImplementationOnce(hangingFetch())
+                    .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ success: true }) });
+
+                const promise = xoauth.sendRequest('GET', mockUrl, {}, {}, mockSession);
+                await jest.advanceTimersByTimeAsync(5100);
+
+                await expect(promise).resolves.toEqual({ success: true });
+            });
+
+            test('rejects with the abort reason when the caller aborts', async () => {
+                global.fetch = hangingFetch();
+                const controller = new AbortController();
+                const reason = new Error('Cancelled');
+
+                const promise = xoauth.get(mockUrl, {}, {}, mockSession, { signal: controller.signal });
+                controller.abort(reason);
+
+                await expect(promise).rejects.toBe(reason);
+            });
+
+            test('rejects with the abort reason when the caller aborts while the body stalls', async () => {
+                global.fetch = stallingFetch();
+                const controller = new AbortController();
+                const reason = new Error('Cancelled');
+
+                const promise = xoauth.get(mockUrl, {}, {}, mockSession, { signal: controller.signal });
+                await jest.advanceTimersByTimeAsync(0);
+                controller.abort(reason);
+
+                await expect(promise).rejects.toBe(reason);
+            });
+
+            test('does not send a request with an already aborted signal', async () => {
+                const controller = new AbortController();
+                controller.abort(new Error('Cancelled'));
+
+                await expect(xoauth.get(mockUrl, {}, {}, mockSession, { signal: controller.signal })).rejects.toThrow('Cancelled');
+                expect(global.fetch).not.toHaveBeenCalled();
+            });
+
+            test('does not retry an aborted request', async () => {
+                xoauth.retry = { ...xoauth.retry, retries: 3 };
+                global.fetch = hangingFetch();
+                const controller = new AbortController();
+
+                const promise = xoauth.get(mockUrl, {}, {}, mockSession, { signal: controller.signal });
+                controller.abort(new Error('Cancelled'));
+
+                await expect(promise).rejects.toThrow('Cancelled');
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+            });
+
+            test('stops waiting between retries when aborted', async () => {
+                xoauth.retry = { ...xoauth.retry, retries: 3 };
+                global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503, json: () => Promise.resolve({}) });
+                const controller = new AbortController();
+
+                const promise = xoauth.get(mockUrl, {}, {}, mockSession, { signal: controller.signal }).catch(e => e);
+                await jest.advanceTimersByTimeAsync(0);
+                controller.abort(new Error('Cancelled'));
+
+                expect((await promise).message).toBe('Cancelled');
+                expect(global.fetch).toHaveBeenCalledTimes(1);
+            });
+
+            test('applies the timeout to token refreshes', async () => {
+                xoauth.timeout = 5000;
+                global.fetch = hangingFetch();
+                const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+                const session = { user: { accessToken: 'access_token', refreshToken: 'refresh_token' } };
+
+                const promise = xoauth.refreshToken(session).catch(e => e);
+                await jest.advanceTimersByTimeAsync(5000);
+
+                const error = await promise;
+                expect(error).toBeInstanceOf(TokenRefreshError);
+                expect(error.cause).toBeInstanceOf(TimeoutError);
+
+                consoleErrorSpy.mockRestore();
+            });
+        });
+
+        test('refreshes an expiring token before sending the request', async () => {
+            const session = {
+                user: {
+                    accessToken: 'old_access_token',
+                    refreshToken: 'old_refresh_token',
+                    expiresAt: Date.now() + 1000
+                }
+            };
+            xoauth.refreshToken = jest.fn(async (s) => {
+                s.user.accessToken = 'new_access_token';
+                s.user.expiresAt = Date.now() + 7200 * 1000;
+            });
+
+            await xoauth.sendRequest('POST', 'tweets', { text: 'hi' }, { Authorization: 'Bearer old_access_token' }, session);
+
+            expect(xoauth.refreshToken).toHaveBeenCalledWith(session, { signal: undefined });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer new_access_token');
+        });
+
+        test('does not refresh a token that is not expiring', async () => {
+            const session = {
+                user: {
+                    accessToken: 'access_token',
+                    refreshToken: 'refresh_token',
+                    expiresAt: Date.now() + 7200 * 1000
+                }
+            };
+            xoauth.refreshToken = jest.fn();
+
+            await xoauth.sendRequest('GET', mockUrl, {}, { Authorization: 'Bearer access_token' }, session);
+
+            expect(xoauth.refreshToken).not.toHaveBeenCalled();
+        });
+
+        test('does not refresh proactively for requests not using the session token', async () => {
+            const session = {
+                user: {
+                    accessToken: 'access_token',
+                    refreshToken: 'refresh_token',
+                    expiresAt: Date.now() - 1000
+                }
+            };
+            xoauth.refreshToken = jest.fn();
+
+            await xoauth.sendRequest('POST', 'oauth2/token', {}, { Authorization: 'Basic credentials' }, session);
+
+            expect(xoauth.refreshToken).not.toHaveBeenCalled();
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Basic credentials');
+        });
+
+        test('throws "Authentication failed" when a proactive refresh fails', async () => {
+            const session = {
+                user: {
+                    accessToken: 'access_token',
+                    refreshToken: 'refresh_token',
+                    expiresAt: Date.now() - 1000
+                }
+            };
+            xoauth.refreshToken = jest.fn().mockRejectedValue(new Error('Refresh failed'));
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+            await expect(xoauth.sendRequest('GET', mockUrl, {}, { Authorization: 'Bearer access_token' }, session))
+                .rejects.toThrow('Authentication failed');
+            expect(global.fetch).not.toHaveBeenCalled();
+
+            consoleErrorSpy.mockRestore();
+        });
+
+        test('sends the session access token as a bearer token when no Authorization header is given', async () => {
+            await xoauth.sendRequest('GET', mockUrl, mockData, {}, mockSession);
+            expect(global.fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer access_token' });
+        });
+
+        test('does not override a supplied Authorization header', async () => {
+            await xoauth.sendRequest('POST', mockUrl, mockData, { authorization: 'Basic credentials' }, mockSession);
+            expect(global.fetch.mock.calls[0][1].headers).toEqual({
+                authorization: 'Basic credentials',
+                'Content-Type': 'application/json'
+            });
+        });
+
+        test('does not add an Authorization header without a session access token', async () => {
+            await xoauth.sendRequest('GET', mockUrl, mockData, {}, { id: 'session123' });
+            expect(global.fetch.mock.calls[0][1].headers).toEqual({});
+        });
+
+        test('uses the refreshed session token when retrying after 401', async () => {
+            const session = {
+                user: {
+                    accessToken: 'old_access_token',
+                    refreshToken: 'old_refresh_token'
+                }
+            };
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce({ ok: false, status: 401, json: () => Promise.resolve({}) })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ success: true }) });
+            xoauth.refreshToken = jest.fn(async (s) => {
+                s.user.accessToken = 'new_access_token';
+            });
+
+            await xoauth.get('users/me', { 'user.fields': 'id' }, undefined, session);
+
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer old_access_token');
+            expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer new_access_token');
+        });
+
+        test('refreshes once when concurrent requests receive 401', async () => {
+            const session = {
+                id: 'session123',
+                user: {
+                    accessToken: 'old_access_token',
+                    refreshToken: 'old_refresh_token'
+                }
+            };
+            global.fetch = jest.fn((url, options) => {
+                if (url.endsWith('oauth2/token')) {
+                    return Promise.resolve({
+                        ok: true,
+                        json: () => Promise.resolve({
+                            access_token: 'new_access_token',
+                            refresh_token: 'new_refresh_token'
+                        })
+                    });
+                }
+                if (options.headers.Authorization === 'Bearer old_access_token') {
+                    return Promise.resolve({
+                        ok: false,
+                        status: 401,
+                        json: () => Promise.resolve({ error: 'Unauthorized' })
+                    });
+                }
+                return Promise.resolve({ ok: true, json: () => Promise.resolve({ success: true }) });
+            });
+            const headers = { Authorization: 'Bearer old_access_token' };
+
+            const results = await Promise.all([
+                xoauth.get('users/me', {}, headers, session),
+                xoauth.get('tweets', {}, headers, session),
+                xoauth.post('tweets', { text: 'hi' }, headers, session)
+            ]);
+
+            const refreshCalls = global.fetch.mock.calls.filter(([url]) => url.endsWith('oauth2/token'));
+            expect(refreshCalls).toHaveLength(1);
+            expect(results).toEqual([{ success: true }, { success: true }, { success: true }]);
+            expect(session.user.accessToken).toBe('new_access_token');
+        });
+
+        test('retries without refreshing when another request already refreshed the token', async () => {
+            const session = {
+                user: {
+                    accessToken: 'old_access_token',
+                    refreshToken: 'old_refresh_token'
+                }
+            };
+            global.fetch = jest.fn()
+                .mockImplementationOnce(() => {
+                    session.user.accessToken = 'new_access_token';
+                    return Promise.resolve({ ok: false, status: 401, json: () => Promise.resolve({}) });
+                })
+                .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ success: true }) });
+            xoauth.refreshToken = jest.fn();
+
+            await xoauth.sendRequest('GET', mockUrl, {}, { Authorization: 'Bearer old_access_token' }, session);
+
+            expect(xoauth.refreshToken).not.toHaveBeenCalled();
+            expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer new_access_token');
+        });
+
         test('throws "Authentication failed" error when token refresh fails during a request', async () => {
             const mockSession = {
                 user: {
@@ -1020,5 +2756,25 @@ describe('XOAuth', () => {
 
             consoleErrorSpy.mockRestore();
         });
+
+        test('throws AuthError caused by the TokenRefreshError when refresh fails during a request', async () => {
+            const session = {
+                user: {
+                    accessToken: 'old_access_token',
+                    refreshToken: 'old_refresh_token'
+                }
+            };
+            const cause = new TokenRefreshError('Token refresh failed');
+            global.fetch = jest.fn().mockResolvedValue({ status: 401, ok: false, json: () => Promise.resolve({}) });
+            xoauth.refreshToken = jest.fn().mockRejectedValue(cause);
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+            const error = await xoauth.sendRequest('GET', mockUrl, {}, {}, session).catch(e => e);
+            expect(error).toBeInstanceOf(AuthError);
+            expect(error.cause).toBe(cause);
+            expect(error.endpoint).toBe(mockUrl);
+
+            consoleErrorSpy.mockRestore();
+        });
     });
 });
\ No newline at end of file